@@ -10,11 +10,37 @@ class App {
         this.gemini = new GeminiLiveClient();
         this.camera = new CameraManager();
         this.audio = new AudioManager();
+        this.database = new InspectionDatabase();
+        this.sessionStore = new SessionStore(this.database);
+        this.outbox = new WebhookOutbox(this.database);
+        this.history = new HistoryView(this.sessionStore);
+        this.reports = new ReportGenerator();
+        this.templates = new TemplateManager();
+        this.decoder = new EquipmentDecoder();
+        this.scanner = new BarcodeScanner();
+        this.network = new NetworkMonitor(this.gemini);
+        this.recorder = new SessionRecorder(this.database);
+        this.voiceNotes = new SessionRecorder(this.database);
+        this.input = new InputModeController();
+        this.analyzer = new BatchAnalyzer(this.database, this.sessionStore, this.templates, this.decoder);
 
         // State
         this.isRunning = false;
+        this.isStopping = false;       // stop() in progress - later calls are ignored
+        this.isSuspended = false;      // Connection lost mid-session, waiting to reconnect
+        this.sessionEstablished = false;
+        this.sessionId = null;
+        this.template = null;          // Inspection template of the running session
+        this.source = null;            // { type: 'camera' }, { type: 'file', name } for a prerecorded video, or { type: 'offline' }
+        this.voiceNoteStepId = null;   // Checklist step the voice note being recorded belongs to
+        this.voiceNoteTimeout = null;
+        this.lastSessionId = null;     // Most recent saved session (for "Generate Report")
+        this.reportSession = null;     // Session the report modal is open for
+        this.pendingClips = new Set(); // Finding clips still recording their post-roll
         this.sessionStartTime = null;
         this.sessionTimeout = null;
+        this.sessionTimerInterval = null;
+        this.waitingWorker = null;
     }
 
     /**
@@ -25,6 +51,7 @@ class App {
 
         // Initialize UI
         this.ui.init();
+        this.history.init();
 
         // Get DOM elements
         const elements = this.ui.getElements();
@@ -36,38 +63,265 @@ class App {
         elements.startBtn.addEventListener('click', () => this.start());
         elements.stopBtn.addEventListener('click', () => this.stop());
 
+        // Inspect a video filmed earlier instead of the live camera
+        elements.videoFileBtn.addEventListener('click', () => elements.videoFileInput.click());
+        elements.videoFileInput.addEventListener('change', () => {
+            const file = elements.videoFileInput.files[0];
+            elements.videoFileInput.value = '';
+            if (file) {
+                this.start({ file });
+            }
+        });
+
         // Setup Gemini callbacks
         this._setupGeminiCallbacks();
 
+        // Setup UI callbacks
+        this._setupUICallbacks();
+
+        // Template picker and import/export
+        this._setupTemplates();
+
+        // Serial/model decoding rules (not needed until an asset is identified)
+        this.decoder.load().then(loaded => {
+            if (loaded) {
+                this._redecodeAsset();
+            }
+        });
+
+        // Setup report actions
+        this._setupReports();
+
         // Setup Camera callbacks
         this._setupCameraCallbacks();
 
         // Setup Audio callbacks
         this._setupAudioCallbacks();
 
+        // Open mic / push-to-talk / mute
+        this._setupInputCallbacks();
+
+        // Adaptive video quality
+        this.network.onTierChange = (tier) => {
+            this.camera.setQuality(tier);
+            this.ui.setVideoTier(tier);
+        };
+
         // Setup network listeners
         this._setupNetworkListeners();
 
+        // Offline app shell + update prompt
+        this._registerServiceWorker();
+
+        // Audio written out by a recording that never finished (page closed mid-session)
+        this.database.clear('recording_chunks').catch((error) => {
+            console.warn('[App] Could not clear leftover recording audio:', error);
+        });
+
+        // Deliver any webhooks left over from earlier sessions
+        this._setupOutbox();
+
+        // Analyze offline inspections captured while there was no signal
+        this._setupAnalyzer();
+
         console.log('[App] Initialized');
     }
 
+    /**
+     * Register the service worker and prompt for reload when an update is waiting
+     */
+    async _registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) {
+            console.log('[App] Service workers not supported');
+            return;
+        }
+
+        let registration;
+        try {
+            registration = await navigator.serviceWorker.register('sw.js');
+            console.log('[App] Service worker registered');
+        } catch (error) {
+            console.error('[App] Service worker registration failed:', error);
+            return;
+        }
+
+        // A new worker is installed and waiting while an old one controls the page
+        const onUpdateReady = (worker) => {
+            console.log('[App] App update available');
+            this.waitingWorker = worker;
+            this.ui.showUpdateBanner();
+        };
+
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            onUpdateReady(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    onUpdateReady(worker);
+                }
+            });
+        });
+
+        this.ui.getElements().updateReloadBtn.addEventListener('click', () => {
+            if (this.isRunning && !confirm('Reloading will end the current inspection. Continue?')) {
+                return;
+            }
+            if (this.waitingWorker) {
+                this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+            }
+        });
+
+        // The new worker took over - reload once to pick up the new shell
+        // (skipped on first install, where clients.claim() also fires this)
+        const hadController = Boolean(navigator.serviceWorker.controller);
+        let reloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (hadController && !reloading) {
+                reloading = true;
+                window.location.reload();
+            }
+        });
+    }
+
+    /**
+     * Wire the webhook outbox to the pending uploads indicator
+     */
+    _setupOutbox() {
+        this.outbox.onChange = (stats) => {
+            this.ui.setPendingUploads(stats);
+        };
+
+        // Manual retry
+        this.ui.getElements().pendingUploadsBtn.addEventListener('click', () => {
+            this._flushOutbox({ force: true });
+        });
+
+        // The service worker delivered something in the background
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data && event.data.type === 'OUTBOX_CHANGED') {
+                    this.outbox.getStats().then(stats => this.ui.setPendingUploads(stats));
+                }
+            });
+        }
+
+        this._flushOutbox();
+    }
+
+    /**
+     * Wire offline inspection analysis: results merge into the saved session,
+     * which is then delivered to the webhook like a live inspection
+     */
+    _setupAnalyzer() {
+        this.analyzer.onChange = (stats) => {
+            const waiting = stats.pending + stats.failed;
+            if (waiting > 0 && !this.isRunning) {
+                this.ui.setConnectionStatus('offline', `${waiting} offline inspection(s) waiting for analysis`);
+            }
+        };
+
+        this.analyzer.onAnalyzed = (session) => {
+            if (!this.isRunning) {
+                this.ui.setConnectionStatus('disconnected', `Offline inspection analyzed - ${session.findings.length} finding(s)`);
+            }
+
+            // Local-only media stays out of the webhook, as for live sessions
+            const { id, images, recording, captures, analysis, ...data } = session;
+            this._queueWebhook({ sessionId: id, ...data, findings: this._webhookFindings(data.findings) });
+        };
+
+        // Sessions that failed permanently (e.g. a bad API key) stay parked until a new key is saved
+        this.ui.onApiKeyChanged = () => {
+            this._flushAnalysis({ force: true });
+        };
+
+        this._flushAnalysis();
+    }
+
+    /**
+     * Send queued offline inspections for analysis if we're online
+     * @param {object} [options] - Passed to BatchAnalyzer.flush
+     */
+    async _flushAnalysis(options) {
+        const apiKey = this.ui.getApiKey();
+        if (!apiKey || !navigator.onLine) {
+            return;
+        }
+
+        try {
+            const analyzed = await this.analyzer.flush(apiKey, options);
+            if (analyzed > 0) {
+                console.log(`[App] Analyzed ${analyzed} offline inspection(s)`);
+            }
+        } catch (error) {
+            console.error('[App] Analysis error:', error);
+        }
+    }
+
+    /**
+     * Try to deliver queued webhooks now
+     * @param {object} [options] - Passed to WebhookOutbox.flush
+     */
+    async _flushOutbox(options) {
+        try {
+            const stats = await this.outbox.getStats();
+            if (stats.pending + stats.failed === 0) {
+                this.ui.setPendingUploads(stats);
+                return;
+            }
+
+            this.ui.setPendingUploads(stats, true);
+            await this.outbox.flush(options);
+        } catch (error) {
+            console.error('[App] Outbox error:', error);
+        }
+    }
+
+    /**
+     * Ask the service worker to deliver the outbox when connectivity returns
+     */
+    async _requestBackgroundSync() {
+        if (!('serviceWorker' in navigator)) {
+            return;
+        }
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (registration.sync) {
+                await registration.sync.register(CONFIG.OUTBOX_SYNC_TAG);
+                console.log('[App] Background sync registered');
+            }
+        } catch (error) {
+            console.warn('[App] Background sync unavailable:', error);
+        }
+    }
+
     /**
      * Setup network status listeners for offline detection
      */
     _setupNetworkListeners() {
         window.addEventListener('offline', () => {
             console.log('[App] Network offline');
-            if (this.isRunning) {
-                this.ui.setConnectionStatus('error', 'Internet connection lost');
-                this.stop();
+            if (this.isRunning && this.source.type !== 'offline') {
+                // Keep the session; reconnect once the network is back
+                this.gemini.suspend();
+                this._suspend('Internet connection lost - waiting for network...');
             }
         });
 
         window.addEventListener('online', () => {
             console.log('[App] Network back online');
-            if (!this.isRunning) {
+            if (this.isSuspended) {
+                this.gemini.resume('Network restored');
+            } else if (!this.isRunning) {
                 this.ui.setConnectionStatus('disconnected', 'Back online - ready');
             }
+
+            this._flushOutbox();
+            this._flushAnalysis();
         });
     }
 
@@ -84,25 +338,77 @@ class App {
             this.ui.setConnectionStatus('connecting', `Retrying... (${attempt}/${maxAttempts})`);
         };
 
-        this.gemini.onConnected = () => {
+        this.gemini.onConnected = async () => {
             console.log('[App] Gemini connected');
+            this.sessionEstablished = true;
             this.ui.setConnectionStatus('connected');
 
-            // Start camera capture and audio input
+            // Start camera capture and audio input (a video file supplies its own soundtrack)
             this.camera.startCapture();
-            this.audio.startInput();
+            let audioStarted = false;
+            if (this.source.type === 'file') {
+                const fileAudio = this.camera.getFileAudioStream();
+                audioStarted = fileAudio ? await this.audio.startInput(fileAudio) : false;
+                if (!fileAudio) {
+                    console.warn('[App] No audio from the video file - sending pictures only');
+                }
+            } else {
+                audioStarted = await this.audio.startInput();
+            }
+            if (audioStarted) {
+                this._startRecording();
+            }
+            this._startClipBuffer(audioStarted);
+            this.camera.resume();
+            this.network.start();
+        };
+
+        this.gemini.onReconnecting = (reason) => {
+            console.log(`[App] Gemini reconnecting: ${reason}`);
+            if (!this.isSuspended) {
+                this.ui.setConnectionStatus('connecting', 'Reconnecting...');
+            }
+        };
+
+        this.gemini.onResumed = (restored) => {
+            console.log(`[App] Gemini session resumed (context restored: ${restored})`);
+            this.ui.setConnectionStatus('connected');
+
+            if (this.isSuspended) {
+                this.isSuspended = false;
+                this.camera.startCapture();
+                this.camera.resume();
+            }
+
+            // Fresh session - tell the AI where we left off
+            if (!restored) {
+                const elapsed = Date.now() - this.sessionStartTime;
+                this.gemini.sendText(this.ui.getContextSummary(elapsed));
+            }
         };
 
         this.gemini.onDisconnected = (event) => {
             console.log('[App] Gemini disconnected');
             if (this.isRunning) {
-                this.ui.setConnectionStatus('error', 'Connection lost');
-                this.stop();
+                this._suspend();
+                if (navigator.onLine) {
+                    this.gemini.resume('Connection lost');
+                }
             }
         };
 
         this.gemini.onError = (error) => {
             console.error('[App] Gemini error:', error);
+
+            // Server error mid-session - try to carry on with a new connection
+            if (this.isRunning && this.sessionEstablished && !this.isSuspended) {
+                this._suspend();
+                if (navigator.onLine) {
+                    this.gemini.resume('Server error');
+                }
+                return;
+            }
+
             const message = this._getErrorMessage(error);
             this.ui.setConnectionStatus('error', message);
 
@@ -112,37 +418,30 @@ class App {
         };
 
         this.gemini.onAudioResponse = (base64Audio) => {
-            // Queue audio for playback
+            this.network.markTurnResponse();
+
+            // Queue audio for playback (the speaking indicator follows actual playback)
             this.audio.queueAudio(base64Audio);
-            this.ui.setAiSpeaking(true);
         };
 
         this.gemini.onTextResponse = (text) => {
             console.log('[App] Text response:', text);
-            // Parse for findings
-            this.ui.parseFindings(text);
         };
 
         this.gemini.onTranscript = (role, text) => {
             if (text && text.trim()) {
                 this.ui.addTranscript(role, text);
-
-                // Parse AI transcripts for findings
-                if (role === 'ai') {
-                    this.ui.parseFindings(text);
-                }
             }
         };
 
         this.gemini.onInterrupted = () => {
             console.log('[App] AI interrupted');
             this.audio.stopPlayback();
-            this.ui.setAiSpeaking(false);
         };
 
         this.gemini.onTurnComplete = () => {
             console.log('[App] Turn complete');
-            // AI speaking indicator will be cleared when audio queue empties
+            this.audio.markTurnComplete();
         };
 
         this.gemini.onSetupComplete = () => {
@@ -150,21 +449,592 @@ class App {
         };
     }
 
+    /**
+     * Register tools (function calls) the AI uses to report structured data
+     * Enums (severities, checklist steps, photos) come from the session's template
+     * @param {object} template - Inspection template
+     */
+    _setupTools(template) {
+        const severityIds = template.severities.map(severity => severity.id);
+        const photoIds = template.requiredPhotos.map(photo => photo.id);
+
+        this.gemini.clearTools();
+
+        this.gemini.registerTool({
+            name: 'record_finding',
+            description: 'Record an inspection finding (issue, safety concern or observation) in the inspection report.',
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    title: {
+                        type: 'STRING',
+                        description: 'Short title of the finding, e.g. "Corroded condenser coil"'
+                    },
+                    description: {
+                        type: 'STRING',
+                        description: 'One-sentence description of what was observed and why it matters'
+                    },
+                    severity: {
+                        type: 'STRING',
+                        enum: severityIds,
+                        description: template.severities.map(severity => `${severity.id} = ${severity.description || severity.label}`).join(', ')
+                    },
+                    component: {
+                        type: 'STRING',
+                        description: 'Equipment component the finding relates to, e.g. "Contactor"'
+                    }
+                },
+                required: ['title', 'description', 'severity']
+            }
+        }, (args) => {
+            // Fall back to the mildest severity (templates list them most severe first)
+            const severity = severityIds.includes(String(args.severity).toLowerCase())
+                ? String(args.severity).toLowerCase()
+                : severityIds[severityIds.length - 1];
+            const title = String(args.title || '').trim() || 'Untitled finding';
+            const description = String(args.description || '').trim();
+            const component = String(args.component || '').trim();
+
+            const photo = this.camera.captureNow({ fullResolution: true });
+            const finding = this.ui.addFinding(title, description, severity, component, photo);
+            console.log('[App] Finding recorded:', finding.id, finding.title);
+
+            return { recorded: true, findingId: finding.id, clip: this._attachClip(finding) };
+        });
+
+        this.gemini.registerTool({
+            name: 'record_asset',
+            description: 'Record the equipment identification read from the nameplate or asset tag. Include only the fields you can actually read; call again to add or correct fields.',
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    asset_tag: { type: 'STRING', description: 'Customer asset tag / ID if printed on a label' },
+                    manufacturer: { type: 'STRING', description: 'Manufacturer / brand, e.g. "Carrier"' },
+                    model: { type: 'STRING', description: 'Model number exactly as printed' },
+                    serial: { type: 'STRING', description: 'Serial number exactly as printed' },
+                    capacity: { type: 'STRING', description: 'Rated capacity with units, e.g. "3 ton" or "80,000 BTU/h"' },
+                    refrigerant: { type: 'STRING', description: 'Refrigerant type, e.g. "R-410A"' },
+                    voltage: { type: 'STRING', description: 'Electrical rating, e.g. "208-230V 1Ph 60Hz"' },
+                    install_date: { type: 'STRING', description: 'Install or manufacture date if printed' }
+                }
+            }
+        }, (args) => {
+            const changed = this.ui.asset.update({ ...args, assetTag: args.asset_tag, installDate: args.install_date }, 'ai');
+
+            // The nameplate is in view while the AI reads it
+            if (changed.length > 0) {
+                this._captureNameplatePhoto('ai');
+            }
+            console.log('[App] Asset recorded:', changed.join(', ') || 'no changes');
+
+            // Decoded age/capacity lets the AI comment on equipment age
+            const decoded = this._decodeAsset(changed);
+            return {
+                recorded: true,
+                asset: this.ui.asset.fields,
+                decoded: Object.fromEntries(EquipmentDecoder.describe(decoded))
+            };
+        });
+
+        this.gemini.registerTool({
+            name: 'update_checklist_item',
+            description: 'Mark an inspection checklist step as passed, failed or not applicable once it has been checked.',
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    item_id: {
+                        type: 'STRING',
+                        enum: template.checklist.map(step => step.id),
+                        description: 'Checklist step ID'
+                    },
+                    status: {
+                        type: 'STRING',
+                        enum: ['pass', 'fail', 'na', 'pending'],
+                        description: 'pass = no issues, fail = issues found, na = not applicable or could not be checked, pending = reopen'
+                    },
+                    notes: {
+                        type: 'STRING',
+                        description: 'Short notes on what was checked'
+                    }
+                },
+                required: ['item_id', 'status']
+            }
+        }, (args) => {
+            const notes = args.notes !== undefined ? String(args.notes).trim() : undefined;
+            const item = this.ui.updateChecklistItem(String(args.item_id), String(args.status).toLowerCase(), notes, 'ai');
+            console.log('[App] Checklist updated:', item.id, item.status);
+
+            return { updated: true, completed: this.ui.checklist.getCompletedCount(), total: this.ui.checklist.items.length };
+        });
+
+        this.gemini.registerTool({
+            name: 'capture_clip',
+            description: 'Save a video clip (the last ~10 seconds plus the next 5) and attach it to a finding. record_finding already saves one; use this when the technician says "clip" or asks to capture a sound or movement again.',
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    finding_id: {
+                        type: 'STRING',
+                        description: 'Finding to attach the clip to (default: the most recent finding)'
+                    }
+                }
+            }
+        }, (args) => {
+            const finding = args.finding_id
+                ? this.ui.findings.find(candidate => candidate.id === String(args.finding_id))
+                : this.ui.getLatestFinding();
+            if (!finding) {
+                return { captured: false, error: 'No such finding - record the finding first' };
+            }
+
+            if (!this._attachClip(finding)) {
+                return { captured: false, error: 'Video clips are not available on this device' };
+            }
+            return { captured: true, findingId: finding.id };
+        });
+
+        if (photoIds.length === 0) {
+            return;
+        }
+
+        this.gemini.registerTool({
+            name: 'capture_required_photo',
+            description: 'Capture one of the photos the inspection report requires from the current camera view. Only call it when the subject is clearly in frame.',
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    photo_id: {
+                        type: 'STRING',
+                        enum: photoIds,
+                        description: template.requiredPhotos.map(photo => `${photo.id} = ${photo.label}`).join(', ')
+                    }
+                },
+                required: ['photo_id']
+            }
+        }, (args) => {
+            const photo = this._captureRequiredPhoto(String(args.photo_id), 'ai');
+            if (!photo) {
+                return { captured: false, error: 'No camera frame available' };
+            }
+
+            return { captured: true, missing: this.ui.getMissingRequiredPhotos().map(missing => missing.id) };
+        });
+    }
+
+    /**
+     * Save a clip from the camera's rolling buffer and attach it to a finding when ready
+     * @param {object} finding - Finding from the UI
+     * @returns {boolean} Whether a clip is being saved
+     */
+    _attachClip(finding) {
+        if (!this.camera.isClipAvailable()) {
+            return false;
+        }
+
+        this.ui.setFindingClipPending(finding.id);
+        const pending = this.camera.captureClip().then((clip) => {
+            this.ui.setFindingClip(finding.id, clip);
+            if (clip) {
+                console.log(`[App] Clip attached to ${finding.id} (${clip.durationMs} ms)`);
+            }
+        });
+
+        this.pendingClips.add(pending);
+        pending.finally(() => this.pendingClips.delete(pending));
+        return true;
+    }
+
+    /**
+     * Start the rolling clip buffer; mic audio is only included with recording consent
+     * @param {boolean} micStarted - Whether the microphone is running
+     */
+    _startClipBuffer(micStarted) {
+        const audioTracks = micStarted && this.ui.getRecordingConsent() && this.audio.mediaStream
+            ? this.audio.mediaStream.getAudioTracks()
+            : [];
+        this.ui.setClipAvailable(this.camera.startClipBuffer(audioTracks));
+    }
+
+    /**
+     * Capture a required photo at full resolution
+     * @param {string} id - Required photo ID
+     * @param {string} source - 'ai' or 'technician'
+     * @returns {object|null} The stored photo, or null if no frame was available
+     */
+    _captureRequiredPhoto(id, source) {
+        const data = this.camera.captureNow({ fullResolution: true });
+        if (!data) {
+            return null;
+        }
+
+        const photo = this.ui.setRequiredPhoto(id, data, source);
+        console.log('[App] Required photo captured:', id);
+        return photo;
+    }
+
+    /**
+     * Decode an asset that was filled in before the decoding rules had loaded
+     */
+    _redecodeAsset() {
+        const fields = this.ui.asset.fields;
+        if (!fields.manufacturer || (!fields.model && !fields.serial)) {
+            return;
+        }
+
+        const decoded = this._decodeAsset(['manufacturer', 'model', 'serial']);
+        if (decoded && this.isRunning && this.gemini.isReady()) {
+            const details = EquipmentDecoder.describe(decoded)
+                .map(([label, value]) => `${label}: ${value}`).join(', ');
+            this.gemini.sendText(`[Context] Decoded from the asset's serial and model numbers: ${details}.`);
+        }
+    }
+
+    /**
+     * Re-decode the asset when its manufacturer, model or serial changed
+     * @param {string[]} changed - Changed asset field IDs
+     * @returns {object|null} Current decoded details
+     */
+    _decodeAsset(changed) {
+        const asset = this.ui.asset;
+        if (!changed.some(field => ['manufacturer', 'model', 'serial'].includes(field))) {
+            return asset.decoded;
+        }
+
+        const decoded = this.decoder.decode(asset.fields);
+        asset.setDecoded(decoded);
+        if (decoded) {
+            console.log('[App] Asset decoded:', decoded);
+        }
+        return decoded;
+    }
+
+    /**
+     * Capture the nameplate photo at full resolution
+     * @param {string} source - 'ai' or 'technician'
+     * @returns {boolean} Whether a photo was captured
+     */
+    _captureNameplatePhoto(source) {
+        const data = this.camera.captureNow({ fullResolution: true });
+        if (!data) {
+            return false;
+        }
+
+        this.ui.asset.setNameplatePhoto(data, source);
+        console.log('[App] Nameplate photo captured');
+        return true;
+    }
+
+    /**
+     * Template picker, import/export and deletion
+     */
+    _setupTemplates() {
+        const refresh = () => {
+            const selected = this.templates.getSelected();
+            const customIds = this.templates.custom.map(template => template.id);
+            this.ui.setTemplateOptions(this.templates.list(), selected.id, customIds);
+            if (!this.isRunning) {
+                this.ui.setTemplate(selected);
+            }
+        };
+
+        this.ui.onTemplateSelected = (id) => {
+            this.templates.select(id);
+            refresh();
+        };
+
+        this.ui.onTemplateImport = async (file) => {
+            try {
+                const template = await this.templates.importFile(file);
+                refresh();
+                alert(`Imported template "${template.name}".`);
+            } catch (error) {
+                console.error('[App] Template import failed:', error);
+                alert(`Could not import template: ${error.message}`);
+            }
+        };
+
+        this.ui.onTemplateExport = (id) => {
+            try {
+                this.templates.exportFile(id);
+            } catch (error) {
+                console.error('[App] Template export failed:', error);
+                alert(`Could not export template: ${error.message}`);
+            }
+        };
+
+        this.ui.onTemplateDelete = (id) => {
+            const template = this.templates.get(id);
+            if (!template || !confirm(`Delete template "${template.name}"?`)) {
+                return;
+            }
+
+            try {
+                this.templates.delete(id);
+                refresh();
+            } catch (error) {
+                alert(error.message);
+            }
+        };
+
+        refresh();
+    }
+
+    /**
+     * Enter the suspended state: keep camera preview, transcript and findings,
+     * pause frame capture and playback until the connection is restored
+     * @param {string} [message] - Status message to show
+     */
+    _suspend(message) {
+        if (!this.isRunning) {
+            return;
+        }
+
+        this.ui.setConnectionStatus('suspended', message);
+
+        if (this.isSuspended) {
+            return;
+        }
+
+        console.log('[App] Session suspended');
+        this.isSuspended = true;
+
+        // Mic keeps running (chunks are dropped while not ready) so resuming is instant
+        this.camera.stopCapture();
+        this.camera.pause();
+        this.audio.stopPlayback();
+    }
+
+    /**
+     * Setup UI callbacks
+     */
+    _setupUICallbacks() {
+        // Voice detection sensitivity applies right away, even mid-inspection
+        this.audio.setVadSensitivity(this.ui.getVadSensitivity());
+        this.ui.onVadSensitivityChanged = (level) => {
+            this.audio.setVadSensitivity(level);
+        };
+
+        // Technician added a finding by hand - attach the current camera view
+        this.ui.onFindingSubmitted = ({ title, description, severity, component }) => {
+            if (!this.isRunning) {
+                return;
+            }
+
+            const photo = this.camera.captureNow({ fullResolution: true });
+            const finding = this.ui.addFinding(title, description, severity, component, photo);
+            console.log('[App] Manual finding added:', finding.id, finding.title);
+            this._attachClip(finding);
+
+            // Let the AI know so it doesn't record the same issue again
+            if (this.gemini.isReady()) {
+                this.gemini.sendText(`[Context] The technician recorded a ${severity} finding: ${title}${component ? ` (${component})` : ''}. ${description}`);
+            }
+        };
+
+        // Technician tapped "Clip" - attach it to the latest finding, or describe a new one
+        this.ui.onClipRequested = () => {
+            if (!this.isRunning) {
+                return;
+            }
+
+            const finding = this.ui.getLatestFinding();
+            if (!finding) {
+                // The new finding saves a clip with its pre-roll when it's submitted
+                this.ui.showFindingForm();
+                return;
+            }
+
+            if (this._attachClip(finding) && this.gemini.isReady()) {
+                this.gemini.sendText(`[Context] The technician saved a video clip for finding ${finding.id} (${finding.title}).`);
+            }
+        };
+
+        // Technician tapped a required photo - capture it from the current view
+        this.ui.onRequiredPhotoRequested = (id) => {
+            if (!this.isRunning) {
+                return;
+            }
+
+            const photo = this._captureRequiredPhoto(id, 'technician');
+            if (photo && this.gemini.isReady()) {
+                this.gemini.sendText(`[Context] The technician captured the required photo ${id} (${photo.label}).`);
+            }
+        };
+
+        // Technician tapped the nameplate tile - capture the current view
+        this.ui.onNameplatePhotoRequested = () => {
+            if (this.isRunning) {
+                this._captureNameplatePhoto('technician');
+            }
+        };
+
+        // Offline: photograph the current view for a checklist step
+        this.ui.onStepPhotoRequested = (stepId) => {
+            if (!this.isRunning) {
+                return;
+            }
+
+            const data = this.camera.captureNow({ fullResolution: true });
+            if (data) {
+                const capture = this.ui.addCapture(stepId, 'photo', data);
+                console.log(`[App] Photo ${capture.id} captured for ${stepId}`);
+            }
+        };
+
+        // Offline: start a voice note for a step, or stop the one being recorded
+        this.ui.onStepVoiceNoteToggled = async (stepId) => {
+            if (!this.isRunning) {
+                return;
+            }
+
+            const wasRecording = this.voiceNoteStepId;
+            if (wasRecording) {
+                await this._stopVoiceNote();
+            }
+            if (wasRecording !== stepId) {
+                this._startVoiceNote(stepId);
+            }
+        };
+
+        // Technician corrected the asset details - the AI should use them from now on
+        this.ui.onAssetEdited = (changed) => {
+            const decoded = this._decodeAsset(changed);
+
+            if (this.isRunning && this.gemini.isReady()) {
+                const fields = [...this.ui.asset.getFilledFields(), ...EquipmentDecoder.describe(decoded)]
+                    .map(([label, value]) => `${label}: ${value}`).join(', ');
+                this.gemini.sendText(`[Context] The technician updated the asset details: ${fields || 'cleared'}.`);
+            }
+        };
+
+        // Technician marked a checklist step - keep the AI in step
+        this.ui.onChecklistChanged = (item) => {
+            if (this.isRunning && this.gemini.isReady()) {
+                this.gemini.sendText(`[Context] The technician marked checklist item ${item.id} as ${item.status}${item.notes ? ` (${item.notes})` : ''}.`);
+            }
+        };
+    }
+
+    /**
+     * Wire "Generate Report" (after a session and from history) to the report generator
+     */
+    _setupReports() {
+        const elements = this.ui.getElements();
+
+        elements.reportBtn.addEventListener('click', () => this._openReportOptions(this.lastSessionId));
+        this.history.onGenerateReport = (sessionId) => this._openReportOptions(sessionId);
+
+        elements.reportPrintBtn.addEventListener('click', () => this._generateReport('html'));
+        elements.reportPdfBtn.addEventListener('click', () => this._generateReport('pdf'));
+    }
+
+    /**
+     * Load a saved session and show its report options
+     * @param {string} sessionId - Session ID
+     */
+    async _openReportOptions(sessionId) {
+        const session = sessionId ? await this.sessionStore.get(sessionId) : null;
+        if (!session) {
+            alert('This inspection is no longer stored on this device.');
+            return;
+        }
+
+        // Loaded up front so the report opens synchronously within the tap (popup blockers)
+        this.reportSession = session;
+        this.ui.showReportOptions();
+    }
+
+    /**
+     * Generate the report for the selected session
+     * @param {string} format - 'html' (printable view) or 'pdf' (download)
+     */
+    _generateReport(format) {
+        if (!this.reportSession) {
+            return;
+        }
+
+        const branding = { companyName: this.ui.getCompanyName() };
+
+        try {
+            if (format === 'pdf') {
+                this.reports.downloadPdf(this.reportSession, branding);
+            } else {
+                this.reports.openPrintView(this.reportSession, branding);
+            }
+            this.ui.hideReportOptions();
+        } catch (error) {
+            console.error('[App] Report generation failed:', error);
+            alert('Could not generate the report.');
+        }
+    }
+
     /**
      * Setup camera callbacks
      */
     _setupCameraCallbacks() {
         this.camera.onFrameCaptured = (base64Image) => {
-            if (this.gemini.isReady()) {
+            // Audio goes first - frames are dropped while the send buffer is backed up
+            if (this.gemini.isReady() && this.network.allowVideoFrame()) {
                 this.gemini.sendVideoFrame(base64Image);
             }
         };
 
+        // The whole video file has been reviewed - let the AI wrap up
+        this.camera.onEnded = () => {
+            if (!this.isRunning) {
+                return;
+            }
+
+            this.ui.addTranscript('ai', 'End of video. End the inspection once the AI has summarized its findings.');
+            if (this.gemini.isReady()) {
+                this.gemini.sendText('[Context] The video has ended - that is all the footage. Record any remaining findings, update the checklist, then give a short summary.');
+            }
+        };
+
         this.camera.onError = (error) => {
             console.error('[App] Camera error:', error);
             const message = this._getPermissionErrorMessage(error, 'camera');
             this.ui.setConnectionStatus('error', message);
         };
+
+        // Barcode scanning reuses the frames captured for the AI - no second stream
+        this.camera.onFrameDrawn = (canvas) => {
+            if (this.scanner.isScanning) {
+                this.scanner.scanFrame(canvas);
+            }
+        };
+
+        this.ui.onScanToggled = () => {
+            if (!this.isRunning) {
+                return;
+            }
+
+            if (this.scanner.isScanning) {
+                this.scanner.stop();
+                this.ui.setScanning(false);
+            } else {
+                this.ui.setScanning(true);
+                this.scanner.start().catch((error) => {
+                    console.error('[App] Could not start scanner:', error);
+                    this.scanner.stop();
+                    this.ui.setScanning(false);
+                    alert('Tag scanning is unavailable - the barcode decoder could not be loaded. Enter the asset tag by hand.');
+                });
+            }
+        };
+
+        this.scanner.onDetected = ({ format, value }) => {
+            this.ui.setScanning(false);
+
+            const changed = this.ui.asset.update({ assetTag: value }, 'technician');
+            if (changed.length === 0 || !this.gemini.isReady()) {
+                return;
+            }
+
+            // Tell the AI which asset this is so it can confirm against the nameplate
+            const kind = format === 'qr_code' ? 'QR code' : 'barcode';
+            this.gemini.sendText(`[Context] The technician scanned the asset tag ${kind}: "${value}". This is the asset being inspected.`);
+        };
     }
 
     /**
@@ -172,26 +1042,60 @@ class App {
      */
     _setupAudioCallbacks() {
         this.audio.onAudioChunk = (base64Audio) => {
-            if (this.gemini.isReady()) {
+            if (!this.isSuspended && this.input.isMicOpen() && this.gemini.isReady()) {
                 this.gemini.sendAudio(base64Audio);
             }
         };
 
+        // With push-to-talk the talk button drives the indicator and barge-in instead
         this.audio.onSpeechStart = () => {
+            if (!this.input.isMicOpen() || this.input.isPushToTalk()) {
+                return;
+            }
             console.log('[App] User speech started');
             this.ui.setUserSpeaking(true);
+        };
 
-            // Barge-in: stop AI playback when user speaks
+        // Barge-in: stop AI playback once the technician has clearly been talking for a moment,
+        // so a cough or a clank doesn't cut the AI off mid-sentence
+        this.audio.onSpeechSustained = () => {
+            if (!this.input.isMicOpen() || this.input.isPushToTalk()) {
+                return;
+            }
             if (this.audio.isSpeakingNow()) {
                 console.log('[App] Barge-in detected');
                 this.audio.stopPlayback();
-                this.ui.setAiSpeaking(false);
             }
         };
 
         this.audio.onSpeechEnd = () => {
+            if (!this.input.isMicOpen() || this.input.isPushToTalk()) {
+                return;
+            }
             console.log('[App] User speech ended');
             this.ui.setUserSpeaking(false);
+            this.network.markTurnStart();
+        };
+
+        this.audio.onInputAudio = (samples, sampleRate) => {
+            this.recorder.addInput(samples, sampleRate);
+            this.voiceNotes.addInput(samples, sampleRate);
+        };
+
+        this.audio.onOutputAudio = (samples, sampleRate, startTime) => {
+            this.recorder.addOutput(samples, sampleRate, startTime);
+        };
+
+        this.audio.onPlaybackStart = () => {
+            this.ui.setAiSpeaking(true);
+        };
+
+        this.audio.onPlaybackEnd = () => {
+            this.ui.setAiSpeaking(false);
+        };
+
+        this.audio.onPlaybackCut = () => {
+            this.recorder.cutOutput();
         };
 
         this.audio.onError = (error) => {
@@ -201,6 +1105,64 @@ class App {
         };
     }
 
+    /**
+     * Setup mic input mode callbacks (open mic, push-to-talk, mute)
+     */
+    _setupInputCallbacks() {
+        this.input.onModeChange = (mode) => {
+            this.ui.setInputMode(mode);
+            this.ui.setUserSpeaking(false);
+
+            // Activity detection is part of the setup message - hand over to a new
+            // connection, but only when it actually changes
+            const changed = this.gemini.setManualActivity(this.input.isPushToTalk());
+            if (changed && this.sessionEstablished && !this.isSuspended) {
+                this.gemini.resume('input mode changed');
+            }
+        };
+
+        // Push-to-talk: the press is an explicit barge-in and starts the technician's turn
+        this.input.onTalkStart = () => {
+            console.log('[App] Push-to-talk pressed');
+            if (this.audio.isSpeakingNow()) {
+                this.audio.stopPlayback();
+            }
+            this.gemini.sendActivityStart();
+            this.ui.setUserSpeaking(true);
+        };
+
+        this.input.onTalkEnd = () => {
+            console.log('[App] Push-to-talk released');
+            this.gemini.sendActivityEnd();
+            this.ui.setUserSpeaking(false);
+            this.network.markTurnStart();
+        };
+
+        this.input.onMuteChange = (muted) => {
+            this.audio.setMuted(muted);
+            this.ui.setMuted(muted);
+            if (muted) {
+                this.ui.setUserSpeaking(false);
+                // Let automatic activity detection finish whatever it heard before the mute
+                if (!this.input.isPushToTalk()) {
+                    this.gemini.sendAudioStreamEnd();
+                }
+            }
+        };
+
+        this.ui.onTalkPressed = () => this.input.pressTalk();
+        this.ui.onTalkReleased = () => this.input.releaseTalk();
+        this.ui.onMuteToggled = () => this.input.toggleMute();
+
+        // A prerecorded video always streams its own sound - the setting applies to live sessions
+        this.ui.onInputModeChanged = (mode) => {
+            if (!this.isRunning || this.source.type === 'camera') {
+                this.input.setMode(mode);
+            }
+        };
+        this.input.setMode(this.ui.getInputMode());
+    }
+
     /**
      * Get user-friendly error message for permission errors
      * @param {Error} error - The error object
@@ -259,10 +1221,13 @@ class App {
 
     /**
      * Start inspection session
+     * @param {object} [options]
+     * @param {File} [options.file] - Prerecorded video to inspect instead of the live camera
      */
-    async start() {
-        // Check for internet connection
-        if (!navigator.onLine) {
+    async start(options = {}) {
+        // Without a connection the Live API is unusable - capture now and analyze later instead
+        const offline = !navigator.onLine;
+        if (offline && options.file) {
             this.ui.setConnectionStatus('error', 'No internet connection');
             return;
         }
@@ -277,13 +1242,37 @@ class App {
 
         console.log('[App] Starting inspection...');
         this.isRunning = true;
+        this.sessionId = crypto.randomUUID();
         this.sessionStartTime = Date.now();
+        if (options.file) {
+            this.source = { type: 'file', name: options.file.name };
+        } else {
+            this.source = offline ? { type: 'offline' } : { type: 'camera' };
+        }
+
+        // The selected template drives the prompt, tools, checklist and required photos
+        this.template = this.templates.getSelected();
+        const prompt = this.templates.buildSystemPrompt(this.template);
+        this.gemini.setSystemPrompt(options.file ? `${prompt}\n\n${CONFIG.PROMPT_VIDEO_FILE}` : prompt);
+        this._setupTools(this.template);
+        console.log('[App] Template:', this.template.id);
+
+        // Push-to-talk and the headset buttons are for a technician talking live
+        this.input.setMode(this.source.type === 'camera' ? this.ui.getInputMode() : 'open');
+        if (this.source.type === 'camera') {
+            this.input.attachMediaSession();
+        }
 
         // Update UI
         this.ui.showStopButton();
+        this.ui.setTemplateLocked(true);
+        this.ui.setReportAvailable(false);
         this.ui.setConnectionStatus('connecting');
         this.ui.clearTranscript();
         this.ui.clearFindings();
+        this.ui.clearAsset();
+        this.ui.clearCaptures();
+        this.ui.setTemplate(this.template);
 
         try {
             // Initialize audio (requires user gesture)
@@ -292,9 +1281,12 @@ class App {
                 throw new Error('Failed to initialize audio');
             }
 
-            // Start camera
-            const cameraStarted = await this.camera.start();
-            if (!cameraStarted) {
+            // Start camera (or load the video file)
+            if (options.file) {
+                if (!await this.camera.startFromFile(options.file)) {
+                    throw new Error('Could not play this video file');
+                }
+            } else if (!await this.camera.start()) {
                 // Camera manager stores specific error info
                 const cameraError = new Error('Camera access failed');
                 cameraError.name = 'CameraError';
@@ -303,17 +1295,25 @@ class App {
 
             // Hide camera overlay
             this.ui.setCameraOverlay(false);
+            this.ui.setScanAvailable(true);
+
+            if (offline) {
+                await this._startOfflineCapture();
+                return;
+            }
 
             // Connect to Gemini (with built-in retry)
             this.gemini.connect(apiKey);
 
-            // Set session timeout (Gemini Live API has 10-min limit)
+            // Set overall inspection limit (connection handoffs are handled by the client)
             this.sessionTimeout = setTimeout(() => {
                 console.log('[App] Session timeout reached');
                 this.ui.addTranscript('ai', 'Session time limit reached. Ending inspection...');
                 this.stop();
             }, CONFIG.SESSION_TIMEOUT_MS);
 
+            this._startSessionTimer();
+
         } catch (error) {
             console.error('[App] Error starting:', error);
             const message = this._getPermissionErrorMessage(error, 'device');
@@ -326,86 +1326,301 @@ class App {
      * Stop inspection session
      */
     async stop() {
+        // Stop can be triggered again while this one awaits (button, timeout, error) -
+        // only the first call saves the session and queues the webhook
+        if (this.isStopping) {
+            return;
+        }
+        this.isStopping = true;
+        const wasRunning = this.isRunning;
+        this.isRunning = false;
+
         console.log('[App] Stopping inspection...');
 
-        // Clear timeout
-        if (this.sessionTimeout) {
-            clearTimeout(this.sessionTimeout);
-            this.sessionTimeout = null;
-        }
+        try {
+            // Clear timeout
+            if (this.sessionTimeout) {
+                clearTimeout(this.sessionTimeout);
+                this.sessionTimeout = null;
+            }
+            this._stopSessionTimer();
+
+            // Calculate session duration
+            const sessionDuration = this.sessionStartTime ? Date.now() - this.sessionStartTime : 0;
+
+            // Grab a last look at the equipment before the camera goes away
+            const snapshot = wasRunning ? this.camera.captureNow() : null;
+
+            // How much video was actually sent and what encoding cost (before camera.stop() clears the counts)
+            const diagnostics = {
+                frames: this.camera.getFrameStats(),
+                network: this.network.getStats(),
+                encoding: { video: this.camera.getEncodeMetrics(), audio: this.audio.getEncodeMetrics() },
+                vad: this.audio.getVadStats()
+            };
+            this.network.stop();
+
+            // Finish a voice note the technician was still recording
+            if (this.voiceNoteStepId) {
+                await this._stopVoiceNote();
+            }
 
-        // Calculate session duration
-        const sessionDuration = this.sessionStartTime ? Date.now() - this.sessionStartTime : 0;
+            // End a push-to-talk turn and unmute before the connection goes
+            this.input.detach();
 
-        // Stop all components
-        this.camera.stop();
-        this.audio.stopInput();
-        this.audio.stopPlayback();
-        this.gemini.disconnect();
+            // Stop all components
+            this.scanner.stop();
+            this.ui.setScanAvailable(false);
+            this.ui.setClipAvailable(false);
+            this.camera.stop();
+            this.audio.stopInput();
+            this.audio.stopPlayback();
+            this.gemini.disconnect();
+            const recording = await this._stopRecording();
 
-        // Collect session data (only if session ran for at least 5 seconds)
-        if (this.isRunning && sessionDuration > 5000) {
-            await this._sendWebhook(sessionDuration);
-        }
+            // Clips waiting for their post-roll were finished early by camera.stop()
+            await Promise.all(this.pendingClips);
 
-        // Reset state
-        this.isRunning = false;
-        this.sessionStartTime = null;
+            // Collect session data (only if session ran for at least 5 seconds)
+            if (wasRunning && sessionDuration > 5000) {
+                const saved = await this._saveSession(sessionDuration, snapshot, recording, diagnostics);
+                if (saved) {
+                    this.lastSessionId = this.sessionId;
+                }
 
-        // Update UI
-        this.ui.showStartButton();
-        this.ui.setConnectionStatus('disconnected');
-        this.ui.setCameraOverlay(true);
-        this.ui.setUserSpeaking(false);
-        this.ui.setAiSpeaking(false);
+                if (this.source.type === 'offline') {
+                    // The webhook is sent once the analysis has been merged in
+                    if (saved) {
+                        await this._queueAnalysis();
+                    }
+                } else {
+                    const sessionData = this.ui.getSessionData(sessionDuration);
+                    await this._queueWebhook({
+                        sessionId: this.sessionId,
+                        startTime: new Date(this.sessionStartTime).toISOString(),
+                        ...sessionData,
+                        findings: this._webhookFindings(sessionData.findings),
+                        source: this.source,
+                        diagnostics
+                    });
+                }
+            }
+        } catch (error) {
+            console.error('[App] Error stopping:', error);
+        } finally {
+            // Reset state even if saving failed, so the next session can start and stop
+            this.isStopping = false;
+            this.sessionId = null;
+            this.template = null;
+            this.source = null;
+            this.isSuspended = false;
+            this.sessionEstablished = false;
+            this.sessionStartTime = null;
+
+            // Update UI
+            this.ui.showStartButton();
+            this.ui.setTemplateLocked(false);
+            this.ui.setReportAvailable(Boolean(this.lastSessionId));
+            this.ui.setConnectionStatus('disconnected');
+            this.ui.setCameraOverlay(true);
+            this.ui.setUserSpeaking(false);
+            this.ui.setAiSpeaking(false);
+            this.ui.setOfflineCapture(false);
+            this.input.setMode(this.ui.getInputMode());
+            this.ui.setVideoTier(null);
+            this.camera.setQuality(CONFIG.VIDEO_QUALITY_TIERS[0]);
+        }
 
         console.log('[App] Inspection stopped');
     }
 
     /**
-     * Send session data to webhook
-     * @param {number} sessionDuration - Session duration in milliseconds
+     * Run an inspection without the Live API: the technician captures photos and
+     * voice notes per checklist step, analyzed once the network is back
      */
-    async _sendWebhook(sessionDuration) {
-        if (!CONFIG.WEBHOOK_URL) {
-            console.log('[App] No webhook URL configured');
+    async _startOfflineCapture() {
+        console.log('[App] No connection - starting offline inspection');
+        this.ui.setOfflineCapture(true);
+        this.ui.setConnectionStatus('offline', 'Offline - add photos and voice notes to each checklist step');
+
+        // Frames still feed the tag scanner; nothing is sent while offline
+        this.camera.startCapture();
+        const audioStarted = await this.audio.startInput();
+        if (audioStarted) {
+            this._startRecording();
+        }
+        this._startClipBuffer(audioStarted);
+    }
+
+    /**
+     * Start recording a voice note for a checklist step
+     * @param {string} stepId - Checklist item ID
+     */
+    _startVoiceNote(stepId) {
+        if (!this.audio.mediaStream) {
+            this.ui.setConnectionStatus('offline', 'Microphone unavailable - voice notes are off');
+            return;
+        }
+
+        this.voiceNoteStepId = stepId;
+        this.voiceNotes.start();
+        this.ui.setVoiceNoteRecording(stepId);
+        this.voiceNoteTimeout = setTimeout(() => this._stopVoiceNote(), CONFIG.VOICE_NOTE_MAX_MS);
+    }
+
+    /**
+     * Stop the voice note being recorded and store it with its step
+     */
+    async _stopVoiceNote() {
+        const stepId = this.voiceNoteStepId;
+        this.voiceNoteStepId = null;
+        clearTimeout(this.voiceNoteTimeout);
+        this.voiceNoteTimeout = null;
+        this.ui.setVoiceNoteRecording(null);
+
+        const note = await this.voiceNotes.stop();
+        if (!note || note.durationMs < 500) {
             return;
         }
 
-        const sessionData = this.ui.getSessionData(sessionDuration);
+        const capture = this.ui.addCapture(stepId, 'voice', note.wav, note.durationMs);
+        console.log(`[App] Voice note ${capture.id} recorded for ${stepId} (${note.durationMs} ms)`);
+    }
 
+    /**
+     * Queue the saved offline session for analysis and start it if we're back online
+     */
+    async _queueAnalysis() {
         try {
-            console.log('[App] Sending webhook...', sessionData);
+            await this.analyzer.enqueue(this.sessionId);
+        } catch (error) {
+            console.error('[App] Could not queue analysis:', error);
+            return;
+        }
 
-            const response = await fetch(CONFIG.WEBHOOK_URL, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(sessionData)
-            });
+        this._flushAnalysis();
+    }
 
-            if (response.ok) {
-                console.log('[App] Webhook sent successfully');
-            } else {
-                console.error('[App] Webhook failed:', response.status, response.statusText);
-            }
+    /**
+     * Start updating the remaining-time indicator
+     */
+    _startSessionTimer() {
+        this._stopSessionTimer();
+
+        const update = () => {
+            const elapsed = Date.now() - this.sessionStartTime;
+            this.ui.setSessionTimeRemaining(CONFIG.SESSION_TIMEOUT_MS - elapsed);
+        };
+
+        update();
+        this.sessionTimerInterval = setInterval(update, 1000);
+    }
+
+    /**
+     * Stop and hide the remaining-time indicator
+     */
+    _stopSessionTimer() {
+        if (this.sessionTimerInterval) {
+            clearInterval(this.sessionTimerInterval);
+            this.sessionTimerInterval = null;
+        }
+        this.ui.setSessionTimeRemaining(null);
+    }
+
+    /**
+     * Start recording session audio if the technician has consented
+     */
+    _startRecording() {
+        if (!this.isRunning || this.recorder.isRecording || !this.ui.getRecordingConsent()) {
+            return;
+        }
+
+        this.recorder.start(this.audio.createRecordingStream());
+        this.ui.setRecording(true);
+    }
+
+    /**
+     * Stop recording session audio
+     * @returns {Promise<object|null>} Recording, or null if none was made
+     */
+    async _stopRecording() {
+        this.ui.setRecording(false);
+
+        try {
+            return await this.recorder.stop();
         } catch (error) {
-            console.error('[App] Webhook error:', error);
+            console.error('[App] Could not finish recording:', error);
+            return null;
+        } finally {
+            this.audio.releaseRecordingStream();
         }
     }
 
     /**
-     * Monitor audio playback state for AI speaking indicator
+     * Save the session to local history
+     * @param {number} sessionDuration - Session duration in milliseconds
+     * @param {string|null} snapshot - Base64 JPEG of the final camera view
+     * @param {object|null} recording - Session audio from SessionRecorder
+     * @param {object} diagnostics - Frame counts and other technical details
+     * @returns {Promise<boolean>} Whether the session was saved
      */
-    _startPlaybackMonitor() {
-        // Check if audio is still playing every 100ms
-        setInterval(() => {
-            if (this.isRunning) {
-                const isPlaying = this.audio.isSpeakingNow();
-                this.ui.setAiSpeaking(isPlaying);
-            }
-        }, 100);
+    async _saveSession(sessionDuration, snapshot, recording, diagnostics) {
+        const images = [];
+        if (snapshot) {
+            images.push({ label: 'Final view', data: snapshot, timestamp: new Date().toISOString() });
+        }
+
+        // Audio, clips and offline captures stay in local history only - they are never sent to the webhook
+        const session = {
+            id: this.sessionId,
+            startTime: new Date(this.sessionStartTime).toISOString(),
+            ...this.ui.getSessionData(sessionDuration),
+            source: this.source,
+            diagnostics,
+            images,
+            recording,
+            captures: this.ui.captures
+        };
+        if (this.source.type === 'offline') {
+            session.analysis = { status: 'pending' };
+        }
+        return this.sessionStore.save(session);
+    }
+
+    /**
+     * Findings as sent to the webhook: clips stay in local history like the
+     * session audio, only their details go out
+     * @param {object[]} findings - Session findings
+     * @returns {object[]}
+     */
+    _webhookFindings(findings) {
+        return findings.map(({ clip, ...finding }) => (clip
+            ? { ...finding, clip: { mimeType: clip.mimeType, durationMs: clip.durationMs, startedAt: clip.startedAt } }
+            : finding));
+    }
+
+    /**
+     * Queue session data for webhook delivery
+     * Deliveries are retried until they succeed, keyed by session ID for idempotency
+     * @param {object} sessionData - Webhook payload (must include `sessionId`)
+     */
+    async _queueWebhook(sessionData) {
+        const webhookUrl = this.ui.getWebhookUrl();
+        if (!webhookUrl) {
+            console.log('[App] No webhook URL configured');
+            return;
+        }
+
+        try {
+            console.log('[App] Queueing webhook...', sessionData);
+            await this.outbox.enqueue(webhookUrl, sessionData, sessionData.sessionId);
+        } catch (error) {
+            console.error('[App] Could not queue webhook:', error);
+            return;
+        }
+
+        this._requestBackgroundSync();
+        this._flushOutbox();
     }
 }
 
@@ -413,7 +1628,6 @@ class App {
 document.addEventListener('DOMContentLoaded', () => {
     const app = new App();
     app.init();
-    app._startPlaybackMonitor();
 
     // Expose for debugging
     window.app = app;
@@ -0,0 +1,131 @@
+/**
+ * Asset Record
+ * Structured identification of the inspected equipment, read from its nameplate
+ */
+
+class AssetRecord {
+    constructor() {
+        this.reset();
+
+        // Callbacks
+        this.onChange = null; // Called with (record, changedFields)
+    }
+
+    /**
+     * Clear all fields and the nameplate photo
+     */
+    reset() {
+        this.fields = {};
+        for (const field of AssetRecord.FIELDS) {
+            this.fields[field.id] = '';
+        }
+        this.nameplatePhoto = null;
+        this.decoded = null;       // Details decoded from serial/model (see EquipmentDecoder)
+        this.updatedAt = null;
+        this.updatedBy = null;
+    }
+
+    /**
+     * Update fields; blank or unknown values are ignored
+     * @param {object} values - Field ID -> value
+     * @param {string} [source] - Who made the change ('ai' or 'technician')
+     * @param {object} [options]
+     * @param {boolean} [options.allowClear] - Let blank values clear a field (manual edits)
+     * @returns {string[]} IDs of the fields that changed
+     */
+    update(values, source = 'technician', options = {}) {
+        const changed = [];
+
+        for (const field of AssetRecord.FIELDS) {
+            if (!(field.id in values)) {
+                continue;
+            }
+
+            const value = values[field.id] == null ? '' : String(values[field.id]).trim();
+            if ((!value && !options.allowClear) || value === this.fields[field.id]) {
+                continue;
+            }
+
+            this.fields[field.id] = value;
+            changed.push(field.id);
+        }
+
+        if (changed.length > 0) {
+            this._touch(source, changed);
+        }
+        return changed;
+    }
+
+    /**
+     * Attach the nameplate photo
+     * @param {string} photo - Base64 JPEG
+     * @param {string} [source] - Who captured it
+     */
+    setNameplatePhoto(photo, source = 'technician') {
+        this.nameplatePhoto = photo;
+        this._touch(source, ['nameplatePhoto']);
+    }
+
+    /**
+     * Store details decoded from the serial and model numbers
+     * @param {object|null} decoded - EquipmentDecoder result
+     */
+    setDecoded(decoded) {
+        this.decoded = decoded;
+        if (this.onChange) {
+            this.onChange(this, ['decoded']);
+        }
+    }
+
+    /**
+     * Whether any field has been filled in
+     */
+    isEmpty() {
+        return AssetRecord.FIELDS.every(field => !this.fields[field.id]);
+    }
+
+    /**
+     * Labelled fields that have values
+     * @returns {Array<[string, string]>}
+     */
+    getFilledFields() {
+        return AssetRecord.FIELDS
+            .filter(field => this.fields[field.id])
+            .map(field => [field.label, this.fields[field.id]]);
+    }
+
+    /**
+     * Plain copy for session data
+     * @returns {object}
+     */
+    toJSON() {
+        return {
+            ...this.fields,
+            nameplatePhoto: this.nameplatePhoto,
+            decoded: this.decoded,
+            updatedAt: this.updatedAt,
+            updatedBy: this.updatedBy
+        };
+    }
+
+    _touch(source, changed) {
+        this.updatedAt = new Date().toISOString();
+        this.updatedBy = source;
+
+        if (this.onChange) {
+            this.onChange(this, changed);
+        }
+    }
+}
+
+// Fields in display order
+AssetRecord.FIELDS = [
+    { id: 'assetTag', label: 'Asset tag' },
+    { id: 'manufacturer', label: 'Manufacturer' },
+    { id: 'model', label: 'Model' },
+    { id: 'serial', label: 'Serial' },
+    { id: 'capacity', label: 'Capacity' },
+    { id: 'refrigerant', label: 'Refrigerant' },
+    { id: 'voltage', label: 'Voltage' },
+    { id: 'installDate', label: 'Install date' }
+];
@@ -16,22 +16,49 @@ class AudioManager {
         this.processorNode = null; // Can be AudioWorklet or ScriptProcessor
         this.useWorklet = false;
 
-        // Resampling for input (if needed)
-        this.inputResampler = null;
+        // Resampling (StreamingResampler) - the worklet runs its own copy for the mic
+        this.inputResampler = null;    // ScriptProcessor fallback only
+        this.outputResampler = null;   // 24 kHz AI speech -> output context rate
 
         // Output (speaker)
-        this.audioQueue = [];
-        this.isPlaying = false;
-        this.currentSource = null;
+        this.player = null;        // PlaybackScheduler (created with the output context)
+        this.outputBus = null;     // All AI speech passes through this node
 
-        // Voice Activity Detection
-        this.vadFramesAboveThreshold = 0;
-        this.isSpeaking = false;
+        // Session recording tap (mic + AI mixed)
+        this.recordingDestination = null;
+        this.recordingMicSource = null;
+
+        // Main-thread cost of mic encoding (zero when the worklet does it)
+        this.encodeMetrics = { mode: null, chunks: 0, mainThreadMs: 0 };
+
+        // Voice Activity Detection (on the mic after resampling)
+        this.vad = new VoiceActivityDetector(CONFIG.INPUT_SAMPLE_RATE);
+        this.vad.onStart = () => {
+            if (this.onSpeechStart) {
+                this.onSpeechStart();
+            }
+        };
+        this.vad.onEnd = () => {
+            if (this.onSpeechEnd) {
+                this.onSpeechEnd();
+            }
+        };
+        this.vad.onSustained = () => {
+            if (this.onSpeechSustained) {
+                this.onSpeechSustained();
+            }
+        };
 
         // Callbacks
         this.onAudioChunk = null;
         this.onSpeechStart = null;
         this.onSpeechEnd = null;
+        this.onSpeechSustained = null; // Called once speech has lasted long enough to count as a barge-in
+        this.onInputAudio = null;   // Called with (samples, sampleRate) for each mic chunk
+        this.onOutputAudio = null;  // Called with (samples, sampleRate, startTime) as each AI chunk is scheduled
+        this.onPlaybackStart = null; // Called when AI speech starts playing
+        this.onPlaybackEnd = null;  // Called when AI speech has finished playing (or was stopped)
+        this.onPlaybackCut = null;  // Called when AI playback is interrupted
         this.onError = null;
     }
 
@@ -91,6 +118,15 @@ class AudioManager {
                 this.outputContext = new AudioContextClass();
             }
 
+            this.outputBus = this.outputContext.createGain();
+            this.outputBus.connect(this.outputContext.destination);
+            this._setupPlayer();
+
+            // Safari ignores the requested rate - convert the AI's speech to whatever we got
+            this.outputResampler = this.outputContext.sampleRate !== CONFIG.OUTPUT_SAMPLE_RATE
+                ? new StreamingResampler(CONFIG.OUTPUT_SAMPLE_RATE, this.outputContext.sampleRate)
+                : null;
+
             // Resume contexts (required after user gesture)
             await this.inputContext.resume();
             await this.outputContext.resume();
@@ -111,8 +147,9 @@ class AudioManager {
 
     /**
      * Start microphone input
+     * @param {MediaStream} [stream] - Audio to use instead of the microphone (e.g. a video file's soundtrack)
      */
-    async startInput() {
+    async startInput(stream = null) {
         try {
             // Get microphone stream with Safari-compatible constraints
             const constraints = {
@@ -123,7 +160,8 @@ class AudioManager {
                 }
             };
 
-            this.mediaStream = await navigator.mediaDevices.getUserMedia(constraints);
+            this.mediaStream = stream || await navigator.mediaDevices.getUserMedia(constraints);
+            this.encodeMetrics = { mode: 'main', chunks: 0, mainThreadMs: 0 };
 
             // Create source from stream
             this.sourceNode = this.inputContext.createMediaStreamSource(this.mediaStream);
@@ -134,7 +172,7 @@ class AudioManager {
                 this._setupScriptProcessor();
             }
 
-            console.log('[Audio] Microphone started');
+            console.log(`[Audio] ${stream ? 'Stream input' : 'Microphone'} started`);
             return true;
         } catch (error) {
             console.error('[Audio] Error starting microphone:', error);
@@ -151,13 +189,19 @@ class AudioManager {
     async _setupWorklet() {
         try {
             await this.inputContext.audioWorklet.addModule(this._createWorkletURL());
-            this.processorNode = new AudioWorkletNode(this.inputContext, 'audio-processor');
+            this.processorNode = new AudioWorkletNode(this.inputContext, 'audio-processor', {
+                processorOptions: {
+                    targetRate: CONFIG.INPUT_SAMPLE_RATE,
+                    encode: CONFIG.ENCODE_OFF_MAIN_THREAD
+                }
+            });
 
             this.processorNode.port.onmessage = (event) => {
-                this._handleAudioData(event.data.audioData, event.data.rms);
+                this._handleAudioData(event.data.audioData, event.data.base64);
             };
 
             this.sourceNode.connect(this.processorNode);
+            this.encodeMetrics.mode = CONFIG.ENCODE_OFF_MAIN_THREAD ? 'worklet' : 'main';
             console.log('[Audio] Using AudioWorklet');
         } catch (error) {
             console.warn('[Audio] AudioWorklet failed, falling back to ScriptProcessor:', error);
@@ -172,19 +216,16 @@ class AudioManager {
         const bufferSize = CONFIG.AUDIO_CHUNK_SIZE;
         // ScriptProcessorNode is deprecated but works in Safari
         this.processorNode = this.inputContext.createScriptProcessor(bufferSize, 1, 1);
+        this.inputResampler = this.inputContext.sampleRate !== CONFIG.INPUT_SAMPLE_RATE
+            ? new StreamingResampler(this.inputContext.sampleRate, CONFIG.INPUT_SAMPLE_RATE)
+            : null;
 
         this.processorNode.onaudioprocess = (event) => {
             const inputData = event.inputBuffer.getChannelData(0);
-            const audioData = new Float32Array(inputData);
-
-            // Calculate RMS for VAD
-            let sum = 0;
-            for (let i = 0; i < audioData.length; i++) {
-                sum += audioData[i] * audioData[i];
-            }
-            const rms = Math.sqrt(sum / audioData.length);
-
-            this._handleAudioData(audioData, rms);
+            const audioData = this.inputResampler
+                ? this.inputResampler.process(inputData)
+                : new Float32Array(inputData);
+            this._handleAudioData(audioData);
         };
 
         this.sourceNode.connect(this.processorNode);
@@ -195,45 +236,30 @@ class AudioManager {
 
     /**
      * Handle processed audio data
+     * @param {Float32Array} processedData - Mic samples, already at INPUT_SAMPLE_RATE
+     * @param {string} [base64] - The same samples as base64 16-bit PCM, if the worklet encoded them
      */
-    _handleAudioData(audioData, rms) {
-        // Resample if input sample rate differs from target
-        let processedData = audioData;
-        if (this.inputContext.sampleRate !== CONFIG.INPUT_SAMPLE_RATE) {
-            processedData = this._resample(audioData, this.inputContext.sampleRate, CONFIG.INPUT_SAMPLE_RATE);
+    _handleAudioData(processedData, base64) {
+        this.encodeMetrics.chunks++;
+        if (!base64) {
+            const started = performance.now();
+            base64 = PcmCodec.bytesToBase64(new Uint8Array(PcmCodec.floatToPcm16(processedData).buffer));
+            this.encodeMetrics.mainThreadMs += performance.now() - started;
+        }
+
+        if (this.onInputAudio) {
+            this.onInputAudio(processedData, CONFIG.INPUT_SAMPLE_RATE);
         }
 
         // Voice Activity Detection
-        this._processVAD(rms);
+        this.vad.process(processedData);
 
         // Send audio chunk
         if (this.onAudioChunk) {
-            const base64 = this._float32ToBase64PCM16(processedData);
             this.onAudioChunk(base64);
         }
     }
 
-    /**
-     * Simple linear resampling
-     */
-    _resample(audioData, fromRate, toRate) {
-        if (fromRate === toRate) return audioData;
-
-        const ratio = fromRate / toRate;
-        const newLength = Math.round(audioData.length / ratio);
-        const result = new Float32Array(newLength);
-
-        for (let i = 0; i < newLength; i++) {
-            const srcIndex = i * ratio;
-            const srcIndexFloor = Math.floor(srcIndex);
-            const srcIndexCeil = Math.min(srcIndexFloor + 1, audioData.length - 1);
-            const t = srcIndex - srcIndexFloor;
-            result[i] = audioData[srcIndexFloor] * (1 - t) + audioData[srcIndexCeil] * t;
-        }
-
-        return result;
-    }
-
     /**
      * Stop microphone input
      */
@@ -257,8 +283,7 @@ class AudioManager {
             this.mediaStream = null;
         }
 
-        this.vadFramesAboveThreshold = 0;
-        this.isSpeaking = false;
+        this.vad.reset();
 
         console.log('[Audio] Microphone stopped');
     }
@@ -269,18 +294,12 @@ class AudioManager {
      */
     queueAudio(base64Audio) {
         try {
-            const pcmData = this._base64ToPCM16Float32(base64Audio);
+            const pcmData = PcmCodec.pcm16ToFloat(new Int16Array(PcmCodec.base64ToBytes(base64Audio).buffer));
 
             // Resample if output sample rate differs from source
-            let processedData = pcmData;
-            if (this.outputContext.sampleRate !== CONFIG.OUTPUT_SAMPLE_RATE) {
-                processedData = this._resample(pcmData, CONFIG.OUTPUT_SAMPLE_RATE, this.outputContext.sampleRate);
-            }
-
-            this.audioQueue.push(processedData);
-
-            if (!this.isPlaying) {
-                this._playNext();
+            const processedData = this.outputResampler ? this.outputResampler.process(pcmData) : pcmData;
+            if (processedData.length > 0) {
+                this.player.enqueue(processedData);
             }
         } catch (error) {
             console.error('[Audio] Error queueing audio:', error);
@@ -288,168 +307,172 @@ class AudioManager {
     }
 
     /**
-     * Stop all playback and clear queue
+     * The AI finished its turn - play out what is buffered without waiting for more
      */
-    stopPlayback() {
-        this.audioQueue = [];
+    markTurnComplete() {
+        if (!this.player) {
+            return;
+        }
 
-        if (this.currentSource) {
-            try {
-                this.currentSource.stop();
-            } catch (e) {
-                // Ignore errors if already stopped
+        // The last few milliseconds are still in the resampler's filter
+        if (this.outputResampler) {
+            const tail = this.outputResampler.flush();
+            if (tail.length > 0) {
+                this.player.enqueue(tail);
             }
-            this.currentSource = null;
         }
-
-        this.isPlaying = false;
-        console.log('[Audio] Playback stopped');
+        this.player.markTurnComplete();
     }
 
     /**
-     * Play next audio chunk from queue
+     * Stop all playback (with a short fade) and clear the buffer
      */
-    _playNext() {
-        if (this.audioQueue.length === 0) {
-            this.isPlaying = false;
+    stopPlayback() {
+        if (!this.player) {
             return;
         }
 
-        this.isPlaying = true;
-        const pcmData = this.audioQueue.shift();
-
-        try {
-            // Create audio buffer at context's sample rate
-            const audioBuffer = this.outputContext.createBuffer(
-                1, // mono
-                pcmData.length,
-                this.outputContext.sampleRate
-            );
-
-            audioBuffer.copyToChannel(pcmData, 0);
-
-            this.currentSource = this.outputContext.createBufferSource();
-            this.currentSource.buffer = audioBuffer;
-            this.currentSource.connect(this.outputContext.destination);
-
-            this.currentSource.onended = () => {
-                this.currentSource = null;
-                this._playNext();
-            };
+        if (this.outputResampler) {
+            this.outputResampler.reset();
+        }
 
-            this.currentSource.start();
-        } catch (error) {
-            console.error('[Audio] Error playing audio:', error);
-            this._playNext();
+        if (this.player.stop() && this.onPlaybackCut) {
+            this.onPlaybackCut();
         }
+        console.log('[Audio] Playback stopped');
     }
 
     /**
-     * Process Voice Activity Detection
+     * Create the playback scheduler and forward its events
      */
-    _processVAD(rms) {
-        if (rms > CONFIG.VAD_THRESHOLD) {
-            this.vadFramesAboveThreshold++;
-
-            if (!this.isSpeaking && this.vadFramesAboveThreshold >= CONFIG.VAD_CONSECUTIVE_FRAMES) {
-                this.isSpeaking = true;
-                console.log('[Audio] Speech started');
-                if (this.onSpeechStart) {
-                    this.onSpeechStart();
-                }
+    _setupPlayer() {
+        this.player = new PlaybackScheduler(this.outputContext, this.outputBus);
+
+        this.player.onStart = () => {
+            if (this.onPlaybackStart) {
+                this.onPlaybackStart();
             }
-        } else {
-            if (this.isSpeaking && this.vadFramesAboveThreshold > 0) {
-                this.vadFramesAboveThreshold--;
-
-                if (this.vadFramesAboveThreshold === 0) {
-                    this.isSpeaking = false;
-                    console.log('[Audio] Speech ended');
-                    if (this.onSpeechEnd) {
-                        this.onSpeechEnd();
-                    }
-                }
-            } else {
-                this.vadFramesAboveThreshold = 0;
+        };
+
+        this.player.onEnd = () => {
+            if (this.onPlaybackEnd) {
+                this.onPlaybackEnd();
             }
-        }
+        };
+
+        this.player.onScheduled = (samples, sampleRate, startTime) => {
+            if (this.onOutputAudio) {
+                this.onOutputAudio(samples, sampleRate, startTime);
+            }
+        };
     }
 
     /**
-     * Convert Float32Array to Base64 encoded PCM 16-bit
+     * Live mix of the mic and AI speech, for compressed session recording
+     * @returns {MediaStream|null}
      */
-    _float32ToBase64PCM16(float32Array) {
-        const int16Array = new Int16Array(float32Array.length);
-
-        for (let i = 0; i < float32Array.length; i++) {
-            const sample = float32Array[i];
-            const clamped = Math.max(-1, Math.min(1, sample));
-            int16Array[i] = clamped < 0 ? clamped * 0x8000 : clamped * 0x7FFF;
+    createRecordingStream() {
+        if (!this.outputContext || !this.outputContext.createMediaStreamDestination) {
+            return null;
         }
 
-        const bytes = new Uint8Array(int16Array.buffer);
-        let binary = '';
-        for (let i = 0; i < bytes.length; i++) {
-            binary += String.fromCharCode(bytes[i]);
+        this.releaseRecordingStream();
+        this.recordingDestination = this.outputContext.createMediaStreamDestination();
+        this.outputBus.connect(this.recordingDestination);
+
+        if (this.mediaStream) {
+            this.recordingMicSource = this.outputContext.createMediaStreamSource(this.mediaStream);
+            this.recordingMicSource.connect(this.recordingDestination);
         }
-        return btoa(binary);
+
+        return this.recordingDestination.stream;
     }
 
     /**
-     * Convert Base64 encoded PCM 16-bit to Float32Array
+     * Disconnect the recording mix
      */
-    _base64ToPCM16Float32(base64) {
-        const binary = atob(base64);
-        const bytes = new Uint8Array(binary.length);
-        for (let i = 0; i < binary.length; i++) {
-            bytes[i] = binary.charCodeAt(i);
+    releaseRecordingStream() {
+        if (this.recordingMicSource) {
+            this.recordingMicSource.disconnect();
+            this.recordingMicSource = null;
         }
 
-        const int16Array = new Int16Array(bytes.buffer);
-        const float32Array = new Float32Array(int16Array.length);
-        for (let i = 0; i < int16Array.length; i++) {
-            float32Array[i] = int16Array[i] / 32768.0;
+        if (this.recordingDestination) {
+            this.outputBus.disconnect(this.recordingDestination);
+            this.recordingDestination = null;
         }
-
-        return float32Array;
     }
 
     /**
      * Create AudioWorklet processor as a Blob URL
+     * The mic is resampled and encoded to base64 PCM right in the audio thread;
+     * only the finished chunk (plus the samples, transferred) reaches the main thread
      */
     _createWorkletURL() {
         const workletCode = `
+            ${StreamingResampler.toString()}
+
+            ${PcmCodec.toString()}
+            PcmCodec.ALPHABET = new Uint8Array([${PcmCodec.ALPHABET}]);
+
             class AudioProcessor extends AudioWorkletProcessor {
-                constructor() {
+                constructor(options) {
                     super();
-                    this.buffer = [];
                     this.chunkSize = ${CONFIG.AUDIO_CHUNK_SIZE};
+
+                    // Ring buffer of input samples - no per-sample array growth or splicing
+                    this.ring = new Float32Array(this.chunkSize * 4);
+                    this.readIndex = 0;
+                    this.available = 0;
+
+                    // sampleRate is the worklet global for the context's rate
+                    const targetRate = options.processorOptions.targetRate;
+                    this.encode = options.processorOptions.encode;
+                    this.resampler = sampleRate !== targetRate ? new StreamingResampler(sampleRate, targetRate) : null;
                 }
 
                 process(inputs, outputs, parameters) {
                     const input = inputs[0];
                     if (!input || !input[0]) return true;
 
-                    const channelData = input[0];
+                    this._write(input[0]);
 
-                    for (let i = 0; i < channelData.length; i++) {
-                        this.buffer.push(channelData[i]);
+                    while (this.available >= this.chunkSize) {
+                        const inputData = this._read(this.chunkSize);
+                        const audioData = this.resampler ? this.resampler.process(inputData) : inputData;
+                        const base64 = this.encode
+                            ? PcmCodec.bytesToBase64(new Uint8Array(PcmCodec.floatToPcm16(audioData).buffer))
+                            : null;
+                        this.port.postMessage({ audioData, base64 }, [audioData.buffer]);
                     }
 
-                    while (this.buffer.length >= this.chunkSize) {
-                        const chunk = this.buffer.splice(0, this.chunkSize);
-                        const audioData = new Float32Array(chunk);
-
-                        let sum = 0;
-                        for (let i = 0; i < audioData.length; i++) {
-                            sum += audioData[i] * audioData[i];
-                        }
-                        const rms = Math.sqrt(sum / audioData.length);
+                    return true;
+                }
 
-                        this.port.postMessage({ audioData, rms });
+                _write(samples) {
+                    const capacity = this.ring.length;
+                    const writeIndex = (this.readIndex + this.available) % capacity;
+                    const firstPart = Math.min(samples.length, capacity - writeIndex);
+                    this.ring.set(samples.subarray(0, firstPart), writeIndex);
+                    this.ring.set(samples.subarray(firstPart), 0);
+
+                    // Main thread fell far behind - drop the oldest audio
+                    this.available += samples.length;
+                    if (this.available > capacity) {
+                        this.readIndex = (this.readIndex + this.available - capacity) % capacity;
+                        this.available = capacity;
                     }
+                }
 
-                    return true;
+                _read(count) {
+                    const capacity = this.ring.length;
+                    const chunk = new Float32Array(count);
+                    const firstPart = Math.min(count, capacity - this.readIndex);
+                    chunk.set(this.ring.subarray(this.readIndex, this.readIndex + firstPart));
+                    chunk.set(this.ring.subarray(0, count - firstPart), firstPart);
+                    this.readIndex = (this.readIndex + count) % capacity;
+                    this.available -= count;
+                    return chunk;
                 }
             }
 
@@ -476,20 +499,62 @@ class AudioManager {
      * Check if currently speaking (playing audio)
      */
     isSpeakingNow() {
-        return this.isPlaying;
+        return Boolean(this.player && this.player.isPlaying);
+    }
+
+    /**
+     * Mic encoding cost for diagnostics
+     * @returns {{mode: string, chunks: number, mainThreadMsPerChunk: number}}
+     */
+    getEncodeMetrics() {
+        const { mode, chunks, mainThreadMs } = this.encodeMetrics;
+        return {
+            mode,
+            chunks,
+            mainThreadMsPerChunk: chunks ? Math.round(mainThreadMs / chunks * 100) / 100 : 0
+        };
+    }
+
+    /**
+     * Silence the mic at the source, so nothing reaches the AI, the recording or a clip
+     * @param {boolean} muted - Whether to mute
+     */
+    setMuted(muted) {
+        if (this.mediaStream) {
+            this.mediaStream.getAudioTracks().forEach(track => {
+                track.enabled = !muted;
+            });
+        }
+    }
+
+    /**
+     * Set how easily the technician's speech is detected
+     * @param {string} level - Key of CONFIG.VAD_SENSITIVITY_LEVELS
+     */
+    setVadSensitivity(level) {
+        this.vad.setSensitivity(level);
+    }
+
+    /**
+     * Voice detection state for diagnostics
+     * @returns {object} See VoiceActivityDetector.getStats()
+     */
+    getVadStats() {
+        return this.vad.getStats();
     }
 
     /**
      * Check if user is speaking (based on VAD)
      */
     isUserSpeaking() {
-        return this.isSpeaking;
+        return this.vad.isSpeaking;
     }
 
     /**
      * Cleanup all resources
      */
     destroy() {
+        this.releaseRecordingStream();
         this.stopInput();
         this.stopPlayback();
 
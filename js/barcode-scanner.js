@@ -0,0 +1,150 @@
+/**
+ * Barcode Scanner
+ * Decodes QR and Code 128 asset tags from the camera's capture canvas.
+ * Uses the native BarcodeDetector where available, otherwise the bundled
+ * jsQR library (loaded on first use) and Code128Decoder
+ */
+
+class BarcodeScanner {
+    constructor() {
+        this.detector = null;
+        this.fallbackReady = null;   // Promise for the jsQR script
+        this.code128 = new Code128Decoder();
+        this.isScanning = false;
+        this.isBusy = false;
+
+        // Callbacks
+        this.onDetected = null; // Called with { format, value }
+    }
+
+    /**
+     * Start scanning frames passed to scanFrame()
+     * Rejects (and stays stopped) if neither decoder is available, e.g. jsQR failed to load
+     */
+    async start() {
+        if (this.isScanning) {
+            return;
+        }
+
+        this.isScanning = true;
+        try {
+            await this._prepare();
+            await this.fallbackReady;
+        } catch (error) {
+            this.isScanning = false;
+            throw error;
+        }
+        console.log(`[Scanner] Scanning (${this.detector ? 'BarcodeDetector' : 'JS decoder'})`);
+    }
+
+    /**
+     * Stop scanning
+     */
+    stop() {
+        this.isScanning = false;
+    }
+
+    /**
+     * Scan one frame; frames arriving while the previous one is still decoding are dropped
+     * @param {HTMLCanvasElement} canvas - Canvas holding the current frame
+     */
+    async scanFrame(canvas) {
+        if (!this.isScanning || this.isBusy) {
+            return;
+        }
+
+        this.isBusy = true;
+        try {
+            const result = this.detector
+                ? await this._detectNative(canvas)
+                : await this._detectFallback(canvas);
+
+            if (result && this.isScanning) {
+                console.log('[Scanner] Detected', result.format, result.value);
+                this.stop();
+                if (this.onDetected) {
+                    this.onDetected(result);
+                }
+            }
+        } catch (error) {
+            console.error('[Scanner] Error scanning frame:', error);
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    /**
+     * Pick the native detector if it supports our formats, else load the fallback
+     */
+    async _prepare() {
+        if (this.detector || this.fallbackReady) {
+            return;
+        }
+
+        if ('BarcodeDetector' in window) {
+            try {
+                const supported = await BarcodeDetector.getSupportedFormats();
+                const formats = BarcodeScanner.FORMATS.filter(format => supported.includes(format));
+                if (formats.length === BarcodeScanner.FORMATS.length) {
+                    this.detector = new BarcodeDetector({ formats });
+                    return;
+                }
+            } catch (error) {
+                console.warn('[Scanner] BarcodeDetector unavailable:', error);
+            }
+        }
+
+        this.fallbackReady = this._loadScript(BarcodeScanner.JSQR_URL);
+    }
+
+    /**
+     * Decode with the browser's BarcodeDetector
+     * @param {HTMLCanvasElement} canvas - Canvas holding the current frame
+     * @returns {Promise<{format: string, value: string}|null>} First code found, or null
+     */
+    async _detectNative(canvas) {
+        const codes = await this.detector.detect(canvas);
+        const code = codes.find(candidate => candidate.rawValue);
+        return code ? { format: code.format, value: code.rawValue } : null;
+    }
+
+    /**
+     * Decode with jsQR, then Code128Decoder if there's no QR code
+     * @param {HTMLCanvasElement} canvas - Canvas holding the current frame
+     * @returns {Promise<{format: string, value: string}|null>} Code found, or null
+     */
+    async _detectFallback(canvas) {
+        await this.fallbackReady;
+
+        const imageData = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+        const qr = window.jsQR(imageData.data, imageData.width, imageData.height, { inversionAttempts: 'dontInvert' });
+        if (qr && qr.data) {
+            return { format: 'qr_code', value: qr.data };
+        }
+
+        const text = this.code128.decode(imageData);
+        return text ? { format: 'code_128', value: text } : null;
+    }
+
+    /**
+     * Load a classic script once
+     * @param {string} src - Script URL
+     */
+    _loadScript(src) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = resolve;
+            script.onerror = () => {
+                // Forget the failure so the next start() tries again
+                this.fallbackReady = null;
+                script.remove();
+                reject(new Error(`Failed to load ${src}`));
+            };
+            document.head.appendChild(script);
+        });
+    }
+}
+
+BarcodeScanner.FORMATS = ['qr_code', 'code_128'];
+BarcodeScanner.JSQR_URL = 'js/vendor/jsQR.js';
@@ -0,0 +1,518 @@
+/**
+ * Batch Analyzer
+ * Queue of offline inspections waiting for analysis. Once the network is back,
+ * each one's photos and voice notes are sent to the non-streaming generateContent
+ * endpoint and the findings, checklist results and summary are merged into the
+ * saved session, just as a live inspection would have recorded them. Media too
+ * big to send inline (e.g. long voice notes) is uploaded through the Files API
+ */
+
+class BatchAnalyzer {
+    /**
+     * @param {InspectionDatabase} database - Shared database wrapper
+     * @param {SessionStore} sessionStore - Saved sessions
+     * @param {TemplateManager} templates - Inspection templates (for the domain prompt)
+     * @param {EquipmentDecoder} decoder - Serial/model decoding rules
+     */
+    constructor(database, sessionStore, templates, decoder) {
+        this.database = database;
+        this.sessionStore = sessionStore;
+        this.templates = templates;
+        this.decoder = decoder;
+        this.flushPromise = null;
+
+        // Callbacks
+        this.onChange = null;   // Called with { pending, failed } after the queue changes
+        this.onAnalyzed = null; // Called with the updated session record
+    }
+
+    /**
+     * Queue a saved offline session for analysis
+     * @param {string} sessionId - Session ID
+     */
+    async enqueue(sessionId) {
+        await this.database.put('analysis_queue', {
+            id: sessionId,
+            attempts: 0,
+            status: 'pending',
+            createdAt: new Date().toISOString(),
+            lastError: null
+        });
+        console.log('[Analyzer] Queued session', sessionId);
+        await this._notifyChange();
+    }
+
+    /**
+     * Analyze queued sessions
+     * @param {string} apiKey - Gemini API key
+     * @param {object} [options]
+     * @param {boolean} [options.force] - Retry sessions that failed permanently too
+     * @returns {Promise<number>} Number of sessions analyzed
+     */
+    flush(apiKey, options = {}) {
+        // Only one flush at a time
+        if (!this.flushPromise) {
+            this.flushPromise = this._flush(apiKey, options).finally(() => {
+                this.flushPromise = null;
+            });
+        }
+        return this.flushPromise;
+    }
+
+    /**
+     * Get queue counts
+     * @returns {Promise<{pending: number, failed: number}>}
+     */
+    async getStats() {
+        const entries = await this.database.getAll('analysis_queue');
+        return {
+            pending: entries.filter(entry => entry.status === 'pending').length,
+            failed: entries.filter(entry => entry.status === 'failed').length
+        };
+    }
+
+    /**
+     * Analyze queued sessions oldest first (see flush)
+     */
+    async _flush(apiKey, { force = false } = {}) {
+        let entries;
+        try {
+            entries = await this.database.getAll('analysis_queue');
+        } catch (error) {
+            console.error('[Analyzer] Error reading queue:', error);
+            return 0;
+        }
+
+        const due = entries
+            .filter(entry => force || entry.status === 'pending')
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+        let analyzed = 0;
+        for (const entry of due) {
+            const result = await this._analyze(entry, apiKey);
+            if (result === 'analyzed') {
+                analyzed++;
+            } else if (result === 'offline') {
+                // No point trying the rest until the network is back
+                break;
+            }
+        }
+
+        await this._notifyChange();
+        return analyzed;
+    }
+
+    /**
+     * Analyze one session and update or remove its queue entry
+     * @param {object} entry - Queue entry
+     * @param {string} apiKey - Gemini API key
+     * @returns {Promise<string>} 'analyzed', 'failed' or 'offline'
+     */
+    async _analyze(entry, apiKey) {
+        const session = await this.sessionStore.get(entry.id);
+        if (!session) {
+            // Deleted from history before it was analyzed
+            await this.database.delete('analysis_queue', entry.id);
+            return 'failed';
+        }
+
+        entry.attempts++;
+        console.log(`[Analyzer] Analyzing ${entry.id} (attempt ${entry.attempts})`);
+
+        let result;
+        try {
+            result = await this._request(session, apiKey);
+        } catch (error) {
+            entry.lastError = error.message || 'Network error';
+            entry.status = error.retryable === false ? 'failed' : 'pending';
+            console.warn(`[Analyzer] Analysis of ${entry.id} failed: ${entry.lastError}`);
+
+            session.analysis = { status: entry.status, lastError: entry.lastError };
+            await this.sessionStore.save(session);
+            await this.database.put('analysis_queue', entry);
+            return error.status ? 'failed' : 'offline';
+        }
+
+        this._merge(session, result);
+        if (!await this.sessionStore.save(session)) {
+            return 'failed';
+        }
+
+        await this.database.delete('analysis_queue', entry.id);
+        console.log(`[Analyzer] Analyzed ${entry.id}: ${session.findings.length} finding(s)`);
+
+        if (this.onAnalyzed) {
+            this.onAnalyzed(session);
+        }
+        return 'analyzed';
+    }
+
+    /**
+     * Send the session to generateContent
+     * @param {object} session - Saved session record
+     * @param {string} apiKey - Gemini API key
+     * @returns {Promise<object>} Parsed analysis (see _responseSchema)
+     */
+    async _request(session, apiKey) {
+        const template = this._getTemplate(session);
+        const body = {
+            systemInstruction: { parts: [{ text: this.templates.buildOfflinePrompt(template) }] },
+            contents: [{ role: 'user', parts: await this._buildParts(session, apiKey) }],
+            generationConfig: {
+                responseMimeType: 'application/json',
+                responseSchema: this._responseSchema(session)
+            }
+        };
+
+        const response = await fetch(`${CONFIG.GEMINI_API_URL}/${CONFIG.GEMINI_BATCH_MODEL}:generateContent`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-goog-api-key': apiKey
+            },
+            body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+            throw this._httpError(response);
+        }
+
+        let candidate;
+        try {
+            const data = await response.json();
+            candidate = (data.candidates || [])[0];
+            const text = candidate && candidate.content
+                ? candidate.content.parts.map(part => part.text || '').join('')
+                : '';
+            return JSON.parse(text);
+        } catch (error) {
+            // The same session would most likely get the same answer - park it until a manual retry
+            const parseError = new Error(`Unreadable response${candidate ? ` (${candidate.finishReason})` : ''}`);
+            parseError.status = response.status;
+            parseError.retryable = false;
+            throw parseError;
+        }
+    }
+
+    /**
+     * The session's template, or a stand-in built from the record if it was deleted since
+     */
+    _getTemplate(session) {
+        return this.templates.get(session.template.id) || {
+            systemPrompt: '',
+            checklist: session.checklist,
+            severities: session.template.severities
+        };
+    }
+
+    /**
+     * Build the request: per checklist step, the technician's status plus their photos and voice notes
+     * @param {object} session - Saved session record
+     * @param {string} apiKey - Gemini API key (for uploading large media)
+     * @returns {Promise<object[]>} Content parts
+     */
+    async _buildParts(session, apiKey) {
+        const media = { apiKey, inlineBytes: 0 };
+        const captures = session.captures || [];
+        const asset = AssetRecord.FIELDS
+            .filter(field => session.asset[field.id])
+            .map(field => `${field.label}: ${session.asset[field.id]}`)
+            .join(', ');
+
+        const parts = [{
+            text: `Offline inspection: ${session.template.name}${session.technician ? `, by ${session.technician}` : ''}. Asset details entered: ${asset || 'none'}.`
+        }];
+
+        for (const step of session.checklist) {
+            const marked = step.status !== 'pending' ? ` - technician marked ${step.status}${step.notes ? ` (${step.notes})` : ''}` : '';
+            parts.push({ text: `Checklist step ${step.id}: ${step.label}${marked}` });
+
+            for (const capture of captures.filter(c => c.stepId === step.id)) {
+                if (capture.type === 'photo') {
+                    parts.push({ text: `Photo ${capture.id}:` });
+                    parts.push(await this._mediaPart(this._base64ToBlob(capture.data, 'image/jpeg'), media));
+                } else {
+                    parts.push({ text: `Voice note ${capture.id}:` });
+                    parts.push(await this._mediaPart(capture.data, media));
+                }
+            }
+        }
+
+        for (const photo of session.photos || []) {
+            parts.push({ text: `Required photo "${photo.label}":` });
+            parts.push(await this._mediaPart(this._base64ToBlob(photo.data, 'image/jpeg'), media));
+        }
+        if (session.asset.nameplatePhoto) {
+            parts.push({ text: 'Nameplate photo:' });
+            parts.push(await this._mediaPart(this._base64ToBlob(session.asset.nameplatePhoto, 'image/jpeg'), media));
+        }
+
+        return parts;
+    }
+
+    /**
+     * Content part for one photo or voice note: inline while it's small and the
+     * request has room, otherwise uploaded through the Files API
+     * @param {Blob} blob - Media (its type is the MIME type sent)
+     * @param {{apiKey: string, inlineBytes: number}} media - Per-request state (updated in place)
+     * @returns {Promise<object>} inlineData or fileData part
+     */
+    async _mediaPart(blob, media) {
+        if (blob.size <= CONFIG.BATCH_INLINE_MAX_BYTES &&
+            media.inlineBytes + blob.size <= CONFIG.BATCH_INLINE_TOTAL_BYTES) {
+            media.inlineBytes += blob.size;
+            return { inlineData: { mimeType: blob.type, data: await this._blobToBase64(blob) } };
+        }
+
+        const file = await this._uploadFile(blob, media.apiKey);
+        return { fileData: { mimeType: file.mimeType || blob.type, fileUri: file.uri } };
+    }
+
+    /**
+     * Upload media with the Files API (resumable upload, in one request) and wait until it's usable
+     * @param {Blob} blob - Media to upload
+     * @param {string} apiKey - Gemini API key
+     * @returns {Promise<object>} File resource ({ name, uri, mimeType, state })
+     */
+    async _uploadFile(blob, apiKey) {
+        const start = await fetch(CONFIG.GEMINI_UPLOAD_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-goog-api-key': apiKey,
+                'X-Goog-Upload-Protocol': 'resumable',
+                'X-Goog-Upload-Command': 'start',
+                'X-Goog-Upload-Header-Content-Length': String(blob.size),
+                'X-Goog-Upload-Header-Content-Type': blob.type
+            },
+            body: JSON.stringify({ file: { displayName: `inspection-media-${Date.now()}` } })
+        });
+        const uploadUrl = start.ok ? start.headers.get('X-Goog-Upload-URL') : null;
+        if (!uploadUrl) {
+            throw this._httpError(start, 'Upload');
+        }
+
+        const upload = await fetch(uploadUrl, {
+            method: 'POST',
+            headers: {
+                'X-Goog-Upload-Offset': '0',
+                'X-Goog-Upload-Command': 'upload, finalize'
+            },
+            body: blob
+        });
+        if (!upload.ok) {
+            throw this._httpError(upload, 'Upload');
+        }
+
+        let { file } = await upload.json();
+        console.log(`[Analyzer] Uploaded ${Math.round(blob.size / 1024)} KB as ${file.name}`);
+
+        // Audio and video are processed before they can be referenced
+        const deadline = Date.now() + CONFIG.BATCH_FILE_TIMEOUT_MS;
+        while (file.state === 'PROCESSING') {
+            if (Date.now() >= deadline) {
+                // Only this session waits - the next flush tries again, and the rest of the queue goes ahead
+                const error = new Error(`Upload ${file.name} still processing`);
+                error.status = 408;
+                error.retryable = true;
+                throw error;
+            }
+            await new Promise(resolve => setTimeout(resolve, CONFIG.BATCH_FILE_POLL_MS));
+
+            const response = await fetch(`${CONFIG.GEMINI_API_URL}/${file.name}`, {
+                headers: { 'x-goog-api-key': apiKey }
+            });
+            if (!response.ok) {
+                throw this._httpError(response, 'Upload');
+            }
+            file = await response.json();
+        }
+
+        if (file.state === 'FAILED') {
+            const error = new Error(`Upload ${file.name} could not be processed`);
+            error.status = 422;
+            error.retryable = false;
+            throw error;
+        }
+        return file;
+    }
+
+    /**
+     * Error for a failed response; client errors (bad key, request too large)
+     * won't fix themselves, so the session is parked until a manual retry
+     * @param {Response} response - Failed response
+     * @param {string} [context] - What was being sent, for the message
+     * @returns {Error} Error with status and retryable set
+     */
+    _httpError(response, context = '') {
+        const error = new Error(`${context ? `${context} failed: ` : ''}HTTP ${response.status} ${response.statusText}`);
+        error.status = response.status;
+        error.retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+        return error;
+    }
+
+    /**
+     * JSON schema the model must answer with
+     */
+    _responseSchema(session) {
+        const stepIds = session.checklist.map(step => step.id);
+        const string = { type: 'STRING' };
+
+        const asset = { type: 'OBJECT', properties: {} };
+        for (const field of AssetRecord.FIELDS) {
+            asset.properties[field.id] = string;
+        }
+
+        return {
+            type: 'OBJECT',
+            properties: {
+                summary: string,
+                findings: {
+                    type: 'ARRAY',
+                    items: {
+                        type: 'OBJECT',
+                        properties: {
+                            title: string,
+                            description: string,
+                            severity: { type: 'STRING', enum: session.template.severities.map(severity => severity.id) },
+                            component: string,
+                            stepId: { type: 'STRING', enum: stepIds },
+                            photoId: string
+                        },
+                        required: ['title', 'description', 'severity']
+                    }
+                },
+                checklist: {
+                    type: 'ARRAY',
+                    items: {
+                        type: 'OBJECT',
+                        properties: {
+                            id: { type: 'STRING', enum: stepIds },
+                            status: { type: 'STRING', enum: ['pass', 'fail', 'na'] },
+                            notes: string
+                        },
+                        required: ['id', 'status']
+                    }
+                },
+                asset,
+                transcripts: {
+                    type: 'ARRAY',
+                    items: {
+                        type: 'OBJECT',
+                        properties: {
+                            noteId: string,
+                            text: string
+                        },
+                        required: ['noteId', 'text']
+                    }
+                }
+            },
+            required: ['summary', 'findings', 'checklist']
+        };
+    }
+
+    /**
+     * Merge the analysis into the session; the technician's own entries always win
+     * @param {object} session - Saved session record (updated in place)
+     * @param {object} result - Parsed analysis
+     */
+    _merge(session, result) {
+        const now = new Date().toISOString();
+        const captures = session.captures || [];
+        const severities = session.template.severities;
+
+        // Findings continue the session's numbering; the photo comes from the capture the model cited
+        for (const finding of result.findings || []) {
+            const photo = captures.find(c => c.type === 'photo' && c.id === finding.photoId)
+                || captures.find(c => c.type === 'photo' && c.stepId === finding.stepId);
+            session.findings.push({
+                id: `F${session.findings.length + 1}`,
+                title: finding.title,
+                description: finding.description,
+                // Severities are ordered most to least severe - fall back to the mildest
+                severity: severities.some(s => s.id === finding.severity) ? finding.severity : severities[severities.length - 1].id,
+                component: finding.component || '',
+                photo: photo ? photo.data : null,
+                timestamp: now
+            });
+        }
+
+        // Only steps the technician left pending
+        for (const update of result.checklist || []) {
+            const item = session.checklist.find(step => step.id === update.id);
+            if (item && item.status === 'pending' && Checklist.STATUSES.includes(update.status)) {
+                item.status = update.status;
+                item.notes = update.notes || item.notes;
+                item.updatedAt = now;
+                item.updatedBy = 'ai';
+            }
+        }
+
+        // Only blank asset fields, then decode like a live session would
+        const changed = [];
+        for (const field of AssetRecord.FIELDS) {
+            const value = result.asset && result.asset[field.id] ? String(result.asset[field.id]).trim() : '';
+            if (value && !session.asset[field.id]) {
+                session.asset[field.id] = value;
+                changed.push(field.id);
+            }
+        }
+        if (changed.length > 0) {
+            session.asset.updatedAt = now;
+            session.asset.updatedBy = 'ai';
+            session.asset.decoded = this.decoder.decode(session.asset) || session.asset.decoded;
+        }
+
+        // Voice notes become the technician's side of the transcript, at the time they were recorded
+        for (const transcript of result.transcripts || []) {
+            const note = captures.find(c => c.type === 'voice' && c.id === transcript.noteId);
+            if (note && transcript.text) {
+                session.transcript.push({ role: 'user', text: transcript.text, timestamp: note.timestamp });
+            }
+        }
+        session.transcript.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+        if (result.summary) {
+            session.transcript.push({ role: 'ai', text: result.summary, timestamp: now });
+        }
+
+        session.summary = result.summary || '';
+        session.analysis = { status: 'complete', model: CONFIG.GEMINI_BATCH_MODEL, completedAt: now };
+    }
+
+    /**
+     * Read a Blob as base64 (without the data: prefix)
+     */
+    _blobToBase64(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result.split(',')[1]);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * Decode stored base64 media into a Blob
+     * @param {string} base64 - Base64 data (without the data: prefix)
+     * @param {string} mimeType - MIME type
+     * @returns {Blob}
+     */
+    _base64ToBlob(base64, mimeType) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new Blob([bytes], { type: mimeType });
+    }
+
+    /**
+     * Report queue counts to the onChange listener
+     */
+    async _notifyChange() {
+        if (this.onChange) {
+            this.onChange(await this.getStats());
+        }
+    }
+}
@@ -0,0 +1,179 @@
+/**
+ * Built-in Inspection Templates
+ * Each template defines the AI's domain prompt, checklist steps, severity taxonomy
+ * and required photos. Supervisors can export these as JSON, edit and re-import them.
+ */
+
+const STANDARD_SEVERITIES = [
+    { id: 'critical', label: 'Critical', description: 'Safety hazard or immediate failure risk', color: '#e94560' },
+    { id: 'warning', label: 'Warning', description: 'Issue requiring attention soon', color: '#ffc107' },
+    { id: 'info', label: 'Info', description: 'Observation or minor note', color: '#00adb5' }
+];
+
+const BUILT_IN_TEMPLATES = [
+    {
+        id: 'hvac',
+        name: 'HVAC Unit',
+        version: 1,
+        systemPrompt: `You are an AI inspection assistant helping a field technician inspect HVAC equipment in real-time. You can see through their camera and hear them speak.
+
+YOUR ROLE:
+- Guide the technician step-by-step through a structured inspection
+- Analyze what you see in the camera feed
+- Identify equipment details, issues, and safety concerns
+- Speak naturally and concisely (1-2 sentences at a time)
+
+INSPECTION FLOW:
+1. Identify the Asset - ask to see nameplate/asset tag, read manufacturer, model, serial
+2. External Visual Inspection - check for rust, corrosion, damage, debris
+3. Electrical Components - wiring condition, connections, burn marks
+4. Operational Indicators - gauges, displays, unusual sounds
+5. Document Findings - summarize issues by severity`,
+        checklist: [
+            { id: 'asset_id', label: 'Identify the asset', description: 'Nameplate / asset tag: manufacturer, model, serial' },
+            { id: 'external_visual', label: 'External visual inspection', description: 'Rust, corrosion, damage, debris' },
+            { id: 'electrical', label: 'Electrical components', description: 'Wiring condition, connections, burn marks' },
+            { id: 'operational', label: 'Operational indicators', description: 'Gauges, displays, unusual sounds' },
+            { id: 'documentation', label: 'Document findings', description: 'Summarize issues by severity' }
+        ],
+        severities: STANDARD_SEVERITIES,
+        requiredPhotos: [
+            { id: 'nameplate', label: 'Nameplate' },
+            { id: 'overall', label: 'Overall unit' },
+            { id: 'electrical_panel', label: 'Electrical compartment' }
+        ]
+    },
+    {
+        id: 'boiler',
+        name: 'Boiler',
+        version: 1,
+        systemPrompt: `You are an AI inspection assistant helping a field technician inspect a commercial or residential boiler in real-time. You can see through their camera and hear them speak.
+
+YOUR ROLE:
+- Guide the technician step-by-step through a structured boiler inspection
+- Analyze what you see in the camera feed
+- Identify equipment details, leaks, combustion and safety-control issues
+- Speak naturally and concisely (1-2 sentences at a time)
+
+INSPECTION FLOW:
+1. Identify the Asset - nameplate: manufacturer, model, serial, input rating, MAWP
+2. Venting and Combustion Air - flue connections, corrosion, blocked openings, soot
+3. Water Side - pressure/temperature gauge, relief valve, leaks, low-water cutoff
+4. Burner and Controls - flame appearance, ignition, control wiring, error codes
+5. Document Findings - summarize issues by severity`,
+        checklist: [
+            { id: 'asset_id', label: 'Identify the asset', description: 'Nameplate: manufacturer, model, serial, rating' },
+            { id: 'venting', label: 'Venting and combustion air', description: 'Flue connections, corrosion, soot, blocked openings' },
+            { id: 'water_side', label: 'Water side and safety valves', description: 'Gauges, relief valve, leaks, low-water cutoff' },
+            { id: 'burner_controls', label: 'Burner and controls', description: 'Flame, ignition, wiring, error codes' },
+            { id: 'documentation', label: 'Document findings', description: 'Summarize issues by severity' }
+        ],
+        severities: STANDARD_SEVERITIES,
+        requiredPhotos: [
+            { id: 'nameplate', label: 'Nameplate' },
+            { id: 'relief_valve', label: 'Pressure relief valve' },
+            { id: 'flue', label: 'Flue connection' }
+        ]
+    },
+    {
+        id: 'electrical_panel',
+        name: 'Electrical Panel',
+        version: 1,
+        systemPrompt: `You are an AI inspection assistant helping a field technician inspect an electrical distribution panel in real-time. You can see through their camera and hear them speak. Never ask the technician to touch energized parts; remind them to wear appropriate PPE when the dead front is removed.
+
+YOUR ROLE:
+- Guide the technician step-by-step through a structured panel inspection
+- Analyze what you see in the camera feed
+- Identify overheating, damaged insulation, improper terminations and labeling issues
+- Speak naturally and concisely (1-2 sentences at a time)
+
+INSPECTION FLOW:
+1. Identify the Asset - panel label: manufacturer, model, voltage, amperage rating
+2. Enclosure and Clearance - working clearance, enclosure damage, missing knockouts
+3. Breakers and Conductors - discoloration, burn marks, double taps, insulation damage
+4. Labeling and Grounding - circuit directory, grounding/bonding, neutral terminations
+5. Document Findings - summarize issues by severity`,
+        checklist: [
+            { id: 'asset_id', label: 'Identify the panel', description: 'Label: manufacturer, model, voltage, amperage' },
+            { id: 'enclosure', label: 'Enclosure and clearance', description: 'Working clearance, damage, open knockouts' },
+            { id: 'breakers', label: 'Breakers and conductors', description: 'Heat damage, double taps, insulation' },
+            { id: 'labeling_grounding', label: 'Labeling and grounding', description: 'Circuit directory, bonding, neutrals' },
+            { id: 'documentation', label: 'Document findings', description: 'Summarize issues by severity' }
+        ],
+        severities: STANDARD_SEVERITIES,
+        requiredPhotos: [
+            { id: 'panel_label', label: 'Panel label' },
+            { id: 'dead_front_removed', label: 'Interior (dead front removed)' },
+            { id: 'circuit_directory', label: 'Circuit directory' }
+        ]
+    },
+    {
+        id: 'fire_pump',
+        name: 'Fire Pump',
+        version: 1,
+        systemPrompt: `You are an AI inspection assistant helping a field technician perform a visual fire pump inspection (NFPA 25 style) in real-time. You can see through their camera and hear them speak.
+
+YOUR ROLE:
+- Guide the technician step-by-step through a structured fire pump inspection
+- Analyze what you see in the camera feed
+- Identify impairments and deficiencies in the pump, driver and controller
+- Speak naturally and concisely (1-2 sentences at a time)
+
+INSPECTION FLOW:
+1. Identify the Asset - pump and driver nameplates: manufacturer, model, serial, rated flow and pressure
+2. Pump Room - heat, ventilation, access, housekeeping
+3. Pump and Piping - suction/discharge gauges, valve positions, packing drip, leaks
+4. Controller and Driver - power available light, alarms, transfer switch, diesel fuel level and battery if applicable
+5. Document Findings - summarize impairments and deficiencies`,
+        checklist: [
+            { id: 'asset_id', label: 'Identify pump and driver', description: 'Nameplates: model, serial, rated flow/pressure' },
+            { id: 'pump_room', label: 'Pump room conditions', description: 'Heat, ventilation, access' },
+            { id: 'pump_piping', label: 'Pump and piping', description: 'Gauges, valve positions, packing, leaks' },
+            { id: 'controller_driver', label: 'Controller and driver', description: 'Power, alarms, fuel, batteries' },
+            { id: 'documentation', label: 'Document findings', description: 'Summarize impairments and deficiencies' }
+        ],
+        severities: [
+            { id: 'impairment', label: 'Impairment', description: 'System cannot perform its fire protection function', color: '#e94560' },
+            { id: 'critical_deficiency', label: 'Critical deficiency', description: 'Deficiency that could lead to an impairment if not corrected', color: '#ff7043' },
+            { id: 'noncritical_deficiency', label: 'Non-critical deficiency', description: 'Deficiency that does not affect system performance', color: '#ffc107' },
+            { id: 'info', label: 'Info', description: 'Observation or minor note', color: '#00adb5' }
+        ],
+        requiredPhotos: [
+            { id: 'pump_nameplate', label: 'Pump nameplate' },
+            { id: 'controller', label: 'Controller' },
+            { id: 'gauges', label: 'Suction and discharge gauges' }
+        ]
+    },
+    {
+        id: 'rooftop_solar',
+        name: 'Rooftop Solar',
+        version: 1,
+        systemPrompt: `You are an AI inspection assistant helping a field technician inspect a rooftop solar PV system in real-time. You can see through their camera and hear them speak. Remind the technician about fall protection near roof edges.
+
+YOUR ROLE:
+- Guide the technician step-by-step through a structured PV inspection
+- Analyze what you see in the camera feed
+- Identify module damage, racking and wiring issues, and inverter faults
+- Speak naturally and concisely (1-2 sentences at a time)
+
+INSPECTION FLOW:
+1. Identify the System - inverter and module labels: manufacturer, model, serial, ratings
+2. Modules - cracks, hot spots, delamination, soiling, shading
+3. Racking and Roof Penetrations - loose hardware, corrosion, flashing, ballast
+4. Wiring, Combiners and Inverter - wire management, connectors, disconnects, inverter status and error codes
+5. Document Findings - summarize issues by severity`,
+        checklist: [
+            { id: 'asset_id', label: 'Identify the system', description: 'Inverter and module labels' },
+            { id: 'modules', label: 'Modules', description: 'Cracks, hot spots, delamination, soiling' },
+            { id: 'racking', label: 'Racking and penetrations', description: 'Hardware, corrosion, flashing' },
+            { id: 'wiring_inverter', label: 'Wiring and inverter', description: 'Wire management, disconnects, error codes' },
+            { id: 'documentation', label: 'Document findings', description: 'Summarize issues by severity' }
+        ],
+        severities: STANDARD_SEVERITIES,
+        requiredPhotos: [
+            { id: 'inverter_label', label: 'Inverter label' },
+            { id: 'array_overview', label: 'Array overview' },
+            { id: 'disconnect', label: 'AC/DC disconnect' }
+        ]
+    }
+];
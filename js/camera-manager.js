@@ -1,6 +1,6 @@
 /**
  * Camera Manager
- * Handles camera access, preview, and frame capture
+ * Handles camera access (or a prerecorded video file), preview, and frame capture
  */
 
 class CameraManager {
@@ -8,12 +8,35 @@ class CameraManager {
         this.videoElement = null;
         this.canvasElement = null;
         this.canvasContext = null;
+        this.photoCanvas = null; // Full-resolution evidence photos
         this.stream = null;
-        this.captureInterval = null;
+        this.captureTimer = null;
         this.isCapturing = false;
+        this.quality = CONFIG.VIDEO_QUALITY_TIERS[0]; // Streaming size, JPEG quality and frame rates
+
+        // Scene-change detection: near-duplicate frames are skipped, fast changes send a burst
+        this.sceneDetector = new SceneChangeDetector();
+        this.lastSentAt = 0;      // performance.now() of the last frame sent
+        this.burstUntil = 0;      // Capture at the tier's burst rate until then
+        this.frameStats = { sent: 0, skipped: 0, bursts: 0 };
+
+        // JPEG encoding (in a worker where supported)
+        this.encoder = new FrameEncoder();
+
+        // Prerecorded video input (instead of the live camera)
+        this.isFileSource = false;
+        this.fileUrl = null;
+
+        // Rolling clip buffer: overlapping recorders, a new one every CLIP_SEGMENT_MS, so
+        // one of them always started between CLIP_PRE_ROLL_MS and one segment more ago
+        this.clipStream = null;
+        this.clipSegments = [];
+        this.clipInterval = null;
 
         // Callbacks
         this.onFrameCaptured = null;
+        this.onFrameDrawn = null; // Called with the capture canvas after each frame is drawn (barcode scanning)
+        this.onEnded = null;      // Called when a video file finishes playing
         this.onError = null;
     }
 
@@ -28,8 +51,17 @@ class CameraManager {
         this.canvasContext = canvasElement.getContext('2d');
 
         // Set canvas dimensions
-        this.canvasElement.width = CONFIG.VIDEO_WIDTH;
-        this.canvasElement.height = CONFIG.VIDEO_HEIGHT;
+        this.setQuality(this.quality);
+    }
+
+    /**
+     * Change the streaming quality tier; takes effect from the next frame
+     * @param {object} tier - Entry from CONFIG.VIDEO_QUALITY_TIERS
+     */
+    setQuality(tier) {
+        this.quality = tier;
+        this.canvasElement.width = tier.width;
+        this.canvasElement.height = tier.height;
     }
 
     /**
@@ -38,7 +70,8 @@ class CameraManager {
     async start() {
         // Try different constraint sets for cross-browser compatibility
         const constraintOptions = [
-            // Preferred: rear camera with ideal dimensions
+            // Preferred: rear camera at (near) native resolution, so evidence photos
+            // keep their detail; streamed frames are scaled down when drawn
             {
                 video: {
                     facingMode: { ideal: 'environment' },
@@ -140,11 +173,109 @@ class CameraManager {
         return false;
     }
 
+    /**
+     * Use a prerecorded video file instead of the camera
+     * The file is loaded paused on its first frame - call resume() to start playback.
+     * Its picture and sound then go through the same capture pipeline as a live session
+     * @param {File} file - Video file
+     * @returns {Promise<boolean>} Whether the file could be loaded
+     */
+    async startFromFile(file) {
+        const video = this.videoElement;
+        this.isFileSource = true;
+        this.fileUrl = URL.createObjectURL(file);
+
+        try {
+            video.srcObject = null;
+            video.setAttribute('playsinline', '');
+            video.setAttribute('webkit-playsinline', '');
+            // Unmuted: the soundtrack is what the AI hears (muted elements capture silence)
+            video.muted = false;
+            video.src = this.fileUrl;
+
+            await new Promise((resolve, reject) => {
+                const timeout = setTimeout(() => {
+                    reject(new Error('Video load timeout'));
+                }, 10000);
+
+                video.onloadedmetadata = () => {
+                    clearTimeout(timeout);
+                    resolve();
+                };
+
+                video.onerror = () => {
+                    clearTimeout(timeout);
+                    reject(new Error('Video element error'));
+                };
+            });
+
+            // Live tracks from the file, for clips and the audio pipeline (not available in Safari)
+            const captureStream = video.captureStream || video.mozCaptureStream;
+            this.stream = captureStream ? captureStream.call(video) : null;
+
+            video.onended = () => {
+                console.log('[Camera] Video file ended');
+                if (this.onEnded) {
+                    this.onEnded();
+                }
+            };
+
+            console.log(`[Camera] Loaded video file ${file.name} (${Math.round(video.duration)}s, ${video.videoWidth}x${video.videoHeight})`);
+            return true;
+        } catch (error) {
+            console.error('[Camera] Could not load video file:', error);
+            error.userMessage = 'Could not play this video file';
+            this.stop();
+            if (this.onError) {
+                this.onError(error);
+            }
+            return false;
+        }
+    }
+
+    /**
+     * Audio from the video file, or null (live camera, silent file or unsupported browser)
+     * @returns {MediaStream|null}
+     */
+    getFileAudioStream() {
+        if (!this.isFileSource || !this.stream || this.stream.getAudioTracks().length === 0) {
+            return null;
+        }
+        return new MediaStream(this.stream.getAudioTracks());
+    }
+
+    /**
+     * Pause video file playback (e.g. while reconnecting); no-op for the live camera
+     */
+    pause() {
+        if (this.isFileSource) {
+            this.videoElement.pause();
+        }
+    }
+
+    /**
+     * Start or continue video file playback; no-op for the live camera
+     */
+    async resume() {
+        if (!this.isFileSource || this.videoElement.ended) {
+            return;
+        }
+
+        try {
+            await this.videoElement.play();
+        } catch (error) {
+            console.error('[Camera] Could not play video file:', error);
+        }
+    }
+
     /**
      * Stop camera and release resources
      */
     stop() {
         this.stopCapture();
+        this.stopClipBuffer();
+        this.frameStats = { sent: 0, skipped: 0, bursts: 0 };
+        this.encoder.resetMetrics();
 
         if (this.stream) {
             this.stream.getTracks().forEach(track => track.stop());
@@ -155,11 +286,22 @@ class CameraManager {
             this.videoElement.srcObject = null;
         }
 
+        if (this.isFileSource) {
+            this.videoElement.onended = null;
+            this.videoElement.pause();
+            this.videoElement.removeAttribute('src');
+            this.videoElement.load();
+            this.videoElement.muted = true;
+            URL.revokeObjectURL(this.fileUrl);
+            this.fileUrl = null;
+            this.isFileSource = false;
+        }
+
         console.log('[Camera] Stopped');
     }
 
     /**
-     * Start capturing frames at configured FPS
+     * Start capturing frames at configured FPS (faster during bursts)
      */
     startCapture() {
         if (this.isCapturing) {
@@ -167,29 +309,89 @@ class CameraManager {
         }
 
         this.isCapturing = true;
-        const intervalMs = 1000 / CONFIG.VIDEO_CAPTURE_FPS;
 
-        this.captureInterval = setInterval(() => {
-            this._captureFrame();
-        }, intervalMs);
+        // The first frame always goes out (e.g. to a freshly resumed session)
+        this.sceneDetector.reset();
+        this.burstUntil = 0;
+        this._scheduleCapture();
 
-        console.log(`[Camera] Started capture at ${CONFIG.VIDEO_CAPTURE_FPS} FPS`);
+        console.log(`[Camera] Started capture at ${this.quality.fps} FPS (bursts at ${this.quality.burstFps} FPS)`);
     }
 
     /**
      * Stop capturing frames
      */
     stopCapture() {
-        if (this.captureInterval) {
-            clearInterval(this.captureInterval);
-            this.captureInterval = null;
+        if (this.captureTimer) {
+            clearTimeout(this.captureTimer);
+            this.captureTimer = null;
         }
         this.isCapturing = false;
-        console.log('[Camera] Stopped capture');
+        console.log(`[Camera] Stopped capture (${this.frameStats.sent} frames sent, ${this.frameStats.skipped} skipped)`);
+    }
+
+    /**
+     * Frame counts since the camera started, for diagnostics
+     * @returns {{sent: number, skipped: number, bursts: number}}
+     */
+    getFrameStats() {
+        return { ...this.frameStats };
+    }
+
+    /**
+     * JPEG encoding cost since the camera started, for diagnostics
+     * @returns {object} See FrameEncoder.getMetrics()
+     */
+    getEncodeMetrics() {
+        return this.encoder.getMetrics();
+    }
+
+    /**
+     * Capture the next frame after the base or burst interval
+     */
+    _scheduleCapture() {
+        const fps = performance.now() < this.burstUntil ? this.quality.burstFps : this.quality.fps;
+
+        this.captureTimer = setTimeout(() => {
+            this._captureFrame();
+            if (this.isCapturing) {
+                this._scheduleCapture();
+            }
+        }, 1000 / fps);
+    }
+
+    /**
+     * Decide whether a drawn frame is worth sending
+     * @returns {boolean}
+     */
+    _shouldSendFrame() {
+        const now = performance.now();
+        const difference = this.sceneDetector.measure(this.canvasElement);
+
+        // A big change starts (or extends) a burst so fast movement isn't missed
+        if (difference >= CONFIG.VIDEO_BURST_THRESHOLD) {
+            if (now >= this.burstUntil) {
+                this.frameStats.bursts++;
+            }
+            this.burstUntil = now + CONFIG.VIDEO_BURST_MS;
+        }
+
+        // Near-duplicates are skipped, but the AI still gets a refresh now and then
+        const changed = difference >= CONFIG.VIDEO_SCENE_THRESHOLD;
+        const stale = now - this.lastSentAt >= CONFIG.VIDEO_KEYFRAME_MS;
+        if (!changed && !stale) {
+            this.frameStats.skipped++;
+            return false;
+        }
+
+        this.sceneDetector.accept();
+        this.lastSentAt = now;
+        this.frameStats.sent++;
+        return true;
     }
 
     /**
-     * Capture a single frame (async to prevent UI blocking)
+     * Capture a single frame (drawn on the next animation frame, encoded off the main thread)
      */
     _captureFrame() {
         if (!this.videoElement || !this.videoElement.videoWidth) {
@@ -207,15 +409,24 @@ class CameraManager {
                     this.canvasElement.height
                 );
 
-                // Convert to JPEG base64
-                const dataUrl = this.canvasElement.toDataURL('image/jpeg', CONFIG.JPEG_QUALITY);
-
-                // Strip the data URL prefix to get raw base64
-                const base64 = dataUrl.replace(/^data:image\/jpeg;base64,/, '');
+                if (this.onFrameDrawn) {
+                    this.onFrameDrawn(this.canvasElement);
+                }
 
-                if (this.onFrameCaptured) {
-                    this.onFrameCaptured(base64);
+                // The previous frame is still encoding - a slow device drops frames instead of queueing them
+                if (this.encoder.isBusy() || !this._shouldSendFrame()) {
+                    return;
                 }
+
+                this.encoder.encode(this.canvasElement, this.quality.jpegQuality)
+                    .then((base64) => {
+                        if (this.isCapturing && this.onFrameCaptured) {
+                            this.onFrameCaptured(base64);
+                        }
+                    })
+                    .catch((error) => {
+                        console.error('[Camera] Error encoding frame:', error);
+                    });
             } catch (error) {
                 console.error('[Camera] Error capturing frame:', error);
             }
@@ -224,22 +435,38 @@ class CameraManager {
 
     /**
      * Capture and return a single frame immediately
+     * @param {object} [options]
+     * @param {boolean} [options.fullResolution] - Capture at the camera's native resolution
+     *     (for evidence photos) instead of the streaming size
      * @returns {string|null} Base64 encoded JPEG or null on error
      */
-    captureNow() {
+    captureNow(options = {}) {
         if (!this.videoElement || !this.videoElement.videoWidth) {
             return null;
         }
 
         try {
-            this.canvasContext.drawImage(
+            let canvas = this.canvasElement;
+            let quality = CONFIG.JPEG_QUALITY;
+
+            if (options.fullResolution) {
+                if (!this.photoCanvas) {
+                    this.photoCanvas = document.createElement('canvas');
+                }
+                canvas = this.photoCanvas;
+                canvas.width = this.videoElement.videoWidth;
+                canvas.height = this.videoElement.videoHeight;
+                quality = CONFIG.PHOTO_JPEG_QUALITY;
+            }
+
+            canvas.getContext('2d').drawImage(
                 this.videoElement,
                 0, 0,
-                this.canvasElement.width,
-                this.canvasElement.height
+                canvas.width,
+                canvas.height
             );
 
-            const dataUrl = this.canvasElement.toDataURL('image/jpeg', CONFIG.JPEG_QUALITY);
+            const dataUrl = canvas.toDataURL('image/jpeg', quality);
             return dataUrl.replace(/^data:image\/jpeg;base64,/, '');
         } catch (error) {
             console.error('[Camera] Error capturing frame:', error);
@@ -247,10 +474,168 @@ class CameraManager {
         }
     }
 
+    /**
+     * Start keeping a rolling buffer of recent footage for clips
+     * @param {MediaStreamTrack[]} [audioTracks] - Audio to include (e.g. the mic)
+     * @returns {boolean} Whether clips are available
+     */
+    startClipBuffer(audioTracks = []) {
+        if (this.clipInterval || !this.stream || !CameraManager.getClipMimeType()) {
+            return Boolean(this.clipInterval);
+        }
+
+        this.clipStream = new MediaStream([...this.stream.getVideoTracks(), ...audioTracks]);
+        this._startClipSegment();
+        this.clipInterval = setInterval(() => {
+            this._retireClipSegments();
+            this._startClipSegment();
+        }, CONFIG.CLIP_SEGMENT_MS);
+
+        console.log(`[Camera] Clip buffer started (${CameraManager.getClipMimeType()})`);
+        return true;
+    }
+
+    /**
+     * Stop the clip buffer; clips still waiting for their post-roll are finished early
+     */
+    stopClipBuffer() {
+        if (this.clipInterval) {
+            clearInterval(this.clipInterval);
+            this.clipInterval = null;
+        }
+
+        for (const segment of this.clipSegments) {
+            this._stopClipSegment(segment);
+        }
+        this.clipSegments = [];
+        this.clipStream = null;
+    }
+
+    /**
+     * Save a clip of the last ~CLIP_PRE_ROLL_MS plus the next CLIP_POST_ROLL_MS
+     * Requests close together share one clip, extended to cover the latest request
+     * @returns {Promise<object|null>} { blob, mimeType, durationMs, startedAt }, or null
+     */
+    captureClip() {
+        const recording = this.clipSegments.filter(candidate => candidate.recorder.state === 'recording');
+        const now = Date.now();
+
+        // A clip still in its post-roll is extended; otherwise the newest recorder with
+        // enough pre-roll, or the oldest one if the buffer hasn't been running that long
+        const segment = recording.find(candidate => candidate.reserved)
+            || recording.filter(candidate => now - candidate.startedAt >= CONFIG.CLIP_PRE_ROLL_MS).pop()
+            || recording[0];
+        if (!segment) {
+            return Promise.resolve(null);
+        }
+
+        segment.reserved = true;
+        clearTimeout(segment.stopTimer);
+        segment.stopTimer = setTimeout(() => this._stopClipSegment(segment), CONFIG.CLIP_POST_ROLL_MS);
+        return segment.clip;
+    }
+
+    /**
+     * Whether a clip can be captured right now
+     */
+    isClipAvailable() {
+        return this.clipSegments.length > 0;
+    }
+
+    /**
+     * Best supported clip format, or null
+     */
+    static getClipMimeType() {
+        if (typeof MediaRecorder === 'undefined' || !MediaRecorder.isTypeSupported) {
+            return null;
+        }
+        return ['video/webm;codecs=vp8,opus', 'video/webm', 'video/mp4']
+            .find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+
+    /**
+     * Start a new overlapping recorder
+     */
+    _startClipSegment() {
+        const segment = { recorder: null, chunks: [], startedAt: Date.now(), reserved: false, stopTimer: null, clip: null };
+
+        try {
+            segment.recorder = new MediaRecorder(this.clipStream, {
+                mimeType: CameraManager.getClipMimeType(),
+                videoBitsPerSecond: CONFIG.CLIP_VIDEO_BITRATE
+            });
+        } catch (error) {
+            console.error('[Camera] Could not start clip recorder:', error);
+            return;
+        }
+
+        segment.recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) {
+                segment.chunks.push(event.data);
+            }
+        };
+
+        // Resolves when the recorder stops; unreserved segments are simply discarded
+        segment.clip = new Promise((resolve) => {
+            segment.recorder.onstop = () => {
+                if (!segment.reserved || segment.chunks.length === 0) {
+                    resolve(null);
+                    return;
+                }
+
+                const blob = new Blob(segment.chunks, { type: segment.recorder.mimeType });
+                resolve({
+                    blob,
+                    mimeType: blob.type,
+                    durationMs: Date.now() - segment.startedAt,
+                    startedAt: new Date(segment.startedAt).toISOString()
+                });
+            };
+        });
+
+        segment.recorder.start(1000);
+        this.clipSegments.push(segment);
+    }
+
+    /**
+     * Stop recorders that are older than they need to be, unless a clip is using them
+     */
+    _retireClipSegments() {
+        // The next-youngest recorder will have the pre-roll by the time this one is gone
+        const maxAge = CONFIG.CLIP_PRE_ROLL_MS + CONFIG.CLIP_SEGMENT_MS - 500;
+        const now = Date.now();
+
+        this.clipSegments = this.clipSegments.filter((segment) => {
+            if (segment.reserved) {
+                // Finished clips leave the buffer
+                return segment.recorder.state !== 'inactive';
+            }
+            if (now - segment.startedAt >= maxAge) {
+                this._stopClipSegment(segment);
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Stop a recorder; if a clip reserved it, its promise resolves once the recorder has flushed
+     * @param {object} segment - Entry of clipSegments
+     */
+    _stopClipSegment(segment) {
+        clearTimeout(segment.stopTimer);
+        if (segment.recorder.state !== 'inactive') {
+            segment.recorder.stop();
+        }
+    }
+
     /**
      * Check if camera is active
      */
     isActive() {
+        if (this.isFileSource) {
+            return Boolean(this.videoElement.src) && !this.videoElement.ended;
+        }
         return this.stream !== null && this.stream.active;
     }
 }
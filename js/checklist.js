@@ -0,0 +1,121 @@
+/**
+ * Checklist
+ * Inspection checklist model: per-step status, notes and timestamps
+ */
+
+class Checklist {
+    /**
+     * @param {object[]} steps - Step definitions ({ id, label, description })
+     */
+    constructor(steps) {
+        this.items = [];
+
+        // Callbacks
+        this.onChange = null; // Called with the changed item
+
+        this.reset(steps);
+    }
+
+    /**
+     * Replace all items with fresh pending steps
+     * @param {object[]} steps - Step definitions ({ id, label, description })
+     */
+    reset(steps) {
+        this.items = steps.map(step => ({
+            id: step.id,
+            label: step.label,
+            description: step.description || '',
+            status: 'pending',
+            notes: '',
+            updatedAt: null,
+            updatedBy: null
+        }));
+    }
+
+    /**
+     * Get an item by ID
+     * @param {string} id - Item ID
+     * @returns {object|null}
+     */
+    getItem(id) {
+        return this.items.find(item => item.id === id) || null;
+    }
+
+    /**
+     * Set an item's status
+     * @param {string} id - Item ID
+     * @param {string} status - One of Checklist.STATUSES
+     * @param {string} [notes] - Replaces existing notes when given
+     * @param {string} [source] - Who made the change ('ai' or 'technician')
+     * @returns {object} The updated item
+     */
+    setStatus(id, status, notes, source = 'technician') {
+        const item = this.getItem(id);
+        if (!item) {
+            throw new Error(`Unknown checklist item: ${id}`);
+        }
+        if (!Checklist.STATUSES.includes(status)) {
+            throw new Error(`Invalid checklist status: ${status}`);
+        }
+
+        item.status = status;
+        if (notes !== undefined) {
+            item.notes = notes;
+        }
+        item.updatedAt = new Date().toISOString();
+        item.updatedBy = source;
+
+        if (this.onChange) {
+            this.onChange(item);
+        }
+        return item;
+    }
+
+    /**
+     * Set an item's notes without changing its status
+     * @param {string} id - Item ID
+     * @param {string} notes - Notes text
+     * @param {string} [source] - Who made the change
+     * @returns {object} The updated item
+     */
+    setNotes(id, notes, source = 'technician') {
+        const item = this.getItem(id);
+        if (!item) {
+            throw new Error(`Unknown checklist item: ${id}`);
+        }
+        return this.setStatus(id, item.status, notes, source);
+    }
+
+    /**
+     * Advance an item to the next status (tap to cycle)
+     * @param {string} id - Item ID
+     * @returns {object} The updated item
+     */
+    cycleStatus(id) {
+        const item = this.getItem(id);
+        if (!item) {
+            throw new Error(`Unknown checklist item: ${id}`);
+        }
+
+        const next = Checklist.STATUSES[(Checklist.STATUSES.indexOf(item.status) + 1) % Checklist.STATUSES.length];
+        return this.setStatus(id, next, undefined, 'technician');
+    }
+
+    /**
+     * Count completed (non-pending) items
+     */
+    getCompletedCount() {
+        return this.items.filter(item => item.status !== 'pending').length;
+    }
+
+    /**
+     * Plain copy of the items for session data
+     * @returns {object[]}
+     */
+    toJSON() {
+        return this.items.map(item => ({ ...item }));
+    }
+}
+
+// Status cycle order: pending -> pass -> fail -> N/A -> pending
+Checklist.STATUSES = ['pending', 'pass', 'fail', 'na'];
@@ -0,0 +1,270 @@
+/**
+ * Code 128 Decoder
+ * Reads Code 128 barcodes from image data by sampling horizontal and vertical scanlines.
+ * Used when the browser has no BarcodeDetector
+ */
+
+class Code128Decoder {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.scanlines] - Scanlines per direction
+     */
+    constructor(options = {}) {
+        this.scanlines = options.scanlines || 24;
+        this.dataValues = Code128Decoder.PATTERNS.slice(0, 103).map((_, value) => value);
+    }
+
+    /**
+     * Decode the first Code 128 barcode found
+     * @param {ImageData|{data: Uint8ClampedArray, width: number, height: number}} imageData - RGBA pixels
+     * @returns {string|null} Decoded text
+     */
+    decode(imageData) {
+        const { width, height } = imageData;
+        const luma = this._luminance(imageData);
+
+        // Rows first (tags are usually held level), then columns for rotated tags
+        const lines = [];
+        for (let i = 1; i <= this.scanlines; i++) {
+            lines.push({ horizontal: true, index: Math.floor(height * i / (this.scanlines + 1)) });
+        }
+        for (let i = 1; i <= this.scanlines; i++) {
+            lines.push({ horizontal: false, index: Math.floor(width * i / (this.scanlines + 1)) });
+        }
+
+        for (const line of lines) {
+            const samples = line.horizontal
+                ? luma.subarray(line.index * width, (line.index + 1) * width)
+                : this._column(luma, width, height, line.index);
+
+            const runs = this._runs(samples);
+            if (!runs) {
+                continue;
+            }
+
+            // Try both reading directions (the tag may be upside down)
+            const text = this._decodeRuns(runs) || this._decodeRuns(this._reverse(runs));
+            if (text !== null) {
+                return text;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * RGBA -> 8-bit luminance
+     */
+    _luminance({ data, width, height }) {
+        const luma = new Uint8Array(width * height);
+        for (let i = 0, p = 0; i < luma.length; i++, p += 4) {
+            luma[i] = (data[p] * 77 + data[p + 1] * 150 + data[p + 2] * 29) >> 8;
+        }
+        return luma;
+    }
+
+    _column(luma, width, height, x) {
+        const column = new Uint8Array(height);
+        for (let y = 0; y < height; y++) {
+            column[y] = luma[y * width + x];
+        }
+        return column;
+    }
+
+    /**
+     * Binarize a scanline and convert it to run lengths
+     * @returns {number[]|null} Alternating run widths starting with a light run, or null if flat
+     */
+    _runs(samples) {
+        let min = 255;
+        let max = 0;
+        for (const value of samples) {
+            if (value < min) min = value;
+            if (value > max) max = value;
+        }
+        if (max - min < 48) {
+            return null;
+        }
+
+        const threshold = (min + max) / 2;
+        const runs = [0];
+        let dark = false;
+        for (const value of samples) {
+            const isDark = value < threshold;
+            if (isDark !== dark) {
+                runs.push(0);
+                dark = isDark;
+            }
+            runs[runs.length - 1]++;
+        }
+        return runs;
+    }
+
+    /**
+     * Reverse a run list, keeping the leading light run convention
+     */
+    _reverse(runs) {
+        const reversed = runs.slice().reverse();
+        // Even index = light; if the original ended on a dark run, pad with an empty light run
+        return runs.length % 2 === 0 ? [0, ...reversed] : reversed;
+    }
+
+    /**
+     * Find a start pattern and decode the symbols after it
+     * @param {number[]} runs - Run widths; even indices are light, odd are dark
+     */
+    _decodeRuns(runs) {
+        for (let i = 1; i + 6 <= runs.length; i += 2) {
+            const start = this._match(runs, i, 6, [103, 104, 105]);
+            if (start === -1) {
+                continue;
+            }
+
+            // Require a quiet zone before the start symbol
+            const module = this._sum(runs, i, 6) / 11;
+            if (runs[i - 1] < module * 4 && i > 1) {
+                continue;
+            }
+
+            const values = [start];
+            let position = i + 6;
+            while (position + 6 <= runs.length) {
+                // A data symbol followed by a bar can look like the stop pattern,
+                // so only stop when the check symbol agrees
+                if (position + 7 <= runs.length && this._match(runs, position, 7, [106]) === 106) {
+                    const text = this._checkAndDecode(values);
+                    if (text !== null) {
+                        return text;
+                    }
+                }
+
+                const value = this._match(runs, position, 6, null);
+                if (value === -1 || value > 102) {
+                    break;
+                }
+                values.push(value);
+                position += 6;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Best-matching symbol for the runs at a position
+     * @param {number[]} runs - Run widths
+     * @param {number} offset - Index of the symbol's first bar
+     * @param {number} count - Elements per symbol (6, or 7 for stop)
+     * @param {number[]|null} candidates - Symbol values to consider (null = all data symbols)
+     * @returns {number} Symbol value, or -1 when nothing matches closely enough
+     */
+    _match(runs, offset, count, candidates) {
+        const modules = count === 7 ? 13 : 11;
+        const unit = this._sum(runs, offset, count) / modules;
+        if (unit < 1) {
+            return -1;
+        }
+
+        let best = -1;
+        let bestError = Infinity;
+        const values = candidates || this.dataValues;
+
+        for (const value of values) {
+            const pattern = Code128Decoder.PATTERNS[value];
+            if (pattern.length !== count) {
+                continue;
+            }
+
+            let error = 0;
+            for (let j = 0; j < count; j++) {
+                error += Math.abs(runs[offset + j] / unit - pattern[j]);
+            }
+            if (error < bestError) {
+                bestError = error;
+                best = value;
+            }
+        }
+
+        // Allow about half a module of error per element
+        return bestError <= count * 0.5 ? best : -1;
+    }
+
+    _sum(runs, offset, count) {
+        let total = 0;
+        for (let j = 0; j < count; j++) {
+            total += runs[offset + j];
+        }
+        return total;
+    }
+
+    /**
+     * Verify the check symbol and translate values to text
+     * @param {number[]} values - Start symbol, data symbols and check symbol
+     * @returns {string|null}
+     */
+    _checkAndDecode(values) {
+        if (values.length < 3) {
+            return null;
+        }
+
+        const check = values[values.length - 1];
+        let sum = values[0];
+        for (let i = 1; i < values.length - 1; i++) {
+            sum += values[i] * i;
+        }
+        if (sum % 103 !== check) {
+            return null;
+        }
+
+        let set = { 103: 'A', 104: 'B', 105: 'C' }[values[0]];
+        let shift = false;
+        let text = '';
+
+        for (let i = 1; i < values.length - 1; i++) {
+            const value = values[i];
+            const current = shift ? (set === 'A' ? 'B' : 'A') : set;
+            shift = false;
+
+            if (current === 'C') {
+                if (value < 100) {
+                    text += String(value).padStart(2, '0');
+                } else if (value === 100) {
+                    set = 'B';
+                } else if (value === 101) {
+                    set = 'A';
+                }
+                // 102 = FNC1 (GS1 marker) - ignored
+                continue;
+            }
+
+            if (value < 96) {
+                const code = current === 'A' && value >= 64 ? value - 64 : value + 32;
+                text += String.fromCharCode(code);
+            } else if (value === 98) {
+                shift = true;
+            } else if (value === 99) {
+                set = 'C';
+            } else if (value === 100 && current === 'A') {
+                set = 'B';
+            } else if (value === 101 && current === 'B') {
+                set = 'A';
+            }
+            // FNC1-4 carry no text
+        }
+        return text;
+    }
+}
+
+// Element widths (bar, space, bar, space, bar, space[, bar]) in modules for each symbol value.
+// 103-105 = Start A/B/C, 106 = Stop
+Code128Decoder.PATTERNS = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+].map(pattern => Array.from(pattern, Number));
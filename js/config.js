@@ -3,7 +3,7 @@
  */
 
 const CONFIG = {
-    // Webhook URL (optional) - set here or leave empty
+    // Webhook URL (optional) - set here or leave empty (can be overridden in settings)
     WEBHOOK_URL: '',
 
     // Gemini Live API endpoint
@@ -12,56 +12,199 @@ const CONFIG = {
     // Model must include 'models/' prefix - only this model supports Live API
     GEMINI_MODEL: 'models/gemini-2.5-flash-native-audio-preview-12-2025',
 
+    // Non-streaming endpoint for offline inspections, analyzed once the network is back
+    GEMINI_API_URL: 'https://generativelanguage.googleapis.com/v1beta',
+    GEMINI_BATCH_MODEL: 'models/gemini-2.5-flash',
+    GEMINI_UPLOAD_URL: 'https://generativelanguage.googleapis.com/upload/v1beta/files',
+    BATCH_INLINE_MAX_BYTES: 1024 * 1024,        // Larger photos / voice notes go through the Files API
+    BATCH_INLINE_TOTAL_BYTES: 12 * 1024 * 1024, // Inline media per request (the request limit is 20 MB)
+    BATCH_FILE_POLL_MS: 1000,                   // Check an uploaded file this often until it's ready
+    BATCH_FILE_TIMEOUT_MS: 60000,
+
     // Audio settings
     INPUT_SAMPLE_RATE: 16000,   // Mic input sample rate
     OUTPUT_SAMPLE_RATE: 24000,  // Speaker output sample rate
     AUDIO_CHUNK_SIZE: 4096,     // Samples per audio chunk
 
+    // AI speech playback (scheduled on the AudioContext clock)
+    PLAYBACK_JITTER_MIN_MS: 80,     // Audio buffered before a turn starts playing
+    PLAYBACK_JITTER_MAX_MS: 400,
+    PLAYBACK_JITTER_STEP_MS: 40,    // Buffer growth per underrun (shrinks by half this after a clean turn)
+    PLAYBACK_LEAD_MS: 20,           // Scheduling headroom ahead of currentTime
+    PLAYBACK_FADE_MS: 25,           // Fade in at turn start, fade out on barge-in
+    PLAYBACK_DRAIN_TIMEOUT_MS: 1000, // Wait this long for more audio after running dry before ending the turn
+
     // Video settings
-    VIDEO_CAPTURE_FPS: 1,       // Frames per second to send
-    JPEG_QUALITY: 0.7,          // JPEG compression quality
-    VIDEO_WIDTH: 640,           // Capture width
-    VIDEO_HEIGHT: 480,          // Capture height
+    JPEG_QUALITY: 0.7,          // JPEG compression quality (snapshots)
+    VIDEO_WIDTH: 1920,          // Camera resolution requested - evidence photos use it as is,
+    VIDEO_HEIGHT: 1440,         // frames sent to the AI are scaled down to the quality tier
+    PHOTO_JPEG_QUALITY: 0.85,   // Evidence photos (captured at full camera resolution)
+
+    // Encode mic PCM in the AudioWorklet and video JPEGs in a Worker.
+    // false keeps all encoding on the main thread (to compare the timing diagnostics)
+    ENCODE_OFF_MAIN_THREAD: true,
+
+    // Streaming quality tiers, best first - NetworkMonitor steps between them.
+    // fps is how often frames are checked (near-duplicates are skipped); burstFps applies after a big scene change
+    VIDEO_QUALITY_TIERS: [
+        { id: 'high', label: 'HD', width: 640, height: 480, jpegQuality: 0.7, fps: 1, burstFps: 3 },
+        { id: 'medium', label: 'SD', width: 480, height: 360, jpegQuality: 0.6, fps: 1, burstFps: 2 },
+        { id: 'low', label: 'Low', width: 320, height: 240, jpegQuality: 0.5, fps: 0.5, burstFps: 1 },
+        { id: 'minimal', label: 'Audio first', width: 320, height: 240, jpegQuality: 0.4, fps: 0.2, burstFps: 0.5 }
+    ],
+
+    // Network monitoring (adaptive video quality)
+    NETWORK_SAMPLE_MS: 1000,
+    NETWORK_BUFFER_HIGH: 64 * 1024,             // Send buffer backlog that counts as congestion
+    NETWORK_BUFFER_LOW: 8 * 1024,               // Backlog low enough to count as a clear sample
+    NETWORK_VIDEO_MAX_BUFFERED: 32 * 1024,      // Drop video frames above this so audio isn't delayed
+    NETWORK_TURN_LATENCY_HIGH_MS: 4000,         // End of speech to first AI audio
+    NETWORK_DOWNGRADE_SAMPLES: 3,               // Consecutive congested samples before stepping down
+    NETWORK_UPGRADE_SAMPLES: 20,                // Consecutive clear samples before stepping up
 
-    // Voice Activity Detection
-    VAD_THRESHOLD: 0.01,        // RMS energy threshold
-    VAD_CONSECUTIVE_FRAMES: 3,  // Frames above threshold to trigger
+    // Scene-change detection (difference is the mean brightness change per pixel, 0-1)
+    VIDEO_SCENE_THRESHOLD: 0.03, // Frames closer than this to the last one sent are skipped
+    VIDEO_BURST_THRESHOLD: 0.12, // A change this big sends frames faster for a while
+    VIDEO_BURST_MS: 3000,
+    VIDEO_KEYFRAME_MS: 10000,   // Send a frame at least this often, even if nothing changed
+
+    // Finding video clips (rolling camera buffer)
+    CLIP_PRE_ROLL_MS: 10000,    // Footage kept from before the clip was requested
+    CLIP_POST_ROLL_MS: 5000,    // Footage recorded after the request
+    CLIP_SEGMENT_MS: 2500,      // A new overlapping recorder this often - clips run up to this much over the pre-roll
+    CLIP_VIDEO_BITRATE: 1000000,
+
+    // Voice Activity Detection (levels are voice-band power in dB relative to full scale)
+    // snrDb: how far above the noise floor speech must be; attackMs: how long before it counts
+    VAD_SENSITIVITY_LEVELS: {
+        low: { label: 'Low (loud sites)', snrDb: 13, attackMs: 120 },
+        medium: { label: 'Medium', snrDb: 9, attackMs: 80 },
+        high: { label: 'High (quiet sites)', snrDb: 6, attackMs: 40 }
+    },
+    VAD_DEFAULT_SENSITIVITY: 'medium',
+    VAD_RELEASE_MS: 500,        // Hangover after the last speech-like frame
+    VAD_HYSTERESIS_DB: 3,       // Threshold drop once speech has started
+    VAD_MIN_LEVEL_DB: -55,      // Never speech below this, however quiet the room
+    VAD_MIN_BAND_RATIO: 0.4,    // Share of the frame's energy in the 300-3400 Hz voice band
+    VAD_ZCR_MIN: 0.01,          // Zero crossings per sample: below is hum/rumble...
+    VAD_ZCR_MAX: 0.35,          // ...above is hiss
+    VAD_NOISE_FALL_MS: 200,     // Noise floor follows quieter sound this quickly
+    VAD_NOISE_RISE_MS: 2000,    // ...louder non-speech sound (a fan starting) this quickly
+    VAD_NOISE_RISE_SPEECH_MS: 20000, // ...and speech-like sound only this slowly
+    VAD_BARGE_IN_MS: 300,       // Speech needed to interrupt the AI
+
+    // Mic input modes: open = always live, Gemini detects speech;
+    // push-to-talk = live while the talk button is held, turns signalled explicitly
+    INPUT_MODES: {
+        open: { label: 'Open mic' },
+        'push-to-talk': { label: 'Push-to-talk' }
+    },
+    DEFAULT_INPUT_MODE: 'open',
+    PUSH_TO_TALK_TAIL_MS: 250,  // Mic stays open this long after the talk button is released
 
     // Session
-    SESSION_TIMEOUT_MS: 10 * 60 * 1000, // 10 minute limit
+    // Live API connections last ~10 minutes, but they are resumed transparently,
+    // so this only caps the overall inspection length
+    SESSION_TIMEOUT_MS: 90 * 60 * 1000,         // 90 minute inspection limit
+    SESSION_WARNING_MS: 5 * 60 * 1000,          // Highlight timer in the last 5 minutes
 
-    // Local storage key for API key
-    STORAGE_API_KEY: 'gemini_api_key',
+    // Mid-session reconnect (network dropouts)
+    RECONNECT_MAX_ATTEMPTS: 10,                 // Attempts before ending the inspection
+    RECONNECT_MAX_DELAY_MS: 30 * 1000,          // Backoff cap between attempts
+    GOAWAY_HANDOFF_MARGIN_MS: 1000,             // After goAway, hand off by this long before the server's deadline at the latest
+    CONTEXT_SUMMARY_ENTRIES: 6,                 // Transcript entries replayed after a fresh reconnect
+
+    // Local inspection history (IndexedDB)
+    DB_NAME: 'ai-inspection',
+    DB_VERSION: 5,
 
-    // System prompt for HVAC inspection
-    SYSTEM_PROMPT: `You are an AI inspection assistant helping a field technician inspect HVAC equipment in real-time. You can see through their camera and hear them speak.
+    // Webhook outbox (durable delivery with retries)
+    OUTBOX_RETRY_BASE_MS: 5 * 1000,             // First retry delay, doubled per attempt
+    OUTBOX_RETRY_MAX_MS: 10 * 60 * 1000,        // Backoff cap
+    OUTBOX_SYNC_TAG: 'webhook-outbox',          // Background Sync tag
 
-YOUR ROLE:
-- Guide the technician step-by-step through a structured inspection
-- Analyze what you see in the camera feed
-- Identify equipment details, issues, and safety concerns
-- Speak naturally and concisely (1-2 sentences at a time)
+    // Offline inspections (store-and-forward)
+    VOICE_NOTE_MAX_MS: 2 * 60 * 1000,           // Voice notes stop themselves after this long
 
-INSPECTION FLOW:
-1. Identify the Asset - ask to see nameplate/asset tag, read manufacturer, model, serial
-2. External Visual Inspection - check for rust, corrosion, damage, debris
-3. Electrical Components - wiring condition, connections, burn marks
-4. Operational Indicators - gauges, displays, unusual sounds
-5. Document Findings - summarize issues by severity
+    // Session audio recording (mic + AI mixed, opt-in)
+    RECORDING_SAMPLE_RATE: 16000,
+    RECORDING_CHUNK_SECONDS: 10,                // Finished audio is written to IndexedDB in chunks this long
 
-COMMUNICATION STYLE:
+    // Serial/model decoding rules (manufacture date, capacity) per brand
+    EQUIPMENT_RULES_URL: 'data/equipment-rules.json',
+
+    // Inspection report
+    REPORT_PAGE_SIZE: { width: 612, height: 792 }, // PDF page size in points (US Letter)
+
+    // Local storage keys for settings
+    STORAGE_API_KEY: 'gemini_api_key',
+    STORAGE_WEBHOOK_URL: 'webhook_url',
+    STORAGE_TECHNICIAN_NAME: 'technician_name',
+    STORAGE_COMPANY_NAME: 'company_name',
+    STORAGE_RECORD_AUDIO: 'record_session_audio',
+    STORAGE_VAD_SENSITIVITY: 'vad_sensitivity',
+    STORAGE_INPUT_MODE: 'input_mode',
+    STORAGE_SELECTED_TEMPLATE: 'inspection_template',
+    STORAGE_CUSTOM_TEMPLATES: 'custom_templates',
+    STORAGE_GEMINI_WS_URL: 'gemini_ws_url',     // No longer used - removed on load
+
+    // Inspection templates (see builtin-templates.js)
+    DEFAULT_TEMPLATE_ID: 'hvac',
+
+    // Shared instructions appended to every template's system prompt.
+    // The checklist, severity and required photo sections are generated from the template.
+    PROMPT_COMMUNICATION_STYLE: `COMMUNICATION STYLE:
 - Short, clear sentences
 - Use specific spatial directions ("move camera left", "tilt up")
 - Acknowledge what you see before asking for more
-- Alert immediately for safety concerns
+- Alert immediately for safety concerns`,
 
-When you identify a finding, categorize it as:
-- CRITICAL: Safety hazard or immediate failure risk
-- WARNING: Issue requiring attention soon
-- INFO: Observation or minor note
+    PROMPT_GREETING: 'Start by greeting the technician and asking them to show you the equipment they\'ll be inspecting today.',
 
-Start by greeting the technician and asking them to show you the equipment they'll be inspecting today.`
+    // Appended when inspecting a prerecorded video instead of the live camera
+    PROMPT_VIDEO_FILE: `VIDEO REVIEW:
+You are reviewing a video the technician filmed earlier, played back in real time. Any speech you hear is from the recording, so nobody can move the camera or answer questions - describe what you see, record findings and update the checklist as they come up, and note anything the footage doesn't show well enough to judge.`,
+
+    // Replaces the live-session instructions when an offline inspection is analyzed afterwards
+    PROMPT_OFFLINE_REVIEW: `OFFLINE REVIEW:
+The technician inspected this equipment without a connection, capturing photos and voice notes for each checklist step. Nobody can answer questions now - review everything and reply with JSON only:
+- findings: every issue, safety concern or notable observation the photos or notes support, with the checklist step and the ID of the photo that shows it best
+- checklist: a status for each step you have evidence for - pass (no issues), fail (issues found) or na (not applicable / could not be checked) - with short notes
+- asset: nameplate details you can read
+- transcripts: a transcript of each voice note
+- summary: a few sentences summarizing the inspection for the report`
 };
 
+// Endpoint override for local testing against tools/mock-gemini-server.js:
+// open the app with ?wsUrl=ws://localhost:8788. The API key is sent to this endpoint,
+// so only loopback addresses are accepted, and only for as long as the parameter
+// stays in the address - it is never stored.
+// Skipped in the service worker, which has no location search or UI
+CONFIG.GEMINI_WS_OVERRIDE = null;
+if (typeof localStorage !== 'undefined') {
+    // Earlier versions remembered the override - forget it
+    localStorage.removeItem(CONFIG.STORAGE_GEMINI_WS_URL);
+
+    const override = new URLSearchParams(location.search).get('wsUrl');
+    if (override) {
+        let url = null;
+        try {
+            url = new URL(override.trim());
+        } catch (error) {
+            // Not a URL - ignored below
+        }
+
+        const loopback = url && /^wss?:$/.test(url.protocol) &&
+            ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+        if (loopback) {
+            CONFIG.GEMINI_WS_URL = url.href;
+            CONFIG.GEMINI_WS_OVERRIDE = url.href;
+            console.warn('[Config] Using Gemini endpoint override:', url.href);
+        } else {
+            console.error('[Config] Ignoring wsUrl override - only localhost endpoints are allowed:', override);
+        }
+    }
+}
+
 // Freeze to prevent accidental modification
 Object.freeze(CONFIG);
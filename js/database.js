@@ -0,0 +1,200 @@
+/**
+ * Inspection Database
+ * Thin promise wrapper around IndexedDB with the app's schema
+ * Also loaded by the service worker, so it must not touch the DOM
+ */
+
+class InspectionDatabase {
+    constructor() {
+        this.db = null;
+        this.openPromise = null;
+    }
+
+    /**
+     * Open (and upgrade if needed) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (this.openPromise) {
+            return this.openPromise;
+        }
+
+        this.openPromise = new Promise((resolve, reject) => {
+            if (!self.indexedDB) {
+                reject(new Error('IndexedDB not supported'));
+                return;
+            }
+
+            const request = indexedDB.open(CONFIG.DB_NAME, CONFIG.DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                this._upgrade(request.result, event.oldVersion);
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+
+                // Another tab upgraded the schema - release our connection
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                    this.openPromise = null;
+                };
+
+                resolve(this.db);
+            };
+
+            request.onerror = () => {
+                this.openPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return this.openPromise;
+    }
+
+    /**
+     * Create or migrate object stores
+     * @param {IDBDatabase} db - Database being upgraded
+     * @param {number} oldVersion - Previous schema version (0 for a new database)
+     */
+    _upgrade(db, oldVersion) {
+        console.log(`[DB] Upgrading from version ${oldVersion} to ${CONFIG.DB_VERSION}`);
+
+        if (oldVersion < 1) {
+            const sessions = db.createObjectStore('sessions', { keyPath: 'id' });
+            sessions.createIndex('startTime', 'startTime');
+        }
+
+        if (oldVersion < 2) {
+            // Webhook deliveries waiting to be sent, keyed by idempotency key
+            db.createObjectStore('outbox', { keyPath: 'id' });
+        }
+
+        if (oldVersion < 3) {
+            // Offline inspections waiting for analysis, keyed by session ID
+            db.createObjectStore('analysis_queue', { keyPath: 'id' });
+        }
+
+        if (oldVersion < 4) {
+            // Session audio written out while recording, keyed by [recordingId, chunk index]
+            db.createObjectStore('recording_chunks', { keyPath: ['recordingId', 'index'] });
+        }
+
+        if (oldVersion < 5) {
+            // What the history list shows, without the photos and audio (filled in by SessionStore)
+            db.createObjectStore('session_summaries', { keyPath: 'id' });
+        }
+    }
+
+    /**
+     * Get a record by key
+     * @param {string} storeName - Object store name
+     * @param {*} key - Record key
+     * @returns {Promise<object|undefined>}
+     */
+    async get(storeName, key) {
+        const db = await this.open();
+        return this._request(db.transaction(storeName).objectStore(storeName).get(key));
+    }
+
+    /**
+     * Get all records in a store, in key order
+     * @param {string} storeName - Object store name
+     * @param {IDBKeyRange} [range] - Only records in this key range
+     * @returns {Promise<object[]>}
+     */
+    async getAll(storeName, range) {
+        const db = await this.open();
+        return this._request(db.transaction(storeName).objectStore(storeName).getAll(range));
+    }
+
+    /**
+     * Count the records in a store
+     * @param {string} storeName - Object store name
+     * @returns {Promise<number>}
+     */
+    async count(storeName) {
+        const db = await this.open();
+        return this._request(db.transaction(storeName).objectStore(storeName).count());
+    }
+
+    /**
+     * Visit every record in a store one at a time, without loading them all at once
+     * @param {string} storeName - Object store name
+     * @param {function(object)} callback - Called with each record, in key order
+     */
+    async forEach(storeName, callback) {
+        const db = await this.open();
+        const tx = db.transaction(storeName);
+        const request = tx.objectStore(storeName).openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                callback(cursor.value);
+                cursor.continue();
+            }
+        };
+        await this._complete(tx);
+    }
+
+    /**
+     * Insert or replace a record
+     * @param {string} storeName - Object store name
+     * @param {object} value - Record to store
+     * @returns {Promise<*>} The record key
+     */
+    async put(storeName, value) {
+        const db = await this.open();
+        const tx = db.transaction(storeName, 'readwrite');
+        const key = await this._request(tx.objectStore(storeName).put(value));
+        await this._complete(tx);
+        return key;
+    }
+
+    /**
+     * Delete a record by key
+     * @param {string} storeName - Object store name
+     * @param {*} key - Record key, or an IDBKeyRange to delete several
+     */
+    async delete(storeName, key) {
+        const db = await this.open();
+        const tx = db.transaction(storeName, 'readwrite');
+        tx.objectStore(storeName).delete(key);
+        await this._complete(tx);
+    }
+
+    /**
+     * Delete every record in a store
+     * @param {string} storeName - Object store name
+     */
+    async clear(storeName) {
+        const db = await this.open();
+        const tx = db.transaction(storeName, 'readwrite');
+        tx.objectStore(storeName).clear();
+        await this._complete(tx);
+    }
+
+    /**
+     * Wrap an IDBRequest in a Promise
+     * @param {IDBRequest} request - Request to wait for
+     */
+    _request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Wait for a transaction to commit
+     * @param {IDBTransaction} tx - Transaction to wait for
+     */
+    _complete(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+}
@@ -0,0 +1,219 @@
+/**
+ * Equipment Decoder
+ * Decodes manufacture date from serial numbers and capacity/series from model numbers
+ * using data-driven per-brand rules (data/equipment-rules.json)
+ */
+
+class EquipmentDecoder {
+    constructor() {
+        this.brands = [];
+        this.monthLetters = 'ABCDEFGHJKLM';
+        this.isLoaded = false;
+    }
+
+    /**
+     * Load the rules file
+     * @param {string} [url] - Rules JSON URL
+     * @returns {Promise<boolean>} Whether the rules loaded
+     */
+    async load(url = CONFIG.EQUIPMENT_RULES_URL) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.setRules(await response.json());
+            console.log(`[EquipmentDecoder] Loaded rules for ${this.brands.length} brands`);
+            return true;
+        } catch (error) {
+            console.error('[EquipmentDecoder] Could not load rules:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Use a parsed rules object; invalid patterns are skipped
+     * @param {object} rules - { monthLetters, brands: [{ id, name, aliases, serial, model }] }
+     */
+    setRules(rules) {
+        const compile = (list, brand) => (list || []).flatMap(rule => {
+            try {
+                return [{ ...rule, regex: new RegExp(rule.pattern) }];
+            } catch (error) {
+                console.warn(`[EquipmentDecoder] Skipping invalid ${brand} pattern:`, rule.pattern);
+                return [];
+            }
+        });
+
+        this.monthLetters = rules.monthLetters || this.monthLetters;
+        this.brands = (rules.brands || []).map(brand => ({
+            id: brand.id,
+            name: brand.name,
+            aliases: (brand.aliases || [brand.name]).map(alias => alias.toLowerCase()),
+            serial: compile(brand.serial, brand.id),
+            model: compile(brand.model, brand.id)
+        }));
+        this.isLoaded = true;
+    }
+
+    /**
+     * Decode an asset's serial and model numbers
+     * @param {object} asset - Asset fields ({ manufacturer, model, serial })
+     * @param {Date} [now] - Reference date for the equipment age
+     * @returns {object|null} Decoded details, or null if nothing could be decoded
+     */
+    decode(asset, now = new Date()) {
+        const brand = this._findBrand(asset.manufacturer);
+        if (!brand) {
+            return null;
+        }
+
+        const serial = asset.serial ? this._decodeSerial(brand, this._normalize(asset.serial), now) : null;
+        const model = asset.model ? this._decodeModel(brand, this._normalize(asset.model)) : null;
+        if (!serial && !model) {
+            return null;
+        }
+
+        const result = { brand: brand.name, ...serial, ...model };
+        if (serial) {
+            result.ageYears = this._age(serial, now);
+        }
+        return result;
+    }
+
+    /**
+     * Match the manufacturer against brand names and aliases
+     * @param {string} manufacturer - Manufacturer as read from the nameplate
+     */
+    _findBrand(manufacturer) {
+        const name = String(manufacturer || '').toLowerCase();
+        if (!name) {
+            return null;
+        }
+        return this.brands.find(brand => brand.aliases.some(alias => name.includes(alias))) || null;
+    }
+
+    /**
+     * Decode manufacture year/month from a serial number
+     */
+    _decodeSerial(brand, serial, now) {
+        for (const rule of brand.serial) {
+            const groups = (serial.match(rule.regex) || {}).groups;
+            if (!groups || !groups.year) {
+                continue;
+            }
+
+            const year = this._resolveYear(groups.year, rule.century, now);
+            let month = null;
+            if (groups.month) {
+                month = parseInt(groups.month, 10);
+            } else if (groups.monthLetter) {
+                month = this.monthLetters.indexOf(groups.monthLetter) + 1 || null;
+            } else if (groups.week) {
+                const week = parseInt(groups.week, 10);
+                if (week < 1 || week > 53) {
+                    continue;
+                }
+                month = Math.min(12, Math.ceil(week / 4.35));
+            }
+
+            // A manufacture date in the future means the rule doesn't apply
+            if (year > now.getFullYear() || (year === now.getFullYear() && month && month > now.getMonth() + 1)) {
+                continue;
+            }
+
+            return {
+                manufactureYear: year,
+                manufactureMonth: month,
+                manufactureWeek: groups.week ? parseInt(groups.week, 10) : null,
+                serialRule: rule.description
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Decode nominal capacity and series from a model number
+     */
+    _decodeModel(brand, model) {
+        for (const rule of brand.model) {
+            const groups = (model.match(rule.regex) || {}).groups;
+            if (!groups) {
+                continue;
+            }
+
+            // Nominal capacities are multiples of 6,000 BTU/h (half a ton)
+            const kbtu = groups.capacity ? parseInt(groups.capacity, 10) : null;
+            if (kbtu !== null && (kbtu < 6 || kbtu > 600 || kbtu % 6 !== 0)) {
+                continue;
+            }
+
+            return {
+                capacityBtu: kbtu !== null ? kbtu * 1000 : null,
+                capacityTons: kbtu !== null ? kbtu / 12 : null,
+                series: groups.series || null,
+                modelRule: rule.description
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Expand a 1- or 2-digit year
+     * Without an explicit century, the most recent matching year that isn't in the future is used
+     */
+    _resolveYear(digits, century, now) {
+        const value = parseInt(digits, 10);
+        if (century) {
+            return century + value;
+        }
+
+        const modulus = Math.pow(10, digits.length);
+        const currentYear = now.getFullYear();
+        let year = currentYear - ((currentYear - value) % modulus + modulus) % modulus;
+        if (digits.length === 2 && year < 1970) {
+            year += 100;
+        }
+        return year;
+    }
+
+    /**
+     * Whole years between manufacture and now
+     */
+    _age(serial, now) {
+        const months = (now.getFullYear() - serial.manufactureYear) * 12
+            + (now.getMonth() + 1) - (serial.manufactureMonth || 7);
+        return Math.max(0, Math.floor(months / 12));
+    }
+
+    _normalize(value) {
+        return String(value).toUpperCase().replace(/[\s-]/g, '');
+    }
+
+    /**
+     * Labelled decoded details for display
+     * @param {object|null} decoded - Result of decode()
+     * @returns {Array<[string, string]>}
+     */
+    static describe(decoded) {
+        if (!decoded) {
+            return [];
+        }
+
+        const fields = [];
+        if (decoded.manufactureYear) {
+            const date = decoded.manufactureMonth
+                ? new Date(decoded.manufactureYear, decoded.manufactureMonth - 1, 1).toLocaleDateString(undefined, { year: 'numeric', month: 'long' })
+                : String(decoded.manufactureYear);
+            fields.push(['Manufactured', date]);
+            fields.push(['Age', `${decoded.ageYears} year${decoded.ageYears === 1 ? '' : 's'}`]);
+        }
+        if (decoded.capacityTons) {
+            fields.push(['Nominal capacity', `${decoded.capacityTons} ton (${decoded.capacityBtu.toLocaleString()} BTU/h)`]);
+        }
+        if (decoded.series) {
+            fields.push(['Series', decoded.series]);
+        }
+        return fields;
+    }
+}
@@ -0,0 +1,34 @@
+/**
+ * Frame Encoder Worker
+ * JPEG-encodes video frames on an OffscreenCanvas so the UI thread only has to
+ * grab a bitmap. Receives { id, bitmap, quality } (bitmap transferred) and
+ * replies with { id, base64, encodeMs } or { id, error }
+ */
+
+importScripts('pcm-codec.js');
+
+let canvas = null;
+let context = null;
+
+self.onmessage = async (event) => {
+    const { id, bitmap, quality } = event.data;
+    const started = performance.now();
+
+    try {
+        if (!canvas || canvas.width !== bitmap.width || canvas.height !== bitmap.height) {
+            canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+            context = canvas.getContext('2d');
+        }
+        context.drawImage(bitmap, 0, 0);
+        bitmap.close();
+
+        const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality });
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const base64 = PcmCodec.bytesToBase64(bytes);
+
+        self.postMessage({ id, base64, encodeMs: performance.now() - started });
+    } catch (error) {
+        bitmap.close();
+        self.postMessage({ id, error: error.message });
+    }
+};
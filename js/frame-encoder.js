@@ -0,0 +1,135 @@
+/**
+ * Frame Encoder
+ * Turns the capture canvas into base64 JPEG. Where the browser supports it the
+ * canvas is snapshotted with createImageBitmap and encoded in a worker; older
+ * browsers (and CONFIG.ENCODE_OFF_MAIN_THREAD off) fall back to toDataURL on
+ * the main thread. Tracks how long each path keeps the main thread busy
+ */
+
+class FrameEncoder {
+    constructor() {
+        this.worker = null;
+        this.nextId = 1;
+        this.pending = new Map(); // id -> { resolve, reject }
+        this.metrics = { frames: 0, mainThreadMs: 0, workerMs: 0 };
+
+        if (FrameEncoder.isWorkerSupported()) {
+            try {
+                this.worker = new Worker('js/frame-encoder-worker.js');
+                this.worker.onmessage = (event) => this._onMessage(event.data);
+                this.worker.onerror = (event) => {
+                    console.warn('[FrameEncoder] Worker failed, encoding on the main thread:', event.message);
+                    this._disableWorker(new Error(event.message || 'Frame encoder worker failed'));
+                };
+            } catch (error) {
+                console.warn('[FrameEncoder] Worker unavailable:', error);
+                this.worker = null;
+            }
+        }
+    }
+
+    /**
+     * Whether this browser can encode frames in a worker
+     * @returns {boolean}
+     */
+    static isWorkerSupported() {
+        return CONFIG.ENCODE_OFF_MAIN_THREAD &&
+            typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap === 'function';
+    }
+
+    /**
+     * Encode the canvas as it is right now
+     * @param {HTMLCanvasElement} canvas - Frame to encode
+     * @param {number} quality - JPEG quality 0-1
+     * @returns {Promise<string>} Base64 JPEG (no data URL prefix)
+     */
+    async encode(canvas, quality) {
+        this.metrics.frames++;
+
+        if (!this.worker) {
+            const started = performance.now();
+            const dataUrl = canvas.toDataURL('image/jpeg', quality);
+            this.metrics.mainThreadMs += performance.now() - started;
+            return dataUrl.replace(/^data:image\/jpeg;base64,/, '');
+        }
+
+        // createImageBitmap snapshots the canvas synchronously; only that copy is main-thread work
+        const started = performance.now();
+        const bitmapPromise = createImageBitmap(canvas);
+        this.metrics.mainThreadMs += performance.now() - started;
+        const bitmap = await bitmapPromise;
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, bitmap, quality }, [bitmap]);
+        });
+    }
+
+    /**
+     * Whether a frame is still being encoded (callers skip frames rather than queue them)
+     * @returns {boolean}
+     */
+    isBusy() {
+        return this.pending.size > 0;
+    }
+
+    /**
+     * Encoding cost for diagnostics
+     * @returns {{mode: string, frames: number, mainThreadMsPerFrame: number, workerMsPerFrame: number}}
+     */
+    getMetrics() {
+        const { frames, mainThreadMs, workerMs } = this.metrics;
+        const perFrame = (ms) => frames ? Math.round(ms / frames * 100) / 100 : 0;
+        return {
+            mode: this.worker ? 'worker' : 'main',
+            frames,
+            mainThreadMsPerFrame: perFrame(mainThreadMs),
+            workerMsPerFrame: perFrame(workerMs)
+        };
+    }
+
+    /**
+     * Start a new measurement period (per session)
+     */
+    resetMetrics() {
+        this.metrics = { frames: 0, mainThreadMs: 0, workerMs: 0 };
+    }
+
+    /**
+     * Handle a reply from the worker
+     * @param {object} data - { id, base64, encodeMs } or { id, error }
+     */
+    _onMessage(data) {
+        const request = this.pending.get(data.id);
+        if (!request) {
+            return;
+        }
+        this.pending.delete(data.id);
+
+        if (data.error) {
+            request.reject(new Error(data.error));
+            return;
+        }
+
+        this.metrics.workerMs += data.encodeMs;
+        request.resolve(data.base64);
+    }
+
+    /**
+     * Give up on the worker and fail what it still had
+     * @param {Error} error - Reason
+     */
+    _disableWorker(error) {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        for (const request of this.pending.values()) {
+            request.reject(error);
+        }
+        this.pending.clear();
+    }
+}
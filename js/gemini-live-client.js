@@ -15,8 +15,14 @@ class GeminiLiveClient {
         this.maxRetries = 3;
         this.retryCount = 0;
         this.connectionTimeout = null;
+        this.retryTimeout = null;
         this.CONNECTION_TIMEOUT_MS = 15000; // 15 seconds
 
+        // Session resumption (connections are limited to ~10 minutes)
+        this.resumptionHandle = null;
+        this.isResuming = false;
+        this.setupUsedHandle = false;
+
         // Callbacks
         this.onConnected = null;
         this.onDisconnected = null;
@@ -29,6 +35,67 @@ class GeminiLiveClient {
         this.onSetupComplete = null;
         this.onRetry = null; // New: called on retry attempt
         this.onConnecting = null; // New: called when connecting
+        this.onReconnecting = null; // Called when handing off to a new connection
+        this.onResumed = null; // Called with (restored) when a resumed connection is ready
+        this.onGoAway = null; // Called with ms left before the server closes the connection
+
+        // Function calling: tool name -> { declaration, handler }
+        this.tools = new Map();
+        this.cancelledToolCalls = new Set();
+        this.toolCallsInFlight = 0;
+
+        // After goAway the hand-off waits for the reply in progress
+        this.modelTurnActive = false; // Between the model's first output and turnComplete
+        this.goAwayTimer = null;      // Hands off anyway just before the server's deadline
+
+        // System instruction sent in the setup message (set per inspection template)
+        this.systemPrompt = '';
+
+        // Turns are signalled with activityStart/activityEnd instead of detected by the server
+        this.manualActivity = false;
+        this.activityActive = false;  // The technician's turn is open
+        this.activityStarted = false; // activityStart was sent on the current connection
+    }
+
+    /**
+     * Set the system instruction for the next connection
+     * Must be called before connect() - it is sent in the setup message
+     * @param {string} prompt - System prompt text
+     */
+    setSystemPrompt(prompt) {
+        this.systemPrompt = prompt;
+    }
+
+    /**
+     * Signal the technician's turns explicitly (push-to-talk) instead of using the
+     * server's automatic activity detection
+     * Sent in the setup message - takes effect on the next connection or resume()
+     * @param {boolean} enabled - Whether turns are signalled manually
+     * @returns {boolean} Whether the setting changed (an open connection needs resume())
+     */
+    setManualActivity(enabled) {
+        if (enabled === this.manualActivity) {
+            return false;
+        }
+        this.manualActivity = enabled;
+        return true;
+    }
+
+    /**
+     * Register a tool (function) the model may call during the session
+     * Must be called before connect() - tools are declared in the setup message
+     * @param {object} declaration - Function declaration ({ name, description, parameters })
+     * @param {function} handler - Called with (args, call); may return a value or a Promise
+     */
+    registerTool(declaration, handler) {
+        this.tools.set(declaration.name, { declaration, handler });
+    }
+
+    /**
+     * Remove all registered tools (before registering a different template's tools)
+     */
+    clearTools() {
+        this.tools.clear();
     }
 
     /**
@@ -40,9 +107,47 @@ class GeminiLiveClient {
         this.apiKey = apiKey;
         this.maxRetries = maxRetries;
         this.retryCount = 0;
+        this.resumptionHandle = null;
+        this.isResuming = false;
+        this._attemptConnection();
+    }
+
+    /**
+     * Reconnect and resume the current session using the latest resumption handle
+     * Conversation context is kept server-side, so the session carries on.
+     * Without a valid handle a fresh session is started (onResumed gets restored=false)
+     * @param {string} reason - Reason for reconnecting (for logging)
+     */
+    resume(reason) {
+        console.log(`[GeminiLive] Resuming session (${reason}), handle: ${this.resumptionHandle ? 'yes' : 'none'}`);
+
+        this._clearRetryTimeout();
+        this.isResuming = true;
+        this.isConnected = false;
+        this.isSetupComplete = false;
+        this.maxRetries = CONFIG.RECONNECT_MAX_ATTEMPTS;
+        this.retryCount = 0;
+
+        if (this.onReconnecting) {
+            this.onReconnecting(reason);
+        }
+
         this._attemptConnection();
     }
 
+    /**
+     * Drop the connection but keep the resumption handle so resume() can pick up later
+     * Used while the network is unavailable
+     */
+    suspend() {
+        console.log('[GeminiLive] Suspending connection');
+        this._clearRetryTimeout();
+        this._cleanupConnection();
+        this.isConnected = false;
+        this.isSetupComplete = false;
+        this.isResuming = false;
+    }
+
     /**
      * Attempt to establish WebSocket connection
      */
@@ -51,11 +156,12 @@ class GeminiLiveClient {
             this._cleanupConnection();
         }
 
-        const wsUrl = `${CONFIG.GEMINI_WS_URL}?key=${this.apiKey}`;
+        const separator = CONFIG.GEMINI_WS_URL.includes('?') ? '&' : '?';
+        const wsUrl = `${CONFIG.GEMINI_WS_URL}${separator}key=${encodeURIComponent(this.apiKey)}`;
 
         console.log(`[GeminiLive] Connecting... (attempt ${this.retryCount + 1}/${this.maxRetries + 1})`);
 
-        if (this.onConnecting) {
+        if (this.onConnecting && !this.isResuming) {
             this.onConnecting(this.retryCount + 1, this.maxRetries + 1);
         }
 
@@ -74,7 +180,6 @@ class GeminiLiveClient {
                 console.log('[GeminiLive] WebSocket connected');
                 this._clearConnectionTimeout();
                 this.isConnected = true;
-                this.retryCount = 0; // Reset retry count on successful connection
                 this._sendSetupMessage();
             };
 
@@ -96,8 +201,14 @@ class GeminiLiveClient {
                 this.isConnected = false;
                 this.isSetupComplete = false;
 
+                // A rejected handle (expired or invalid) - start a fresh session on the next attempt
+                if (this.isResuming && this.setupUsedHandle && (event.code === 1007 || event.code === 1008)) {
+                    console.warn('[GeminiLive] Resumption handle rejected, starting a new session');
+                    this.resumptionHandle = null;
+                }
+
                 // If we were connected and got disconnected unexpectedly, notify
-                if (wasConnected) {
+                if (wasConnected && !this.isResuming) {
                     if (this.onDisconnected) {
                         this.onDisconnected(event);
                     }
@@ -119,7 +230,8 @@ class GeminiLiveClient {
      */
     _handleRetry(reason) {
         if (this.retryCount < this.maxRetries) {
-            const delay = Math.pow(2, this.retryCount + 1) * 1000; // 2s, 4s, 8s
+            // 2s, 4s, 8s... capped for long reconnect sequences
+            const delay = Math.min(Math.pow(2, this.retryCount + 1) * 1000, CONFIG.RECONNECT_MAX_DELAY_MS);
             this.retryCount++;
 
             console.log(`[GeminiLive] Retrying in ${delay / 1000}s... (${this.retryCount}/${this.maxRetries})`);
@@ -128,10 +240,12 @@ class GeminiLiveClient {
                 this.onRetry(this.retryCount, this.maxRetries, reason);
             }
 
-            setTimeout(() => {
+            this.retryTimeout = setTimeout(() => {
+                this.retryTimeout = null;
                 this._attemptConnection();
             }, delay);
         } else {
+            this.isResuming = false;
             console.error('[GeminiLive] Max retries exceeded:', reason);
             if (this.onError) {
                 this.onError(new Error(`Connection failed after ${this.maxRetries} retries: ${reason}`));
@@ -149,11 +263,25 @@ class GeminiLiveClient {
         }
     }
 
+    /**
+     * Cancel a scheduled retry attempt
+     */
+    _clearRetryTimeout() {
+        if (this.retryTimeout) {
+            clearTimeout(this.retryTimeout);
+            this.retryTimeout = null;
+        }
+    }
+
     /**
      * Cleanup WebSocket connection
      */
     _cleanupConnection() {
         this._clearConnectionTimeout();
+        this._clearGoAway();
+        this.modelTurnActive = false;
+        this.toolCallsInFlight = 0;
+        this.activityStarted = false;
         if (this.ws) {
             this.ws.onopen = null;
             this.ws.onmessage = null;
@@ -172,10 +300,15 @@ class GeminiLiveClient {
      * Disconnect from Gemini Live API
      */
     disconnect() {
+        this._clearRetryTimeout();
         this._cleanupConnection();
         this.isConnected = false;
         this.isSetupComplete = false;
         this.retryCount = 0;
+        this.isResuming = false;
+        this.resumptionHandle = null;
+        this.cancelledToolCalls.clear();
+        this.activityActive = false;
     }
 
     /**
@@ -196,11 +329,32 @@ class GeminiLiveClient {
                     }
                 },
                 systemInstruction: {
-                    parts: [{ text: CONFIG.SYSTEM_PROMPT }]
+                    parts: [{ text: this.systemPrompt }]
+                },
+                // Ask for resumption handles; pass the last one when reconnecting
+                sessionResumption: this.resumptionHandle ? { handle: this.resumptionHandle } : {},
+                // Compress old context so long audio+video sessions don't hit the context limit
+                contextWindowCompression: {
+                    slidingWindow: {}
                 }
             }
         };
 
+        if (this.manualActivity) {
+            setupMessage.setup.realtimeInputConfig = {
+                automaticActivityDetection: { disabled: true }
+            };
+        }
+
+        this.setupUsedHandle = Boolean(this.resumptionHandle);
+
+        // Declare registered tools
+        if (this.tools.size > 0) {
+            setupMessage.setup.tools = [{
+                functionDeclarations: Array.from(this.tools.values()).map(tool => tool.declaration)
+            }];
+        }
+
         this._send(setupMessage);
         console.log('[GeminiLive] Setup message sent');
     }
@@ -226,6 +380,44 @@ class GeminiLiveClient {
         this._send(message);
     }
 
+    /**
+     * The technician started talking (manual activity only) - also interrupts the AI
+     */
+    sendActivityStart() {
+        this.activityActive = true;
+        if (!this.isSetupComplete) {
+            return;
+        }
+
+        this._send({ realtimeInput: { activityStart: {} } });
+        this.activityStarted = true;
+    }
+
+    /**
+     * The technician finished talking (manual activity only) - the AI answers now
+     * Only sent on the connection that saw the matching activityStart
+     */
+    sendActivityEnd() {
+        this.activityActive = false;
+        if (!this.isSetupComplete || !this.activityStarted) {
+            return;
+        }
+
+        this._send({ realtimeInput: { activityEnd: {} } });
+        this.activityStarted = false;
+    }
+
+    /**
+     * The mic stopped sending (muted) - lets the server finish any speech it was buffering
+     */
+    sendAudioStreamEnd() {
+        if (!this.isSetupComplete) {
+            return;
+        }
+
+        this._send({ realtimeInput: { audioStreamEnd: true } });
+    }
+
     /**
      * Send video frame to Gemini
      * @param {string} base64Image - Base64 encoded JPEG image (without data URL prefix)
@@ -300,15 +492,46 @@ class GeminiLiveClient {
             if (message.setupComplete) {
                 console.log('[GeminiLive] Setup complete');
                 this.isSetupComplete = true;
+                this.retryCount = 0; // Reset retry count on successful connection
+
+                // A push-to-talk turn held through a hand-off carries on in the new connection
+                if (this.manualActivity && this.activityActive) {
+                    this.sendActivityStart();
+                }
                 if (this.onSetupComplete) {
                     this.onSetupComplete();
                 }
-                if (this.onConnected) {
+
+                if (this.isResuming) {
+                    this.isResuming = false;
+                    if (this.onResumed) {
+                        this.onResumed(this.setupUsedHandle);
+                    }
+                } else if (this.onConnected) {
                     this.onConnected();
                 }
                 return;
             }
 
+            // Track the latest resumption handle
+            if (message.sessionResumptionUpdate) {
+                const update = message.sessionResumptionUpdate;
+                if (update.resumable && update.newHandle) {
+                    this.resumptionHandle = update.newHandle;
+                }
+            }
+
+            // Server is about to close the connection - hand off to a new one
+            if (message.goAway) {
+                const timeLeftMs = this._parseDuration(message.goAway.timeLeft);
+                console.log(`[GeminiLive] GoAway received, ${timeLeftMs}ms left`);
+                if (this.onGoAway) {
+                    this.onGoAway(timeLeftMs);
+                }
+                this._scheduleHandOff(timeLeftMs);
+                return;
+            }
+
             // Handle server content (AI responses)
             if (message.serverContent) {
                 this._handleServerContent(message.serverContent);
@@ -317,6 +540,15 @@ class GeminiLiveClient {
             // Handle tool calls (if any)
             if (message.toolCall) {
                 console.log('[GeminiLive] Tool call received:', message.toolCall);
+                this._handleToolCall(message.toolCall);
+            }
+
+            // Handle tool call cancellations (e.g. user interrupted the model)
+            if (message.toolCallCancellation) {
+                console.log('[GeminiLive] Tool call cancelled:', message.toolCallCancellation);
+                for (const id of message.toolCallCancellation.ids || []) {
+                    this.cancelledToolCalls.add(id);
+                }
             }
 
             // Handle error messages from server
@@ -340,14 +572,17 @@ class GeminiLiveClient {
         // Check if this is an interruption
         if (content.interrupted) {
             console.log('[GeminiLive] Response interrupted');
+            this.modelTurnActive = false;
             if (this.onInterrupted) {
                 this.onInterrupted();
             }
+            this._handOffIfIdle();
             return;
         }
 
         // Process model turn
         if (content.modelTurn) {
+            this.modelTurnActive = true;
             const parts = content.modelTurn.parts || [];
 
             for (const part of parts) {
@@ -384,12 +619,114 @@ class GeminiLiveClient {
         // Check if turn is complete
         if (content.turnComplete) {
             console.log('[GeminiLive] Turn complete');
+            this.modelTurnActive = false;
             if (this.onTurnComplete) {
                 this.onTurnComplete();
             }
+            this._handOffIfIdle();
         }
     }
 
+    /**
+     * Dispatch tool calls to registered handlers and send back the results
+     * Calls run one at a time, so a call cancelled while an earlier one was
+     * running is skipped instead of acting on something the model has dropped
+     * @param {object} toolCall - Tool call object ({ functionCalls: [{ id, name, args }] })
+     */
+    async _handleToolCall(toolCall) {
+        const calls = toolCall.functionCalls || [];
+        const functionResponses = [];
+        const ws = this.ws;
+        this.toolCallsInFlight++;
+
+        for (const call of calls) {
+            if (this.cancelledToolCalls.delete(call.id)) {
+                console.log(`[GeminiLive] Skipping cancelled tool call ${call.name}`);
+                continue;
+            }
+
+            const tool = this.tools.get(call.name);
+            let response;
+
+            if (!tool) {
+                console.warn('[GeminiLive] No handler for tool:', call.name);
+                response = { error: `Unknown tool: ${call.name}` };
+            } else {
+                try {
+                    const result = await tool.handler(call.args || {}, call);
+                    response = { result: result !== undefined ? result : 'ok' };
+                } catch (error) {
+                    console.error(`[GeminiLive] Tool ${call.name} failed:`, error);
+                    response = { error: error.message || 'Tool execution failed' };
+                }
+            }
+
+            functionResponses.push({ id: call.id, name: call.name, response });
+        }
+
+        // The connection that issued the calls is gone (hand-off, drop or stop) - a new
+        // one never made them, and its in-flight count was reset with the old one
+        if (this.ws !== ws) {
+            console.log(`[GeminiLive] Dropping ${functionResponses.length} tool response(s) for a closed connection`);
+            return;
+        }
+        this.toolCallsInFlight--;
+
+        // Don't answer calls the server cancelled while they ran
+        const pending = functionResponses.filter(r => !this.cancelledToolCalls.delete(r.id));
+        if (pending.length > 0) {
+            this._send({ toolResponse: { functionResponses: pending } });
+            // The model carries on from the results - the hand-off waits for that reply too
+            this.modelTurnActive = true;
+        }
+        this._handOffIfIdle();
+    }
+
+    /**
+     * The server will close this connection: hand off to a new one once the
+     * current reply and tool calls are finished, or just before the deadline
+     * @param {number} timeLeftMs - Time until the server closes the connection
+     */
+    _scheduleHandOff(timeLeftMs) {
+        if (this.goAwayTimer) {
+            return;
+        }
+
+        this.goAwayTimer = setTimeout(() => {
+            this.goAwayTimer = null;
+            this.resume('Connection time limit');
+        }, Math.max(0, timeLeftMs - CONFIG.GOAWAY_HANDOFF_MARGIN_MS));
+        this._handOffIfIdle();
+    }
+
+    /**
+     * Hand off now if a goAway is waiting and nothing is in progress
+     */
+    _handOffIfIdle() {
+        if (this.goAwayTimer && !this.modelTurnActive && this.toolCallsInFlight === 0) {
+            this._clearGoAway();
+            this.resume('Connection time limit');
+        }
+    }
+
+    /**
+     * Cancel a pending goAway hand-off
+     */
+    _clearGoAway() {
+        clearTimeout(this.goAwayTimer);
+        this.goAwayTimer = null;
+    }
+
+    /**
+     * Parse a protobuf JSON duration (e.g. "9.5s") to milliseconds
+     * @param {string} duration - Duration string
+     * @returns {number} Milliseconds (0 if missing or invalid)
+     */
+    _parseDuration(duration) {
+        const seconds = parseFloat(duration);
+        return Number.isFinite(seconds) ? Math.round(seconds * 1000) : 0;
+    }
+
     /**
      * Send JSON message over WebSocket
      * @param {object} message - Message object to send
@@ -406,6 +743,14 @@ class GeminiLiveClient {
         }
     }
 
+    /**
+     * Bytes queued on the WebSocket but not yet sent (a backlog means the uplink is struggling)
+     * @returns {number}
+     */
+    getBufferedAmount() {
+        return this.ws ? this.ws.bufferedAmount : 0;
+    }
+
     /**
      * Check if client is ready to send/receive
      */
@@ -0,0 +1,375 @@
+/**
+ * History View
+ * Lists past inspections stored locally, with search and a detail view
+ */
+
+class HistoryView {
+    /**
+     * @param {SessionStore} sessionStore - Where sessions are persisted
+     */
+    constructor(sessionStore) {
+        this.sessionStore = sessionStore;
+
+        // DOM elements
+        this.elements = {};
+
+        // State
+        this.currentSessionId = null;
+        this.objectUrls = [];      // Recording URLs for the open session
+        this.listToken = 0;        // Latest list render - slower earlier ones are discarded
+
+        // Callbacks
+        this.onGenerateReport = null; // Called with the session ID
+    }
+
+    /**
+     * Initialize history view and cache DOM elements
+     */
+    init() {
+        this.elements = {
+            historyBtn: document.getElementById('historyBtn'),
+            historyModal: document.getElementById('historyModal'),
+            closeHistoryBtn: document.getElementById('closeHistoryBtn'),
+
+            // List view
+            historyListView: document.getElementById('historyListView'),
+            historySearchInput: document.getElementById('historySearchInput'),
+            historyDateInput: document.getElementById('historyDateInput'),
+            historyList: document.getElementById('historyList'),
+
+            // Detail view
+            historyDetailView: document.getElementById('historyDetailView'),
+            historyBackBtn: document.getElementById('historyBackBtn'),
+            historyDetail: document.getElementById('historyDetail'),
+            historyReportBtn: document.getElementById('historyReportBtn'),
+            historyDeleteBtn: document.getElementById('historyDeleteBtn')
+        };
+
+        this._setupEventListeners();
+
+        console.log('[History] Initialized');
+    }
+
+    /**
+     * Setup history event listeners
+     */
+    _setupEventListeners() {
+        this.elements.historyBtn.addEventListener('click', () => this.show());
+        this.elements.closeHistoryBtn.addEventListener('click', () => this.hide());
+        this.elements.historyBackBtn.addEventListener('click', () => this._showList());
+        this.elements.historyDeleteBtn.addEventListener('click', () => this._deleteCurrent());
+        this.elements.historyReportBtn.addEventListener('click', () => {
+            if (this.currentSessionId && this.onGenerateReport) {
+                this.onGenerateReport(this.currentSessionId);
+            }
+        });
+
+        this.elements.historySearchInput.addEventListener('input', () => this._renderList());
+        this.elements.historyDateInput.addEventListener('change', () => this._renderList());
+
+        // Open a session from the list
+        this.elements.historyList.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-session-id]');
+            if (item) {
+                this._showDetail(item.dataset.sessionId);
+            }
+        });
+
+        // Close modal on backdrop click
+        this.elements.historyModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.historyModal) {
+                this.hide();
+            }
+        });
+    }
+
+    /**
+     * Show history modal with the session list
+     */
+    show() {
+        this.elements.historyModal.classList.remove('hidden');
+        this._showList();
+    }
+
+    /**
+     * Hide history modal
+     */
+    hide() {
+        this.elements.historyModal.classList.add('hidden');
+        this._revokeObjectUrls();
+    }
+
+    /**
+     * Switch to the list view
+     */
+    _showList() {
+        this.currentSessionId = null;
+        this._revokeObjectUrls();
+        this.elements.historyDetailView.classList.add('hidden');
+        this.elements.historyListView.classList.remove('hidden');
+        this._renderList();
+    }
+
+    /**
+     * Render the (filtered) session list
+     */
+    async _renderList() {
+        const token = ++this.listToken;
+        const sessions = await this.sessionStore.list({
+            query: this.elements.historySearchInput.value,
+            date: this.elements.historyDateInput.value
+        });
+
+        // A newer search or filter started while this one loaded
+        if (token !== this.listToken) {
+            return;
+        }
+
+        const list = this.elements.historyList;
+
+        if (sessions.length === 0) {
+            list.innerHTML = '<p class="history-placeholder">No inspections found</p>';
+            return;
+        }
+
+        list.innerHTML = sessions.map(session => {
+            const counts = this._severityCounts(session);
+            return `
+                <button class="history-item" data-session-id="${this._escapeHtml(session.id)}">
+                    <div class="history-item-title">${this._escapeHtml(this._sessionTitle(session))}</div>
+                    <div class="history-item-meta">
+                        ${new Date(session.startTime).toLocaleString()} &middot; ${this._formatDuration(session.sessionDuration)}
+                    </div>
+                    <div class="history-item-counts">
+                        ${counts.map(({ severity, count }) => `
+                            <span class="count ${this._escapeHtml(severity.id)}" style="${this._severityStyle(severity)}" title="${this._escapeHtml(severity.label)}">${count}</span>
+                        `).join('')}
+                    </div>
+                </button>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Show a single session
+     * @param {string} id - Session ID
+     */
+    async _showDetail(id) {
+        const session = await this.sessionStore.get(id);
+        if (!session) {
+            return;
+        }
+
+        this._revokeObjectUrls();
+        this.currentSessionId = id;
+        this.elements.historyListView.classList.add('hidden');
+        this.elements.historyDetailView.classList.remove('hidden');
+
+        const severities = this._severities(session);
+        const findings = (session.findings || []).map(finding => {
+            const severity = severities.find(candidate => candidate.id === finding.severity) || { id: finding.severity, label: finding.severity };
+            return `
+            <div class="finding-item ${this._escapeHtml(severity.id)}" style="${this._severityStyle(severity)}">
+                <div class="finding-title">${this._escapeHtml(finding.title)}</div>
+                ${finding.component ? `<div class="finding-component">${this._escapeHtml(finding.component)}</div>` : ''}
+                <div class="finding-description">${this._escapeHtml(finding.description)}</div>
+                ${finding.photo ? `<img class="finding-photo" src="data:image/jpeg;base64,${finding.photo}" alt="Finding photo" data-enlarge>` : ''}
+                ${finding.clip ? `<video class="finding-clip" controls playsinline preload="metadata" src="${this._createObjectUrl(finding.clip.blob)}"></video>` : ''}
+                <span class="finding-severity">${this._escapeHtml(severity.label)}</span>
+            </div>
+        `;
+        }).join('') || '<p class="findings-placeholder">No findings</p>';
+
+        const asset = session.asset || {};
+        const nameplate = asset.nameplatePhoto ? [{ label: 'Nameplate', data: asset.nameplatePhoto }] : [];
+        const captures = (session.captures || [])
+            .filter(capture => capture.type === 'photo')
+            .map(capture => ({ label: `Photo ${capture.id} (${capture.stepId})`, data: capture.data }));
+        const images = [...nameplate, ...(session.photos || []), ...captures, ...(session.images || [])].map(image => `
+            <figure class="history-image">
+                <img src="data:image/jpeg;base64,${image.data}" alt="${this._escapeHtml(image.label)}" data-enlarge>
+                <figcaption>${this._escapeHtml(image.label)}</figcaption>
+            </figure>
+        `).join('');
+
+        const assetFields = AssetRecord.FIELDS
+            .filter(field => asset[field.id])
+            .map(field => [field.label, asset[field.id], ''])
+            .concat(EquipmentDecoder.describe(asset.decoded).map(([label, value]) => [label, value, 'decoded']))
+            .map(([label, value, className]) => `<dt class="${className}">${this._escapeHtml(label)}</dt><dd class="${className}">${this._escapeHtml(value)}</dd>`)
+            .join('');
+
+        const transcript = (session.transcript || []).map(entry => `
+            <div class="transcript-entry ${entry.role === 'user' ? 'user' : 'ai'}">
+                <div class="role">${entry.role === 'user' ? 'You' : 'AI'}</div>
+                <div class="text">${this._escapeHtml(entry.text)}</div>
+                <div class="timestamp">${new Date(entry.timestamp).toLocaleTimeString()}</div>
+            </div>
+        `).join('') || '<p class="transcript-placeholder">No transcript</p>';
+
+        const statusLabels = { pending: 'To do', pass: 'Pass', fail: 'Fail', na: 'N/A' };
+        const checklist = (session.checklist || []).map(item => `
+            <div class="checklist-item ${this._escapeHtml(item.status)}">
+                <span class="checklist-status">${statusLabels[item.status] || this._escapeHtml(item.status)}</span>
+                <div class="checklist-text">
+                    <div class="checklist-label">${this._escapeHtml(item.label)}</div>
+                    ${item.notes ? `<div class="checklist-notes">${this._escapeHtml(item.notes)}</div>` : ''}
+                </div>
+            </div>
+        `).join('');
+
+        this.elements.historyDetail.innerHTML = `
+            <h3>${this._escapeHtml(this._sessionTitle(session))}</h3>
+            <p class="history-item-meta">
+                ${new Date(session.startTime).toLocaleString()} &middot; ${this._formatDuration(session.sessionDuration)}
+                ${session.source && session.source.type === 'file' ? `&middot; From video ${this._escapeHtml(session.source.name)}` : ''}
+                ${session.source && session.source.type === 'offline' ? `&middot; Offline capture${this._analysisLabel(session)}` : ''}
+            </p>
+            ${session.summary ? `<p class="history-summary">${this._escapeHtml(session.summary)}</p>` : ''}
+            ${images ? `<div class="history-images">${images}</div>` : ''}
+            ${this._renderRecording(session)}
+            ${assetFields ? `<h4>Asset</h4><dl class="history-section asset-fields">${assetFields}</dl>` : ''}
+            <h4>Findings (${(session.findings || []).length})</h4>
+            <div class="history-section">${findings}</div>
+            ${checklist ? `<h4>Checklist</h4><div class="history-section">${checklist}</div>` : ''}
+            <h4>Transcript</h4>
+            <div class="history-section">${transcript}</div>
+        `;
+    }
+
+    /**
+     * Analysis state of an offline session, for the meta line
+     * @param {object} session - Session record
+     */
+    _analysisLabel(session) {
+        const analysis = session.analysis || {};
+        if (analysis.status === 'complete') {
+            return '';
+        }
+        return analysis.status === 'failed'
+            ? ` - analysis failed (${this._escapeHtml(analysis.lastError)}) - saving a new API key in settings retries it`
+            : ' - analysis pending until back online';
+    }
+
+    /**
+     * Audio player and downloads for a recorded session
+     * @param {object} session - Session record
+     */
+    _renderRecording(session) {
+        const recording = session.recording;
+        if (!recording || !recording.wav) {
+            return '';
+        }
+
+        const baseName = `inspection-${session.startTime.slice(0, 19).replace(/[:T]/g, '-')}`;
+        const files = [{ label: 'WAV', blob: recording.wav, extension: 'wav' }];
+        if (recording.compressed) {
+            const extension = recording.compressedType.includes('ogg') ? 'ogg' : (recording.compressedType.includes('mp4') ? 'm4a' : 'webm');
+            files.push({ label: extension.toUpperCase(), blob: recording.compressed, extension });
+        }
+
+        const links = files.map(file => {
+            const url = this._createObjectUrl(file.blob);
+            const size = `${(file.blob.size / 1024 / 1024).toFixed(1)} MB`;
+            return `<a class="btn secondary" href="${url}" download="${baseName}.${file.extension}">Download ${file.label} (${size})</a>`;
+        }).join('');
+
+        // Prefer the smaller compressed file for playback
+        const playback = this._createObjectUrl(recording.compressed || recording.wav);
+
+        return `
+            <h4>Recording (${this._formatDuration(recording.durationMs)})</h4>
+            <div class="history-section history-recording">
+                <audio controls preload="metadata" src="${playback}"></audio>
+                <div class="recording-downloads">${links}</div>
+            </div>
+        `;
+    }
+
+    _createObjectUrl(blob) {
+        const url = URL.createObjectURL(blob);
+        this.objectUrls.push(url);
+        return url;
+    }
+
+    _revokeObjectUrls() {
+        this.objectUrls.forEach(url => URL.revokeObjectURL(url));
+        this.objectUrls = [];
+    }
+
+    /**
+     * Delete the session shown in the detail view
+     */
+    async _deleteCurrent() {
+        if (!this.currentSessionId || !confirm('Delete this inspection from this device?')) {
+            return;
+        }
+
+        await this.sessionStore.delete(this.currentSessionId);
+        this._showList();
+    }
+
+    /**
+     * Get a display title for a session
+     * @param {object} session - Session record
+     */
+    _sessionTitle(session) {
+        const asset = session.asset || {};
+        const name = [asset.manufacturer, asset.model].filter(Boolean).join(' ');
+        const type = session.template ? session.template.name : '';
+        return [name, type].filter(Boolean).join(' \u00b7 ') || 'Inspection';
+    }
+
+    /**
+     * Severity taxonomy the session was recorded with
+     * (sessions saved before templates existed use the standard one)
+     * @param {object} session - Session record
+     */
+    _severities(session) {
+        return (session.template && session.template.severities) || STANDARD_SEVERITIES;
+    }
+
+    /**
+     * Inline style carrying a severity's color for the shared CSS
+     * @param {object} severity - Template severity
+     */
+    _severityStyle(severity) {
+        return severity.color ? `--severity-color: ${this._escapeHtml(severity.color)}` : '';
+    }
+
+    /**
+     * Count findings per severity
+     * @param {object} session - Session record
+     * @returns {Array<{ severity: object, count: number }>}
+     */
+    _severityCounts(session) {
+        return this._severities(session).map(severity => ({
+            severity,
+            count: (session.findings || []).filter(finding => finding.severity === severity.id).length
+        }));
+    }
+
+    /**
+     * Format milliseconds as "12m 34s"
+     * @param {number} ms - Duration in milliseconds
+     */
+    _formatDuration(ms) {
+        const totalSeconds = Math.round((ms || 0) / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
+    }
+
+    /**
+     * Escape HTML to prevent XSS (quotes too, for attribute values)
+     * @param {string} text - Text to escape
+     */
+    _escapeHtml(text) {
+        return String(text == null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
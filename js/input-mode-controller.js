@@ -0,0 +1,214 @@
+/**
+ * Input Mode Controller
+ * Decides when the technician's mic reaches the AI. In open mode the mic is
+ * always live and Gemini detects speech itself; in push-to-talk mode the mic
+ * is only live while the talk button is held (or toggled from a headset button
+ * through the Media Session API) and the start and end of each turn are
+ * signalled explicitly. Mute closes the mic in either mode
+ */
+
+class InputModeController {
+    constructor() {
+        this.mode = CONFIG.DEFAULT_INPUT_MODE;
+        this.isMuted = false;
+        this.isTalking = false;     // Push-to-talk held (including the release tail)
+        this.releaseTimer = null;   // Keeps the mic open briefly after release
+        this.mediaSessionActive = false;
+
+        // Callbacks
+        this.onTalkStart = null;    // Called when push-to-talk opens the mic
+        this.onTalkEnd = null;      // Called when push-to-talk closes the mic
+        this.onMuteChange = null;   // Called with (muted)
+        this.onModeChange = null;   // Called with (mode) when the input mode changes
+    }
+
+    /**
+     * Switch between open mic and push-to-talk
+     * @param {string} mode - Key of CONFIG.INPUT_MODES
+     */
+    setMode(mode) {
+        if (!CONFIG.INPUT_MODES[mode] || mode === this.mode) {
+            return;
+        }
+
+        this._endTalk();
+        this.mode = mode;
+        console.log(`[Input] Mode: ${mode}`);
+
+        if (this.onModeChange) {
+            this.onModeChange(mode);
+        }
+    }
+
+    /**
+     * Whether turns are signalled explicitly instead of detected by Gemini
+     * @returns {boolean}
+     */
+    isPushToTalk() {
+        return this.mode === 'push-to-talk';
+    }
+
+    /**
+     * Whether mic audio should be sent right now
+     * @returns {boolean}
+     */
+    isMicOpen() {
+        return !this.isMuted && (!this.isPushToTalk() || this.isTalking);
+    }
+
+    /**
+     * Mute or unmute the mic
+     * @param {boolean} muted - Whether to mute
+     */
+    setMuted(muted) {
+        if (muted === this.isMuted) {
+            return;
+        }
+
+        // Muting mid-turn ends the turn first, so Gemini isn't left waiting for it
+        if (muted) {
+            this._endTalk();
+        }
+        this.isMuted = muted;
+        console.log(`[Input] ${muted ? 'Muted' : 'Unmuted'}`);
+
+        if (this.mediaSessionActive && navigator.mediaSession.setMicrophoneActive) {
+            navigator.mediaSession.setMicrophoneActive(!muted).catch(() => {});
+        }
+        if (this.onMuteChange) {
+            this.onMuteChange(muted);
+        }
+    }
+
+    /**
+     * Flip the mute state
+     */
+    toggleMute() {
+        this.setMuted(!this.isMuted);
+    }
+
+    /**
+     * Talk button pressed
+     */
+    pressTalk() {
+        if (!this.isPushToTalk() || this.isMuted) {
+            return;
+        }
+
+        // Pressed again within the release tail - the same turn carries on
+        if (this.releaseTimer) {
+            clearTimeout(this.releaseTimer);
+            this.releaseTimer = null;
+            return;
+        }
+        if (this.isTalking) {
+            return;
+        }
+
+        this.isTalking = true;
+        if (this.onTalkStart) {
+            this.onTalkStart();
+        }
+    }
+
+    /**
+     * Talk button released; the mic stays open a moment so the last word isn't cut off
+     */
+    releaseTalk() {
+        if (!this.isTalking || this.releaseTimer) {
+            return;
+        }
+
+        this.releaseTimer = setTimeout(() => {
+            this.releaseTimer = null;
+            this._endTalk();
+        }, CONFIG.PUSH_TO_TALK_TAIL_MS);
+    }
+
+    /**
+     * Press or release, for buttons that can't be held (headset)
+     */
+    toggleTalk() {
+        if (this.isTalking && !this.releaseTimer) {
+            this.releaseTalk();
+        } else {
+            this.pressTalk();
+        }
+    }
+
+    /**
+     * Take over the headset / lock-screen media buttons for the session:
+     * play/pause toggles push-to-talk (or mute in open mode), the
+     * microphone button toggles mute. A headset button can't be held, so
+     * one press starts the turn and the next ends it. Browsers only route
+     * these buttons to a page that is playing audio, i.e. once the AI has spoken
+     */
+    attachMediaSession() {
+        if (!('mediaSession' in navigator)) {
+            return;
+        }
+
+        const toggle = () => {
+            if (this.isPushToTalk()) {
+                this.toggleTalk();
+            } else {
+                this.toggleMute();
+            }
+        };
+
+        navigator.mediaSession.metadata = new MediaMetadata({ title: 'Inspection in progress', artist: 'Inspection assistant' });
+        for (const action of ['play', 'pause']) {
+            this._setActionHandler(action, toggle);
+        }
+        this._setActionHandler('togglemicrophone', () => this.toggleMute());
+        navigator.mediaSession.playbackState = 'playing';
+        this.mediaSessionActive = true;
+    }
+
+    /**
+     * Give the media buttons back and reset for the next session
+     */
+    detach() {
+        this._endTalk();
+        this.setMuted(false);
+
+        if (!this.mediaSessionActive) {
+            return;
+        }
+        for (const action of ['play', 'pause', 'togglemicrophone']) {
+            this._setActionHandler(action, null);
+        }
+        navigator.mediaSession.metadata = null;
+        navigator.mediaSession.playbackState = 'none';
+        this.mediaSessionActive = false;
+    }
+
+    /**
+     * Close the mic and signal the end of the turn, if one is in progress
+     */
+    _endTalk() {
+        clearTimeout(this.releaseTimer);
+        this.releaseTimer = null;
+
+        if (!this.isTalking) {
+            return;
+        }
+        this.isTalking = false;
+        if (this.onTalkEnd) {
+            this.onTalkEnd();
+        }
+    }
+
+    /**
+     * Register a Media Session action, ignoring actions this browser doesn't know
+     * @param {string} action - Media Session action name
+     * @param {function|null} handler - Handler, or null to remove it
+     */
+    _setActionHandler(action, handler) {
+        try {
+            navigator.mediaSession.setActionHandler(action, handler);
+        } catch (error) {
+            // Unsupported action (e.g. togglemicrophone outside Chromium)
+        }
+    }
+}
@@ -0,0 +1,198 @@
+/**
+ * Network Monitor
+ * Picks a video quality tier from measured conditions: the WebSocket send
+ * buffer, how long the AI takes to start answering, and the Network
+ * Information API. Steps down quickly when the link struggles and back up
+ * slowly once it recovers. Audio always has priority - video frames are
+ * dropped outright while the send buffer is backed up
+ */
+
+class NetworkMonitor {
+    /**
+     * @param {GeminiLiveClient} gemini - Live client whose send buffer is watched
+     */
+    constructor(gemini) {
+        this.gemini = gemini;
+        this.tiers = CONFIG.VIDEO_QUALITY_TIERS;
+        this.tierIndex = 0;
+        this.sampleInterval = null;
+        this.badSamples = 0;          // Consecutive congested samples
+        this.goodSamples = 0;         // Consecutive clear samples
+        this.turnStartedAt = null;    // performance.now() when the technician stopped speaking
+        this.turnLatencyMs = null;    // Latest time to the AI's first audio
+        this.framesDropped = 0;
+
+        this._onConnectionChange = () => this._sample();
+
+        // Callbacks
+        this.onTierChange = null; // Called with (tier, reason) when the quality tier changes
+    }
+
+    /**
+     * Start sampling; begins at the best tier the connection type allows
+     */
+    start() {
+        this.stop();
+
+        this.badSamples = 0;
+        this.goodSamples = 0;
+        this.turnStartedAt = null;
+        this.turnLatencyMs = null;
+        this.framesDropped = 0;
+        this._setTier(this._getTierCap(), 'start');
+
+        this.sampleInterval = setInterval(() => this._sample(), CONFIG.NETWORK_SAMPLE_MS);
+        if (navigator.connection) {
+            navigator.connection.addEventListener('change', this._onConnectionChange);
+        }
+    }
+
+    /**
+     * Stop sampling
+     */
+    stop() {
+        if (this.sampleInterval) {
+            clearInterval(this.sampleInterval);
+            this.sampleInterval = null;
+        }
+        if (navigator.connection) {
+            navigator.connection.removeEventListener('change', this._onConnectionChange);
+        }
+    }
+
+    /**
+     * Current quality tier
+     * @returns {object} Entry from CONFIG.VIDEO_QUALITY_TIERS
+     */
+    getTier() {
+        return this.tiers[this.tierIndex];
+    }
+
+    /**
+     * Whether a video frame may be sent now; frames wait behind queued audio otherwise
+     * @returns {boolean}
+     */
+    allowVideoFrame() {
+        if (this.gemini.getBufferedAmount() <= CONFIG.NETWORK_VIDEO_MAX_BUFFERED) {
+            return true;
+        }
+
+        this.framesDropped++;
+        return false;
+    }
+
+    /**
+     * The technician finished speaking - time the AI's response from here
+     */
+    markTurnStart() {
+        this.turnStartedAt = performance.now();
+    }
+
+    /**
+     * The AI's first audio for the turn arrived
+     */
+    markTurnResponse() {
+        if (this.turnStartedAt === null) {
+            return;
+        }
+
+        this.turnLatencyMs = performance.now() - this.turnStartedAt;
+        this.turnStartedAt = null;
+        console.log(`[Network] Turn latency ${Math.round(this.turnLatencyMs)} ms`);
+    }
+
+    /**
+     * Measurements for diagnostics
+     * @returns {object}
+     */
+    getStats() {
+        const connection = navigator.connection;
+        return {
+            tier: this.getTier().id,
+            bufferedBytes: this.gemini.getBufferedAmount(),
+            turnLatencyMs: this.turnLatencyMs === null ? null : Math.round(this.turnLatencyMs),
+            framesDropped: this.framesDropped,
+            effectiveType: connection ? connection.effectiveType : null
+        };
+    }
+
+    /**
+     * Take one measurement and move between tiers with hysteresis
+     */
+    _sample() {
+        if (!this.gemini.isReady()) {
+            return;
+        }
+
+        const buffered = this.gemini.getBufferedAmount();
+        const slowTurn = this.turnLatencyMs !== null && this.turnLatencyMs > CONFIG.NETWORK_TURN_LATENCY_HIGH_MS;
+        const cap = this._getTierCap();
+
+        // The connection type got worse - drop straight to what it can carry
+        if (this.tierIndex < cap) {
+            this._setTier(cap, `connection ${navigator.connection.effectiveType}`);
+            return;
+        }
+
+        if (buffered > CONFIG.NETWORK_BUFFER_HIGH || slowTurn) {
+            this.goodSamples = 0;
+            this.badSamples++;
+            if (this.badSamples >= CONFIG.NETWORK_DOWNGRADE_SAMPLES && this.tierIndex < this.tiers.length - 1) {
+                this._setTier(this.tierIndex + 1, slowTurn ? 'slow responses' : `${Math.round(buffered / 1024)} KB queued`);
+                // A new turn has to confirm the latency problem is still there
+                this.turnLatencyMs = null;
+            }
+            return;
+        }
+
+        this.badSamples = 0;
+        if (buffered < CONFIG.NETWORK_BUFFER_LOW) {
+            this.goodSamples++;
+            if (this.goodSamples >= CONFIG.NETWORK_UPGRADE_SAMPLES && this.tierIndex > cap) {
+                this._setTier(this.tierIndex - 1, 'network recovered');
+            }
+        }
+    }
+
+    /**
+     * Best tier index the reported connection type allows
+     * @returns {number}
+     */
+    _getTierCap() {
+        const connection = navigator.connection;
+        if (!connection) {
+            return 0;
+        }
+
+        const last = this.tiers.length - 1;
+        if (connection.effectiveType === 'slow-2g' || connection.effectiveType === '2g') {
+            return last;
+        }
+        if (connection.effectiveType === '3g' || connection.saveData) {
+            return Math.min(1, last);
+        }
+        return 0;
+    }
+
+    /**
+     * Switch tiers and notify
+     * @param {number} index - Tier index
+     * @param {string} reason - Why (for the log)
+     */
+    _setTier(index, reason) {
+        this.badSamples = 0;
+        this.goodSamples = 0;
+
+        if (index === this.tierIndex && reason !== 'start') {
+            return;
+        }
+
+        this.tierIndex = index;
+        const tier = this.getTier();
+        console.log(`[Network] Video tier ${tier.id} (${reason})`);
+
+        if (this.onTierChange) {
+            this.onTierChange(tier, reason);
+        }
+    }
+}
@@ -0,0 +1,88 @@
+/**
+ * PCM Codec
+ * Float32 <-> 16-bit PCM conversion and base64 encoding on typed arrays.
+ * Self-contained so it can also run in the AudioWorklet (whose source it is
+ * injected into, and which has no btoa) and the frame encoder worker
+ */
+
+class PcmCodec {
+    /**
+     * Convert samples to 16-bit PCM, clamping to full scale
+     * @param {Float32Array} samples - Samples in -1..1
+     * @returns {Int16Array}
+     */
+    static floatToPcm16(samples) {
+        const pcm = new Int16Array(samples.length);
+        for (let i = 0; i < samples.length; i++) {
+            const sample = samples[i] < -1 ? -1 : (samples[i] > 1 ? 1 : samples[i]);
+            pcm[i] = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
+        }
+        return pcm;
+    }
+
+    /**
+     * Convert 16-bit PCM to samples in -1..1
+     * @param {Int16Array} pcm - PCM samples
+     * @returns {Float32Array}
+     */
+    static pcm16ToFloat(pcm) {
+        const samples = new Float32Array(pcm.length);
+        for (let i = 0; i < pcm.length; i++) {
+            samples[i] = pcm[i] / 32768;
+        }
+        return samples;
+    }
+
+    /**
+     * Base64-encode bytes without building a string per byte
+     * @param {Uint8Array} bytes - Data to encode
+     * @returns {string}
+     */
+    static bytesToBase64(bytes) {
+        const alphabet = PcmCodec.ALPHABET;
+        const codes = new Uint8Array(Math.ceil(bytes.length / 3) * 4);
+        let out = 0;
+        let i = 0;
+
+        for (; i + 2 < bytes.length; i += 3) {
+            const triple = (bytes[i] << 16) | (bytes[i + 1] << 8) | bytes[i + 2];
+            codes[out++] = alphabet[triple >> 18];
+            codes[out++] = alphabet[(triple >> 12) & 63];
+            codes[out++] = alphabet[(triple >> 6) & 63];
+            codes[out++] = alphabet[triple & 63];
+        }
+
+        const remaining = bytes.length - i;
+        if (remaining > 0) {
+            const triple = (bytes[i] << 16) | (remaining === 2 ? bytes[i + 1] << 8 : 0);
+            codes[out++] = alphabet[triple >> 18];
+            codes[out++] = alphabet[(triple >> 12) & 63];
+            codes[out++] = remaining === 2 ? alphabet[(triple >> 6) & 63] : 61; // '='
+            codes[out++] = 61;
+        }
+
+        // Decode the ASCII in blocks (fromCharCode has an argument limit)
+        let text = '';
+        for (let start = 0; start < codes.length; start += 0x8000) {
+            text += String.fromCharCode.apply(null, codes.subarray(start, start + 0x8000));
+        }
+        return text;
+    }
+
+    /**
+     * Decode base64 to bytes
+     * @param {string} text - Base64 text
+     * @returns {Uint8Array}
+     */
+    static base64ToBytes(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
+
+// Base64 alphabet as character codes
+PcmCodec.ALPHABET = Uint8Array.from('ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/', c => c.charCodeAt(0));
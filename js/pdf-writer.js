@@ -0,0 +1,396 @@
+/**
+ * PDF Writer
+ * Minimal client-side PDF generator: Helvetica text, filled shapes and JPEG images
+ * Coordinates are in points with the origin at the top-left of the page
+ */
+
+class PdfWriter {
+    /**
+     * @param {object} [pageSize] - Page size in points (default: US Letter)
+     */
+    constructor(pageSize = { width: 612, height: 792 }) {
+        this.pageWidth = pageSize.width;
+        this.pageHeight = pageSize.height;
+
+        this.pages = [];       // Content stream operators per page
+        this.images = new Map(); // base64 -> { name, width, height, bytes }
+    }
+
+    /**
+     * Start a new page; later drawing calls go to it
+     */
+    addPage() {
+        this.pages.push([]);
+    }
+
+    /**
+     * Draw a single line of text
+     * @param {string} text - Text (non WinAnsi characters become '?')
+     * @param {number} x - Left position
+     * @param {number} y - Baseline position from the top
+     * @param {object} [options]
+     * @param {number} [options.size] - Font size in points (default 10)
+     * @param {boolean} [options.bold] - Use Helvetica-Bold
+     * @param {string} [options.color] - Hex color (default black)
+     */
+    text(text, x, y, options = {}) {
+        const size = options.size || 10;
+        const font = options.bold ? 'F2' : 'F1';
+        const [r, g, b] = this._rgb(options.color || '#000000');
+
+        this._draw(`BT /${font} ${size} Tf ${r} ${g} ${b} rg ${this._num(x)} ${this._num(this.pageHeight - y)} Td (${this._escapeText(text)}) Tj ET`);
+    }
+
+    /**
+     * Draw a filled rectangle
+     * @param {number} x - Left position
+     * @param {number} y - Top position
+     * @param {number} width - Width
+     * @param {number} height - Height
+     * @param {string} color - Hex fill color
+     */
+    rect(x, y, width, height, color) {
+        const [r, g, b] = this._rgb(color);
+        this._draw(`${r} ${g} ${b} rg ${this._num(x)} ${this._num(this.pageHeight - y - height)} ${this._num(width)} ${this._num(height)} re f`);
+    }
+
+    /**
+     * Draw a straight line
+     * @param {number} x1 - Start x
+     * @param {number} y1 - Start y
+     * @param {number} x2 - End x
+     * @param {number} y2 - End y
+     * @param {string} color - Hex stroke color
+     * @param {number} [lineWidth] - Line width in points
+     */
+    line(x1, y1, x2, y2, color, lineWidth = 0.5) {
+        const [r, g, b] = this._rgb(color);
+        this._draw(`${r} ${g} ${b} RG ${lineWidth} w ${this._num(x1)} ${this._num(this.pageHeight - y1)} m ${this._num(x2)} ${this._num(this.pageHeight - y2)} l S`);
+    }
+
+    /**
+     * Draw a JPEG image
+     * @param {string} base64Jpeg - Base64 encoded JPEG (without data URL prefix)
+     * @param {number} x - Left position
+     * @param {number} y - Top position
+     * @param {number} width - Drawn width
+     * @param {number} height - Drawn height
+     */
+    image(base64Jpeg, x, y, width, height) {
+        const image = this._loadImage(base64Jpeg);
+        if (!image) {
+            return;
+        }
+
+        this._draw(`q ${this._num(width)} 0 0 ${this._num(height)} ${this._num(x)} ${this._num(this.pageHeight - y - height)} cm /${image.name} Do Q`);
+    }
+
+    /**
+     * Get the pixel size of a JPEG
+     * @param {string} base64Jpeg - Base64 encoded JPEG
+     * @returns {{width: number, height: number}|null}
+     */
+    getImageSize(base64Jpeg) {
+        const image = this._loadImage(base64Jpeg);
+        return image ? { width: image.width, height: image.height } : null;
+    }
+
+    /**
+     * Measure text width
+     * @param {string} text - Text to measure
+     * @param {number} size - Font size in points
+     * @param {boolean} [bold] - Helvetica-Bold metrics
+     * @returns {number} Width in points
+     */
+    measureText(text, size, bold = false) {
+        const widths = bold ? PdfWriter.BOLD_WIDTHS : PdfWriter.REGULAR_WIDTHS;
+        let total = 0;
+        for (const char of String(text)) {
+            const code = char.charCodeAt(0);
+            total += (code >= 32 && code <= 126) ? widths[code - 32] : 556;
+        }
+        return total * size / 1000;
+    }
+
+    /**
+     * Split text into lines that fit a width
+     * @param {string} text - Text to wrap (newlines are kept)
+     * @param {number} maxWidth - Available width in points
+     * @param {number} size - Font size in points
+     * @param {boolean} [bold] - Helvetica-Bold metrics
+     * @returns {string[]} Lines
+     */
+    wrapText(text, maxWidth, size, bold = false) {
+        const lines = [];
+
+        for (const paragraph of String(text).split('\n')) {
+            let line = '';
+
+            for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+                const candidate = line ? `${line} ${word}` : word;
+                if (this.measureText(candidate, size, bold) <= maxWidth) {
+                    line = candidate;
+                    continue;
+                }
+
+                if (line) {
+                    lines.push(line);
+                }
+
+                // Break words that are longer than a whole line
+                line = word;
+                while (this.measureText(line, size, bold) > maxWidth && line.length > 1) {
+                    let cut = line.length - 1;
+                    while (cut > 1 && this.measureText(line.slice(0, cut), size, bold) > maxWidth) {
+                        cut--;
+                    }
+                    lines.push(line.slice(0, cut));
+                    line = line.slice(cut);
+                }
+            }
+
+            lines.push(line);
+        }
+
+        return lines;
+    }
+
+    /**
+     * Serialize the document
+     * @returns {Blob} application/pdf blob
+     */
+    toBlob() {
+        const chunks = [];
+        const offsets = [];
+        let length = 0;
+
+        const write = (data) => {
+            const bytes = typeof data === 'string' ? this._latin1Bytes(data) : data;
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+
+        const images = Array.from(this.images.values());
+        const imageBase = 5;
+        const pageBase = imageBase + images.length;
+        const objectCount = pageBase + this.pages.length * 2 - 1;
+
+        const beginObject = (id) => {
+            offsets[id] = length;
+            write(`${id} 0 obj\n`);
+        };
+
+        write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+
+        // 1: Catalog, 2: Pages, 3-4: Fonts
+        beginObject(1);
+        write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+
+        const kids = this.pages.map((_, i) => `${pageBase + i * 2} 0 R`).join(' ');
+        beginObject(2);
+        write(`<< /Type /Pages /Kids [${kids}] /Count ${this.pages.length} >>\nendobj\n`);
+
+        beginObject(3);
+        write('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>\nendobj\n');
+
+        beginObject(4);
+        write('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>\nendobj\n');
+
+        // Images (JPEG data is embedded as-is)
+        images.forEach((image, i) => {
+            beginObject(imageBase + i);
+            write(`<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /${image.colorSpace} /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>\nstream\n`);
+            write(image.bytes);
+            write('\nendstream\nendobj\n');
+        });
+
+        const xObjects = images.map((image, i) => `/${image.name} ${imageBase + i} 0 R`).join(' ');
+
+        // Pages and their content streams
+        this.pages.forEach((operators, i) => {
+            const pageId = pageBase + i * 2;
+            const content = operators.join('\n');
+
+            beginObject(pageId);
+            write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.pageWidth} ${this.pageHeight}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> /XObject << ${xObjects} >> >> /Contents ${pageId + 1} 0 R >>\nendobj\n`);
+
+            beginObject(pageId + 1);
+            write(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`);
+        });
+
+        // Cross-reference table
+        const xrefOffset = length;
+        write(`xref\n0 ${objectCount + 1}\n0000000000 65535 f \n`);
+        for (let id = 1; id <= objectCount; id++) {
+            write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+        }
+        write(`trailer\n<< /Size ${objectCount + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        return new Blob(chunks, { type: 'application/pdf' });
+    }
+
+    /**
+     * Append an operator to the current page
+     * @param {string} operator - PDF content stream operator(s)
+     */
+    _draw(operator) {
+        if (this.pages.length === 0) {
+            this.addPage();
+        }
+        this.pages[this.pages.length - 1].push(operator);
+    }
+
+    /**
+     * Decode and register a JPEG (cached by its base64 string)
+     * @param {string} base64Jpeg - Base64 encoded JPEG
+     */
+    _loadImage(base64Jpeg) {
+        if (this.images.has(base64Jpeg)) {
+            return this.images.get(base64Jpeg);
+        }
+
+        try {
+            const binary = atob(base64Jpeg);
+            const bytes = new Uint8Array(binary.length);
+            for (let i = 0; i < binary.length; i++) {
+                bytes[i] = binary.charCodeAt(i);
+            }
+
+            const info = this._readJpegInfo(bytes);
+            if (!info) {
+                console.warn('[PDF] Unsupported image data');
+                return null;
+            }
+
+            const image = {
+                name: `Im${this.images.size + 1}`,
+                width: info.width,
+                height: info.height,
+                colorSpace: info.components === 1 ? 'DeviceGray' : 'DeviceRGB',
+                bytes
+            };
+            this.images.set(base64Jpeg, image);
+            return image;
+        } catch (error) {
+            console.warn('[PDF] Could not decode image:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Read dimensions from a JPEG's start-of-frame marker
+     * @param {Uint8Array} bytes - JPEG file bytes
+     * @returns {{width: number, height: number, components: number}|null}
+     */
+    _readJpegInfo(bytes) {
+        if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+            return null;
+        }
+
+        let i = 2;
+        while (i + 9 < bytes.length) {
+            if (bytes[i] !== 0xFF) {
+                return null;
+            }
+
+            const marker = bytes[i + 1];
+            const segmentLength = (bytes[i + 2] << 8) | bytes[i + 3];
+
+            // SOF0-SOF15, excluding DHT (C4), JPG (C8) and DAC (CC)
+            if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+                return {
+                    height: (bytes[i + 5] << 8) | bytes[i + 6],
+                    width: (bytes[i + 7] << 8) | bytes[i + 8],
+                    components: bytes[i + 9]
+                };
+            }
+
+            i += 2 + segmentLength;
+        }
+
+        return null;
+    }
+
+    /**
+     * Encode text as an escaped WinAnsi PDF string literal body
+     * @param {string} text - Text to encode
+     */
+    _escapeText(text) {
+        let result = '';
+        for (const char of String(text)) {
+            const code = char.charCodeAt(0);
+            let byte;
+
+            if (code >= 32 && code <= 126) {
+                byte = code;
+            } else if (code >= 160 && code <= 255) {
+                byte = code;
+            } else if (char in PdfWriter.WIN_ANSI_EXTRAS) {
+                byte = PdfWriter.WIN_ANSI_EXTRAS[char];
+            } else {
+                byte = 63; // '?'
+            }
+
+            const encoded = String.fromCharCode(byte);
+            result += (encoded === '\\' || encoded === '(' || encoded === ')') ? `\\${encoded}` : encoded;
+        }
+        return result;
+    }
+
+    /**
+     * Convert a hex color to PDF RGB components
+     * @param {string} hex - Color like '#e94560'
+     */
+    _rgb(hex) {
+        const value = parseInt(hex.replace('#', ''), 16);
+        return [(value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF]
+            .map(component => this._num(component / 255));
+    }
+
+    /**
+     * Format a number for the content stream
+     * @param {number} value - Number to format
+     */
+    _num(value) {
+        return Number(value.toFixed(2)).toString();
+    }
+
+    /**
+     * Convert a binary (Latin-1) string to bytes
+     * @param {string} text - String with char codes 0-255
+     */
+    _latin1Bytes(text) {
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) {
+            bytes[i] = text.charCodeAt(i) & 0xFF;
+        }
+        return bytes;
+    }
+}
+
+// Typographic characters WinAnsiEncoding places in the 0x80-0x9F range
+PdfWriter.WIN_ANSI_EXTRAS = {
+    '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92,
+    '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97
+};
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126
+PdfWriter.REGULAR_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// Helvetica-Bold advance widths (1/1000 em) for ASCII 32-126
+PdfWriter.BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
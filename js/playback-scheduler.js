@@ -0,0 +1,232 @@
+/**
+ * Playback Scheduler
+ * Plays AI speech chunks back to back on the AudioContext clock, so there are no
+ * gaps or clicks between them. Each turn starts once a small jitter buffer has
+ * filled; the buffer grows after an underrun and shrinks again after clean turns.
+ * Stopping (barge-in) fades the turn out rather than cutting it mid-sample
+ */
+
+class PlaybackScheduler {
+    /**
+     * @param {AudioContext} context - Output context
+     * @param {AudioNode} destination - Node the speech is played into
+     */
+    constructor(context, destination) {
+        this.context = context;
+        this.destination = destination;
+
+        this.jitterMs = CONFIG.PLAYBACK_JITTER_MIN_MS; // Audio buffered before a turn starts
+        this.pending = [];          // Chunks waiting for the jitter buffer to fill
+        this.pendingDuration = 0;   // Seconds of audio in pending
+        this.bufferTimer = null;    // Starts a short turn that never fills the buffer
+        this.drainTimer = null;     // Ends the turn if no more audio arrives after an underrun
+
+        this.turnGain = null;       // Per-turn gain node, faded out on stop
+        this.sources = new Set();   // Scheduled sources not yet finished
+        this.nextStartTime = 0;     // Context time the next chunk starts at
+        this.isPlaying = false;     // Between the first chunk starting and the turn ending
+        this.isTurnComplete = false;
+        this.underruns = 0;         // Underruns in the current turn
+
+        // Callbacks
+        this.onStart = null;        // Called when the first chunk of a turn starts playing
+        this.onEnd = null;          // Called when the turn's last chunk has finished (or was stopped)
+        this.onScheduled = null;    // Called with (samples, sampleRate, startTime) - startTime in performance.now() terms
+    }
+
+    /**
+     * Add a chunk of speech
+     * @param {Float32Array} samples - Mono samples at the context's rate
+     */
+    enqueue(samples) {
+        this.isTurnComplete = false;
+        clearTimeout(this.drainTimer);
+        this.drainTimer = null;
+
+        // Audio still scheduled ahead - append directly after it
+        if (this.sources.size > 0) {
+            this._schedule(samples);
+            return;
+        }
+
+        // New turn, or the turn ran dry: buffer before (re)starting
+        if (this.isPlaying) {
+            this.underruns++;
+            this.jitterMs = Math.min(this.jitterMs + CONFIG.PLAYBACK_JITTER_STEP_MS, CONFIG.PLAYBACK_JITTER_MAX_MS);
+            console.log(`[Playback] Underrun - jitter buffer now ${this.jitterMs} ms`);
+        }
+
+        this.pending.push(samples);
+        this.pendingDuration += samples.length / this.context.sampleRate;
+
+        if (this.pendingDuration * 1000 >= this.jitterMs) {
+            this._flushPending();
+        } else if (!this.bufferTimer) {
+            this.bufferTimer = setTimeout(() => this._flushPending(), this.jitterMs);
+        }
+    }
+
+    /**
+     * The server finished the turn - no more chunks are coming
+     */
+    markTurnComplete() {
+        this.isTurnComplete = true;
+        this._flushPending();
+
+        if (this.isPlaying && this.sources.size === 0) {
+            this._end();
+        }
+    }
+
+    /**
+     * Stop playback, fading out whatever is playing
+     * @returns {boolean} Whether anything was playing
+     */
+    stop() {
+        const wasPlaying = this.isPlaying || this.pending.length > 0;
+
+        clearTimeout(this.bufferTimer);
+        clearTimeout(this.drainTimer);
+        this.bufferTimer = null;
+        this.drainTimer = null;
+        this.pending = [];
+        this.pendingDuration = 0;
+
+        if (this.turnGain) {
+            const fade = CONFIG.PLAYBACK_FADE_MS / 1000;
+            const now = this.context.currentTime;
+            this.turnGain.gain.cancelScheduledValues(now);
+            this.turnGain.gain.setValueAtTime(this.turnGain.gain.value, now);
+            this.turnGain.gain.linearRampToValueAtTime(0, now + fade);
+
+            for (const source of this.sources) {
+                source.onended = null;
+                try {
+                    source.stop(now + fade);
+                } catch (e) {
+                    // Ignore errors if already stopped
+                }
+            }
+
+            // The next turn gets its own gain node, so it can fade in while this one fades out
+            const gain = this.turnGain;
+            setTimeout(() => gain.disconnect(), CONFIG.PLAYBACK_FADE_MS + 50);
+            this.turnGain = null;
+        }
+        this.sources.clear();
+
+        if (this.isPlaying) {
+            this._end();
+        }
+        return wasPlaying;
+    }
+
+    /**
+     * Schedule the buffered chunks, starting a new turn if needed
+     */
+    _flushPending() {
+        clearTimeout(this.bufferTimer);
+        this.bufferTimer = null;
+
+        const chunks = this.pending;
+        this.pending = [];
+        this.pendingDuration = 0;
+
+        for (const samples of chunks) {
+            this._schedule(samples);
+        }
+    }
+
+    /**
+     * Schedule one chunk right after the previous one
+     * @param {Float32Array} samples - Mono samples at the context's rate
+     */
+    _schedule(samples) {
+        const now = this.context.currentTime;
+        const lead = CONFIG.PLAYBACK_LEAD_MS / 1000;
+
+        if (!this.turnGain) {
+            // Fade in from silence so the first sample doesn't click
+            this.turnGain = this.context.createGain();
+            this.turnGain.gain.setValueAtTime(0, now);
+            this.turnGain.gain.linearRampToValueAtTime(1, now + lead + CONFIG.PLAYBACK_FADE_MS / 1000);
+            this.turnGain.connect(this.destination);
+        }
+
+        // Never schedule in the past - after an underrun the turn restarts a moment from now
+        const startTime = Math.max(this.nextStartTime, now + lead);
+
+        const buffer = this.context.createBuffer(1, samples.length, this.context.sampleRate);
+        buffer.copyToChannel(samples, 0);
+
+        const source = this.context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(this.turnGain);
+        source.onended = () => {
+            this.sources.delete(source);
+            if (this.sources.size === 0) {
+                this._onDrained();
+            }
+        };
+        source.start(startTime);
+        this.sources.add(source);
+        this.nextStartTime = startTime + buffer.duration;
+
+        const delayMs = (startTime - now) * 1000;
+        if (!this.isPlaying) {
+            this.isPlaying = true;
+            this.underruns = 0;
+            setTimeout(() => {
+                if (this.isPlaying && this.onStart) {
+                    this.onStart();
+                }
+            }, delayMs);
+        }
+
+        if (this.onScheduled) {
+            this.onScheduled(samples, this.context.sampleRate, performance.now() + delayMs);
+        }
+    }
+
+    /**
+     * Everything scheduled has played
+     */
+    _onDrained() {
+        if (this.isTurnComplete) {
+            this._end();
+            return;
+        }
+
+        // More audio may still be on its way - give it a moment before calling the turn over
+        this.drainTimer = setTimeout(() => {
+            this.drainTimer = null;
+            if (this.sources.size === 0 && this.pending.length === 0) {
+                this._end();
+            }
+        }, CONFIG.PLAYBACK_DRAIN_TIMEOUT_MS);
+    }
+
+    /**
+     * The turn is over: release its gain node and adapt the jitter buffer
+     */
+    _end() {
+        clearTimeout(this.drainTimer);
+        this.drainTimer = null;
+        this.isPlaying = false;
+        this.nextStartTime = 0;
+
+        if (this.turnGain) {
+            this.turnGain.disconnect();
+            this.turnGain = null;
+        }
+
+        // A clean turn lets the buffer shrink back toward the minimum
+        if (this.underruns === 0) {
+            this.jitterMs = Math.max(CONFIG.PLAYBACK_JITTER_MIN_MS, this.jitterMs - CONFIG.PLAYBACK_JITTER_STEP_MS / 2);
+        }
+
+        if (this.onEnd) {
+            this.onEnd();
+        }
+    }
+}
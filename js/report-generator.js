@@ -0,0 +1,574 @@
+/**
+ * Report Generator
+ * Builds a branded inspection report from a saved session,
+ * as a print-optimized HTML page or a PDF (both entirely client-side)
+ */
+
+class ReportGenerator {
+    constructor() {
+        // Severity taxonomy for sessions saved before templates existed
+        this.defaultSeverities = STANDARD_SEVERITIES;
+        this.defaultSeverityColor = '#00adb5';
+        this.clipUrls = []; // Object URLs of the last report's clips
+        this.checklistLabels = {
+            pending: 'Pending',
+            pass: 'Pass',
+            fail: 'Fail',
+            na: 'N/A'
+        };
+    }
+
+    /**
+     * Open the printable HTML report in a new tab
+     * @param {object} session - Saved session record
+     * @param {object} branding - { companyName }
+     */
+    openPrintView(session, branding) {
+        // Clips of the previous report are no longer needed
+        this.clipUrls.forEach(clipUrl => URL.revokeObjectURL(clipUrl));
+        this.clipUrls = [];
+
+        const html = this.buildHtml(session, branding);
+        const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+        const reportWindow = window.open(url, '_blank');
+
+        if (!reportWindow) {
+            // Popup blocked - fall back to the current tab
+            window.location.href = url;
+        }
+
+        // Give the new tab time to load before releasing the URL
+        setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+    }
+
+    /**
+     * Generate the PDF and download it
+     * @param {object} session - Saved session record
+     * @param {object} branding - { companyName }
+     */
+    downloadPdf(session, branding) {
+        const blob = this.buildPdf(session, branding);
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this._fileName(session)}.pdf`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+    }
+
+    /**
+     * Build the report as a standalone HTML document
+     * @param {object} session - Saved session record
+     * @param {object} branding - { companyName }
+     * @returns {string} HTML document
+     */
+    buildHtml(session, branding) {
+        const esc = (text) => this._escapeHtml(text);
+        const groups = this._groupFindings(session);
+
+        const assetRows = this._assetFields(session.asset).map(([label, value]) =>
+            `<tr><th>${esc(label)}</th><td>${esc(value)}</td></tr>`
+        ).join('');
+
+        const findingSections = groups
+            .filter(group => group.findings.length > 0)
+            .map(({ severity, findings }) => `
+                <h3 class="severity-heading ${esc(severity.id)}" style="--severity-color: ${esc(this._severityColor(severity))}">${esc(severity.label)} (${findings.length})</h3>
+                ${findings.map(finding => `
+                    <div class="finding" style="border-color: ${esc(this._severityColor(severity))}">
+                        <div class="finding-text">
+                            <strong>${esc(finding.title)}</strong>
+                            ${finding.component ? `<div class="muted">${esc(finding.component)}</div>` : ''}
+                            <p>${esc(finding.description)}</p>
+                            <div class="muted">${esc(this._formatTime(finding.timestamp))}</div>
+                            ${finding.clip ? `
+                                <video class="clip" controls playsinline preload="metadata" src="${this._clipSource(finding.clip)}"></video>
+                                <div class="muted clip-note">Video clip attached (${esc(this._formatDuration(finding.clip.durationMs))})</div>
+                            ` : ''}
+                        </div>
+                        ${finding.photo ? `<img src="data:image/jpeg;base64,${finding.photo}" alt="Finding photo">` : ''}
+                    </div>
+                `).join('')}
+            `).join('') || '<p class="muted">No findings recorded.</p>';
+
+        const summary = groups.map(({ severity, findings }) =>
+            `<span class="${esc(severity.id)}" style="--severity-color: ${esc(this._severityColor(severity))}">${findings.length} ${esc(severity.label.toLowerCase())}</span>`
+        ).join('\n    ');
+
+        const requiredPhotos = this._requiredPhotos(session);
+        const photos = requiredPhotos.length > 0 ? `
+            <h2>Required Photos</h2>
+            <div class="photos">
+                ${requiredPhotos.map(({ definition, photo }) => `
+                    <figure>
+                        ${photo ? `<img src="data:image/jpeg;base64,${photo.data}" alt="${esc(definition.label)}">` : '<div class="missing">Not captured</div>'}
+                        <figcaption>${esc(definition.label)}</figcaption>
+                    </figure>
+                `).join('')}
+            </div>
+        ` : '';
+
+        const checklist = (session.checklist || []).length > 0 ? `
+            <h2>Checklist</h2>
+            <table class="checklist">
+                ${session.checklist.map(item => `
+                    <tr>
+                        <td>${esc(item.label)}</td>
+                        <td class="status ${esc(item.status)}">${esc(this.checklistLabels[item.status] || item.status)}</td>
+                        <td class="muted">${esc(item.notes || '')}</td>
+                    </tr>
+                `).join('')}
+            </table>
+        ` : '';
+
+        const transcript = (session.transcript || []).map(entry => `
+            <p><span class="muted">${esc(this._formatTime(entry.timestamp))}</span>
+            <strong>${entry.role === 'user' ? 'Technician' : 'AI'}:</strong> ${esc(entry.text)}</p>
+        `).join('') || '<p class="muted">No transcript.</p>';
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${esc(this._title(session))}</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #222; margin: 0 auto; max-width: 800px; padding: 24px; font-size: 14px; }
+    header { display: flex; justify-content: space-between; align-items: flex-end; border-bottom: 3px solid #0f3460; padding-bottom: 12px; margin-bottom: 16px; }
+    header .brand { font-size: 20px; font-weight: 700; color: #0f3460; }
+    h1 { font-size: 22px; margin: 0; }
+    h2 { font-size: 16px; color: #0f3460; border-bottom: 1px solid #ddd; padding-bottom: 4px; margin-top: 28px; }
+    h3 { font-size: 14px; margin: 16px 0 8px; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eee; vertical-align: top; }
+    th { width: 35%; color: #555; font-weight: 600; }
+    .muted { color: #777; font-size: 12px; }
+    .summary span { display: inline-block; margin-right: 16px; font-weight: 600; }
+    .severity-heading, .summary span { color: var(--severity-color); }
+    .severity-heading.warning, .summary .warning { color: #b38600; }
+    .severity-heading.info, .summary .info { color: #00838a; }
+    .finding { display: flex; gap: 12px; border-left: 4px solid; padding: 8px 12px; margin-bottom: 8px; background: #fafafa; page-break-inside: avoid; }
+    .finding-text { flex: 1; }
+    .finding p { margin: 4px 0; }
+    .finding img { width: 200px; height: auto; border-radius: 4px; object-fit: cover; }
+    .finding .clip { display: block; width: 100%; max-width: 360px; margin-top: 6px; border-radius: 4px; background: #000; }
+    .clip-note { display: none; }
+    .nameplate { margin: 12px 0 0; }
+    .nameplate img { width: 300px; height: auto; border-radius: 4px; }
+    .photos { display: flex; flex-wrap: wrap; gap: 12px; }
+    .photos figure { margin: 0; width: 230px; page-break-inside: avoid; }
+    .photos img { width: 100%; height: auto; border-radius: 4px; }
+    .photos .missing { height: 120px; display: flex; align-items: center; justify-content: center; border: 1px dashed #bbb; border-radius: 4px; color: #777; }
+    .photos figcaption { font-size: 12px; color: #555; margin-top: 4px; }
+    .checklist .status { font-weight: 600; width: 60px; }
+    .checklist .status.pass { color: #2e7d32; }
+    .checklist .status.fail { color: #e94560; }
+    .transcript { font-size: 12px; }
+    .transcript p { margin: 4px 0; }
+    .toolbar { margin-bottom: 16px; }
+    .toolbar button { padding: 8px 16px; font-size: 14px; }
+    @media print {
+        body { padding: 0; max-width: none; }
+        .toolbar, .finding .clip { display: none; }
+        .clip-note { display: block; }
+        .transcript { page-break-before: always; }
+    }
+</style>
+</head>
+<body>
+<div class="toolbar"><button onclick="window.print()">Print / Save as PDF</button></div>
+<header>
+    <div>
+        <div class="brand">${esc(branding.companyName || 'AI Live Inspection')}</div>
+        <h1>${esc(this._title(session))}</h1>
+    </div>
+    <div class="muted">Report generated ${esc(new Date().toLocaleString())}</div>
+</header>
+
+<table>
+    <tr><th>Technician</th><td>${esc(session.technician || 'Not recorded')}</td></tr>
+    <tr><th>Started</th><td>${esc(this._formatDateTime(session.startTime))}</td></tr>
+    <tr><th>Ended</th><td>${esc(this._formatDateTime(session.endTime))}</td></tr>
+    <tr><th>Duration</th><td>${esc(this._formatDuration(session.sessionDuration))}</td></tr>
+    ${this._sourceLabel(session) ? `<tr><th>Source</th><td>${esc(this._sourceLabel(session))}</td></tr>` : ''}
+</table>
+
+<h2>Asset Identification</h2>
+${assetRows ? `<table>${assetRows}</table>` : '<p class="muted">Asset details not recorded.</p>'}
+${session.asset && session.asset.nameplatePhoto ? `<figure class="nameplate"><img src="data:image/jpeg;base64,${session.asset.nameplatePhoto}" alt="Nameplate"><figcaption class="muted">Nameplate</figcaption></figure>` : ''}
+
+<h2>Findings</h2>
+<p class="summary">
+    ${summary}
+</p>
+${session.summary ? `<p>${esc(session.summary)}</p>` : ''}
+${findingSections}
+${photos}
+${checklist}
+
+<h2>Appendix: Transcript</h2>
+<div class="transcript">${transcript}</div>
+</body>
+</html>`;
+    }
+
+    /**
+     * Build the report as a PDF
+     * @param {object} session - Saved session record
+     * @param {object} branding - { companyName }
+     * @returns {Blob} PDF file
+     */
+    buildPdf(session, branding) {
+        const pdf = new PdfWriter(CONFIG.REPORT_PAGE_SIZE);
+        const margin = 48;
+        const contentWidth = pdf.pageWidth - margin * 2;
+        const groups = this._groupFindings(session);
+        let y = margin;
+
+        const newPage = () => {
+            pdf.addPage();
+            y = margin;
+        };
+
+        const ensureSpace = (height) => {
+            if (y + height > pdf.pageHeight - margin) {
+                newPage();
+            }
+        };
+
+        const paragraph = (text, options = {}) => {
+            const size = options.size || 10;
+            const lineHeight = size * 1.35;
+            const x = options.x || margin;
+            const width = options.width || contentWidth - (x - margin);
+
+            for (const line of pdf.wrapText(text, width, size, options.bold)) {
+                ensureSpace(lineHeight);
+                y += lineHeight;
+                pdf.text(line, x, y - size * 0.3, { size, bold: options.bold, color: options.color });
+            }
+        };
+
+        const heading = (text) => {
+            ensureSpace(40);
+            y += 18;
+            paragraph(text, { size: 13, bold: true, color: '#0f3460' });
+            y += 4;
+            pdf.line(margin, y, margin + contentWidth, y, '#dddddd');
+            y += 6;
+        };
+
+        const keyValue = (label, value) => {
+            ensureSpace(16);
+            y += 14;
+            pdf.text(label, margin, y - 3, { size: 10, bold: true, color: '#555555' });
+            const lines = pdf.wrapText(value, contentWidth - 140, 10);
+            lines.forEach((line, i) => {
+                if (i > 0) {
+                    ensureSpace(14);
+                    y += 14;
+                }
+                pdf.text(line, margin + 140, y - 3, { size: 10 });
+            });
+        };
+
+        newPage();
+
+        // Branded header
+        pdf.text(branding.companyName || 'AI Live Inspection', margin, y + 14, { size: 16, bold: true, color: '#0f3460' });
+        pdf.text(this._title(session), margin, y + 36, { size: 20, bold: true });
+        y += 48;
+        pdf.rect(margin, y, contentWidth, 3, '#0f3460');
+        y += 8;
+
+        keyValue('Technician', session.technician || 'Not recorded');
+        keyValue('Started', this._formatDateTime(session.startTime));
+        keyValue('Ended', this._formatDateTime(session.endTime));
+        keyValue('Duration', this._formatDuration(session.sessionDuration));
+        if (this._sourceLabel(session)) {
+            keyValue('Source', this._sourceLabel(session));
+        }
+
+        heading('Asset Identification');
+        const assetFields = this._assetFields(session.asset);
+        if (assetFields.length > 0) {
+            assetFields.forEach(([label, value]) => keyValue(label, value));
+        } else {
+            paragraph('Asset details not recorded.', { color: '#777777' });
+        }
+
+        const nameplate = session.asset && session.asset.nameplatePhoto;
+        if (nameplate) {
+            const size = pdf.getImageSize(nameplate);
+            const width = 200;
+            const height = width * size.height / size.width;
+            ensureSpace(height + 12);
+            pdf.image(nameplate, margin, y + 8, width, height);
+            y += height + 12;
+        }
+
+        heading('Findings');
+        paragraph(groups.map(({ severity, findings }) => `${findings.length} ${severity.label.toLowerCase()}`).join('   '), { bold: true });
+        if (session.summary) {
+            paragraph(session.summary);
+        }
+
+        if ((session.findings || []).length === 0) {
+            paragraph('No findings recorded.', { color: '#777777' });
+        }
+
+        for (const { severity, findings } of groups) {
+            if (findings.length === 0) {
+                continue;
+            }
+
+            const color = this._severityColor(severity);
+            ensureSpace(30);
+            y += 10;
+            paragraph(`${severity.label} (${findings.length})`, { size: 11, bold: true, color });
+
+            for (const finding of findings) {
+                const photoSize = finding.photo ? pdf.getImageSize(finding.photo) : null;
+                const photoWidth = 150;
+                const photoHeight = photoSize ? photoWidth * photoSize.height / photoSize.width : 0;
+                const textX = margin + 10;
+                const textWidth = contentWidth - 10 - (photoSize ? photoWidth + 12 : 0);
+
+                // Keep a finding's text and photo together where possible
+                ensureSpace(Math.max(photoHeight, 50) + 8);
+                const page = pdf.pages.length;
+                let top = y + 4;
+                y = top;
+
+                paragraph(finding.title, { x: textX, width: textWidth, bold: true });
+                if (finding.component) {
+                    paragraph(finding.component, { x: textX, width: textWidth, size: 9, color: '#777777' });
+                }
+                if (finding.description) {
+                    paragraph(finding.description, { x: textX, width: textWidth });
+                }
+                paragraph(this._formatTime(finding.timestamp), { x: textX, width: textWidth, size: 8, color: '#777777' });
+                if (finding.clip) {
+                    paragraph(`Video clip attached (${this._formatDuration(finding.clip.durationMs)}) - see the digital record`, { x: textX, width: textWidth, size: 8, color: '#777777' });
+                }
+
+                if (photoSize) {
+                    pdf.image(finding.photo, margin + contentWidth - photoWidth, top + 4, photoWidth, photoHeight);
+                    y = Math.max(y, top + 4 + photoHeight);
+                }
+
+                // Long findings can spill onto the next page - start the bar there
+                if (pdf.pages.length !== page) {
+                    top = margin;
+                }
+
+                y += 6;
+                pdf.rect(margin, top, 3, y - top, color);
+            }
+        }
+
+        // Required photos, two per row
+        const requiredPhotos = this._requiredPhotos(session);
+        if (requiredPhotos.length > 0) {
+            heading('Required Photos');
+            const gap = 16;
+            const cellWidth = (contentWidth - gap) / 2;
+
+            for (let i = 0; i < requiredPhotos.length; i += 2) {
+                const row = requiredPhotos.slice(i, i + 2).map(({ definition, photo }) => {
+                    const size = photo ? pdf.getImageSize(photo.data) : null;
+                    const height = size ? cellWidth * size.height / size.width : 40;
+                    return { definition, photo, size, height };
+                });
+                const rowHeight = Math.max(...row.map(cell => cell.height));
+
+                ensureSpace(rowHeight + 24);
+                const top = y + 6;
+                row.forEach((cell, column) => {
+                    const x = margin + column * (cellWidth + gap);
+                    if (cell.size) {
+                        pdf.image(cell.photo.data, x, top, cellWidth, cell.height);
+                    } else {
+                        pdf.rect(x, top, cellWidth, cell.height, '#f0f0f0');
+                        pdf.text('Not captured', x + 8, top + cell.height / 2 + 3, { size: 9, color: '#777777' });
+                    }
+                    pdf.text(cell.definition.label, x, top + rowHeight + 12, { size: 9, color: '#555555' });
+                });
+                y = top + rowHeight + 18;
+            }
+        }
+
+        // Checklist
+        if ((session.checklist || []).length > 0) {
+            heading('Checklist');
+            for (const item of session.checklist) {
+                const status = this.checklistLabels[item.status] || item.status;
+                keyValue(status, item.notes ? `${item.label} - ${item.notes}` : item.label);
+            }
+        }
+
+        // Transcript appendix on its own page
+        newPage();
+        heading('Appendix: Transcript');
+        for (const entry of session.transcript || []) {
+            const speaker = entry.role === 'user' ? 'Technician' : 'AI';
+            paragraph(`[${this._formatTime(entry.timestamp)}] ${speaker}: ${entry.text}`, { size: 9 });
+        }
+        if ((session.transcript || []).length === 0) {
+            paragraph('No transcript.', { color: '#777777' });
+        }
+
+        // Page numbers
+        pdf.pages.forEach((_, i) => {
+            pdf.pages[i].push(`BT /F1 8 Tf 0.47 0.47 0.47 rg ${margin} 24 Td (Page ${i + 1} of ${pdf.pages.length}) Tj ET`);
+        });
+
+        return pdf.toBlob();
+    }
+
+    /**
+     * Group findings by the session template's severities, most severe first
+     * (unknown severities count as the mildest)
+     * @param {object} session - Saved session record
+     * @returns {Array<{ severity: object, findings: object[] }>}
+     */
+    _groupFindings(session) {
+        const severities = (session.template && session.template.severities) || this.defaultSeverities;
+        const groups = severities.map(severity => ({ severity, findings: [] }));
+
+        for (const finding of session.findings || []) {
+            const group = groups.find(candidate => candidate.severity.id === finding.severity) || groups[groups.length - 1];
+            group.findings.push(finding);
+        }
+        return groups;
+    }
+
+    /**
+     * Display color for a severity
+     * @param {object} severity - Template severity
+     */
+    _severityColor(severity) {
+        return severity.color || this.defaultSeverityColor;
+    }
+
+    /**
+     * Pair the template's required photos with the captured ones
+     * @param {object} session - Saved session record
+     * @returns {Array<{ definition: object, photo: object|null }>}
+     */
+    _requiredPhotos(session) {
+        const definitions = (session.template && session.template.requiredPhotos) || [];
+        return definitions.map(definition => ({
+            definition,
+            photo: (session.photos || []).find(photo => photo.id === definition.id) || null
+        }));
+    }
+
+    /**
+     * Get labelled asset fields that have values
+     * @param {object|undefined} asset - Asset record
+     * @returns {Array<[string, string]>}
+     */
+    _assetFields(asset) {
+        if (!asset) {
+            return [];
+        }
+
+        const fields = AssetRecord.FIELDS
+            .filter(field => asset[field.id])
+            .map(field => [field.label, String(asset[field.id])]);
+
+        // Decoded details, labelled so they aren't mistaken for nameplate data
+        return fields.concat(EquipmentDecoder.describe(asset.decoded)
+            .map(([label, value]) => [`${label} (decoded)`, value]));
+    }
+
+    /**
+     * Report title
+     * @param {object} session - Saved session record
+     */
+    _title(session) {
+        return `${session.template ? session.template.name : 'HVAC'} Inspection Report`;
+    }
+
+    /**
+     * How the inspection was captured, or null for a live camera session
+     * @param {object} session - Saved session record
+     */
+    _sourceLabel(session) {
+        const source = session.source || {};
+        if (source.type === 'file') {
+            return `Prerecorded video: ${source.name}`;
+        }
+        if (source.type === 'offline') {
+            return session.analysis && session.analysis.status === 'complete'
+                ? `Offline capture, analyzed ${this._formatDateTime(session.analysis.completedAt)}`
+                : 'Offline capture - AI analysis pending';
+        }
+        return null;
+    }
+
+    /**
+     * File name for downloads, e.g. "inspection-2026-03-14-0930"
+     * @param {object} session - Saved session record
+     */
+    _fileName(session) {
+        const date = new Date(session.startTime);
+        const pad = (value) => String(value).padStart(2, '0');
+        return `inspection-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+    }
+
+    /**
+     * Format an ISO timestamp as local date and time
+     * @param {string} isoString - ISO timestamp
+     */
+    _formatDateTime(isoString) {
+        return isoString ? new Date(isoString).toLocaleString() : '-';
+    }
+
+    /**
+     * Format an ISO timestamp as local time
+     * @param {string} isoString - ISO timestamp
+     */
+    _formatTime(isoString) {
+        return isoString ? new Date(isoString).toLocaleTimeString() : '';
+    }
+
+    /**
+     * Format milliseconds as "12m 34s"
+     * @param {number} ms - Duration in milliseconds
+     */
+    _formatDuration(ms) {
+        const totalSeconds = Math.round((ms || 0) / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
+    }
+
+    /**
+     * Playable URL for a finding clip. Clips play from an object URL that lives
+     * while the app is open (a saved copy of the report keeps the "clip attached" note)
+     * @param {object} clip - { blob, mimeType, durationMs, startedAt }
+     */
+    _clipSource(clip) {
+        const url = URL.createObjectURL(clip.blob);
+        this.clipUrls.push(url);
+        return url;
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     */
+    _escapeHtml(text) {
+        return String(text == null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
@@ -0,0 +1,81 @@
+/**
+ * Scene Change Detector
+ * Cheap perceptual difference between video frames: each frame is shrunk to a
+ * small grayscale thumbnail and compared with the last frame that was sent.
+ * Brightness is normalized so auto-exposure drift doesn't count as a change
+ */
+
+class SceneChangeDetector {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.width] - Thumbnail width
+     * @param {number} [options.height] - Thumbnail height
+     */
+    constructor(options = {}) {
+        this.width = options.width || 32;
+        this.height = options.height || 24;
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = this.width;
+        this.canvas.height = this.height;
+        this.context = this.canvas.getContext('2d', { willReadFrequently: true });
+
+        this.reference = null; // Thumbnail of the last accepted frame
+        this.current = null;   // Thumbnail of the last measured frame
+    }
+
+    /**
+     * Measure how different a frame is from the last accepted one
+     * @param {CanvasImageSource} source - Frame to measure (e.g. the capture canvas)
+     * @returns {number} 0 (identical) to 1; 1 if there is no reference yet
+     */
+    measure(source) {
+        this.context.drawImage(source, 0, 0, this.width, this.height);
+        this.current = this._thumbnail(this.context.getImageData(0, 0, this.width, this.height).data);
+
+        if (!this.reference) {
+            return 1;
+        }
+
+        let sum = 0;
+        for (let i = 0; i < this.current.length; i++) {
+            sum += Math.abs(this.current[i] - this.reference[i]);
+        }
+        return sum / this.current.length;
+    }
+
+    /**
+     * Make the last measured frame the reference (it was sent)
+     */
+    accept() {
+        this.reference = this.current;
+    }
+
+    /**
+     * Forget the reference so the next frame counts as a change
+     */
+    reset() {
+        this.reference = null;
+        this.current = null;
+    }
+
+    /**
+     * Grayscale thumbnail with the mean brightness removed, scaled to 0..1
+     * @param {Uint8ClampedArray} pixels - RGBA pixels
+     * @returns {Float32Array}
+     */
+    _thumbnail(pixels) {
+        const luma = new Float32Array(this.width * this.height);
+        let total = 0;
+        for (let i = 0; i < luma.length; i++) {
+            const offset = i * 4;
+            luma[i] = (pixels[offset] * 0.299 + pixels[offset + 1] * 0.587 + pixels[offset + 2] * 0.114) / 255;
+            total += luma[i];
+        }
+
+        const mean = total / luma.length;
+        for (let i = 0; i < luma.length; i++) {
+            luma[i] -= mean;
+        }
+        return luma;
+    }
+}
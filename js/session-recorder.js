@@ -0,0 +1,429 @@
+/**
+ * Session Recorder
+ * Mixes the technician's mic and the AI's speech onto one timeline and
+ * produces a WAV file (plus Opus/WebM via MediaRecorder where supported).
+ * Only the last few seconds of the timeline are kept in memory: once nothing
+ * more can be mixed into a stretch of it, it is written to IndexedDB in
+ * chunks, and the WAV is assembled from those chunks at the end
+ */
+
+class SessionRecorder {
+    /**
+     * @param {InspectionDatabase|null} database - Where finished chunks are kept (null keeps them in memory)
+     * @param {number} [sampleRate] - Recording sample rate
+     */
+    constructor(database, sampleRate = CONFIG.RECORDING_SAMPLE_RATE) {
+        this.database = database;
+        this.sampleRate = sampleRate;
+        this.chunkSize = sampleRate * CONFIG.RECORDING_CHUNK_SECONDS; // Samples per stored chunk
+        this.isRecording = false;
+        this.recordingId = null;
+
+        // Timeline: one Int16Array block per second, allocated as audio arrives and
+        // released once its chunk has been written out
+        this.blocks = new Map();
+        this.length = 0;            // Samples on the timeline
+        this.writtenChunks = 0;     // Chunks written out (nothing more is mixed into them)
+        this.memoryChunks = [];     // Chunks IndexedDB couldn't take, by index
+        this.writing = Promise.resolve();
+        this.startTime = 0;         // performance.now() at start
+        this.startedAt = null;      // ISO timestamp at start
+        this.inputPosition = null;  // Next mic sample position (mic chunks are contiguous)
+        this.outputPosition = null; // End of the last AI chunk, while AI chunks arrive back to back
+        this.pendingOutput = [];    // AI segments not yet mixed ({ start, data }) - can still be cut
+
+        // Resamplers to the recording rate, one per stream so filter state carries across chunks
+        this.inputResampler = null;
+        this.outputResampler = null;
+
+        // Compressed recording
+        this.mediaRecorder = null;
+        this.compressedChunks = [];
+    }
+
+    /**
+     * Start recording
+     * @param {MediaStream|null} [mixedStream] - Live mix of mic + AI for the compressed recording
+     */
+    start(mixedStream = null) {
+        this.blocks = new Map();
+        this.length = 0;
+        this.writtenChunks = 0;
+        this.memoryChunks = [];
+        this.writing = Promise.resolve();
+        this.inputPosition = null;
+        this.outputPosition = null;
+        this.pendingOutput = [];
+        this.inputResampler = null;
+        this.outputResampler = null;
+        this.compressedChunks = [];
+        this.startTime = performance.now();
+        this.startedAt = new Date().toISOString();
+        this.recordingId = `${this.startedAt}-${Math.random().toString(36).slice(2, 8)}`;
+        this.isRecording = true;
+
+        const mimeType = SessionRecorder.getCompressedMimeType();
+        if (mixedStream && mimeType) {
+            try {
+                this.mediaRecorder = new MediaRecorder(mixedStream, { mimeType, audioBitsPerSecond: 32000 });
+                this.mediaRecorder.ondataavailable = (event) => {
+                    if (event.data.size > 0) {
+                        this.compressedChunks.push(event.data);
+                    }
+                };
+                this.mediaRecorder.start(1000);
+            } catch (error) {
+                console.warn('[Recorder] MediaRecorder unavailable:', error);
+                this.mediaRecorder = null;
+            }
+        }
+
+        console.log(`[Recorder] Recording at ${this.sampleRate} Hz${this.mediaRecorder ? ` + ${mimeType}` : ''}`);
+    }
+
+    /**
+     * Add a chunk of mic audio (chunks are assumed back to back)
+     * @param {Float32Array} samples - Mono samples
+     * @param {number} sampleRate - Sample rate of the chunk
+     */
+    addInput(samples, sampleRate) {
+        if (!this.isRecording) {
+            return;
+        }
+
+        this.inputResampler = this._resamplerFor(this.inputResampler, sampleRate);
+        const data = this.inputResampler ? this.inputResampler.process(samples) : samples;
+
+        // The first chunk ends now; later chunks follow on directly
+        if (this.inputPosition === null) {
+            this.inputPosition = Math.max(0, this._now() - data.length);
+        }
+        this._mix(data, this.inputPosition);
+        this.inputPosition += data.length;
+
+        // The AI's turn has finished playing - whatever it says next starts a new one
+        const now = this._now();
+        if (this.outputPosition !== null && now - this.outputPosition > this.sampleRate / 100) {
+            this._endOutputStream();
+        }
+
+        this._flushOutput(now);
+        this._writeFinishedChunks();
+    }
+
+    /**
+     * Add a chunk of AI speech at the time it starts playing
+     * @param {Float32Array} samples - Mono samples
+     * @param {number} sampleRate - Sample rate of the chunk
+     * @param {number} [startTime] - performance.now() time playback starts (default: now)
+     */
+    addOutput(samples, sampleRate, startTime = performance.now()) {
+        if (!this.isRecording) {
+            return;
+        }
+
+        const start = Math.max(0, Math.round((startTime - this.startTime) * this.sampleRate / 1000));
+
+        // A gap means a new turn: let the previous one's filter tail out first
+        if (this.outputPosition !== null && Math.abs(start - this.outputPosition) > this.sampleRate / 100) {
+            this._endOutputStream();
+        }
+
+        this.outputResampler = this._resamplerFor(this.outputResampler, sampleRate);
+        const data = this.outputResampler ? this.outputResampler.process(samples) : samples;
+        const position = this.outputPosition === null ? start : this.outputPosition;
+
+        this.pendingOutput.push({ start: position, data });
+        this.outputPosition = position + data.length;
+    }
+
+    /**
+     * AI playback was interrupted - drop the part of its speech that was never heard
+     */
+    cutOutput() {
+        if (!this.isRecording) {
+            return;
+        }
+
+        const now = this._now();
+        this.pendingOutput = this.pendingOutput
+            .filter(segment => segment.start < now)
+            .map(segment => ({ start: segment.start, data: segment.data.subarray(0, now - segment.start) }));
+        this._flushOutput(Infinity);
+
+        // The rest of the turn was never played, so neither is the filter tail
+        if (this.outputResampler) {
+            this.outputResampler.reset();
+        }
+        this.outputPosition = null;
+    }
+
+    /**
+     * Stop recording and build the files
+     * @returns {Promise<object|null>} { wav, compressed, compressedType, sampleRate, durationMs, startedAt }
+     */
+    async stop() {
+        if (!this.isRecording) {
+            return null;
+        }
+
+        this.isRecording = false;
+        this._endOutputStream();
+        this._flushOutput(Infinity);
+
+        const compressed = await this._stopMediaRecorder();
+        const recording = {
+            wav: await this._buildWav(),
+            compressed,
+            compressedType: compressed ? compressed.type : null,
+            sampleRate: this.sampleRate,
+            durationMs: Math.round(this.length / this.sampleRate * 1000),
+            startedAt: this.startedAt
+        };
+
+        // Release the timeline and the stored chunks (the WAV Blob keeps its own copy)
+        this.blocks = new Map();
+        this.memoryChunks = [];
+        this.length = 0;
+        await this._deleteChunks();
+
+        console.log(`[Recorder] Stopped: ${recording.durationMs} ms, WAV ${recording.wav.size} bytes${compressed ? `, compressed ${compressed.size} bytes` : ''}`);
+        return recording;
+    }
+
+    /**
+     * Best supported compressed format, or null
+     */
+    static getCompressedMimeType() {
+        if (typeof MediaRecorder === 'undefined' || !MediaRecorder.isTypeSupported) {
+            return null;
+        }
+        return ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4']
+            .find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+
+    /**
+     * Current position on the timeline in samples
+     */
+    _now() {
+        return Math.round((performance.now() - this.startTime) * this.sampleRate / 1000);
+    }
+
+    /**
+     * Resampler for a stream at the given rate (null if it's already at the recording rate)
+     * @param {StreamingResampler|null} current - The stream's resampler so far
+     * @param {number} fromRate - Sample rate of the stream
+     * @returns {StreamingResampler|null}
+     */
+    _resamplerFor(current, fromRate) {
+        if (fromRate === this.sampleRate) {
+            return null;
+        }
+        return current && current.fromRate === fromRate ? current : new StreamingResampler(fromRate, this.sampleRate);
+    }
+
+    /**
+     * Queue the AI samples still held back by the resampler after the last chunk of a turn
+     */
+    _endOutputStream() {
+        if (this.outputResampler && this.outputPosition !== null) {
+            this.pendingOutput.push({ start: this.outputPosition, data: this.outputResampler.flush() });
+        }
+        this.outputPosition = null;
+    }
+
+    /**
+     * Mix AI segments that have finished playing by the given position
+     */
+    _flushOutput(position) {
+        const remaining = [];
+        for (const segment of this.pendingOutput) {
+            if (segment.start + segment.data.length <= position) {
+                this._mix(segment.data, segment.start);
+            } else {
+                remaining.push(segment);
+            }
+        }
+        this.pendingOutput = remaining;
+    }
+
+    /**
+     * Add samples into the timeline (clipping at full scale)
+     * @param {Float32Array} data - Samples at the recording rate
+     * @param {number} start - Timeline position
+     */
+    _mix(data, start) {
+        const blockSize = this.sampleRate;
+        const written = this.writtenChunks * this.chunkSize;
+
+        for (let i = 0; i < data.length; i++) {
+            const position = start + i;
+            if (position < written) {
+                // Already written out - too late to mix in
+                continue;
+            }
+
+            const index = Math.floor(position / blockSize);
+            let block = this.blocks.get(index);
+            if (!block) {
+                block = new Int16Array(blockSize);
+                this.blocks.set(index, block);
+            }
+
+            const offset = position - index * blockSize;
+            const mixed = block[offset] + data[i] * 0x7FFF;
+            block[offset] = mixed > 0x7FFF ? 0x7FFF : (mixed < -0x8000 ? -0x8000 : mixed);
+        }
+
+        this.length = Math.max(this.length, start + data.length);
+    }
+
+    /**
+     * Write out the chunks nothing more will be mixed into: everything before the
+     * next mic sample and the earliest AI speech still waiting, less a second's margin
+     */
+    _writeFinishedChunks() {
+        let settled = Math.min(this.length, this._now(), this.inputPosition === null ? Infinity : this.inputPosition);
+        for (const segment of this.pendingOutput) {
+            settled = Math.min(settled, segment.start);
+        }
+
+        const finished = Math.floor((settled - this.sampleRate) / this.chunkSize);
+        while (this.writtenChunks < finished) {
+            this._writeChunk(this.writtenChunks, this.chunkSize);
+        }
+    }
+
+    /**
+     * Move one chunk of the timeline out of memory
+     * @param {number} index - Chunk index
+     * @param {number} size - Samples in the chunk (less than chunkSize for the last one)
+     */
+    _writeChunk(index, size) {
+        const blockSize = this.sampleRate;
+        const firstBlock = index * this.chunkSize / blockSize;
+        const parts = [];
+
+        // Unwritten seconds (e.g. mic paused) are silence
+        for (let offset = 0; offset < size; offset += blockSize) {
+            const block = this.blocks.get(firstBlock + offset / blockSize) || new Int16Array(blockSize);
+            parts.push(block.subarray(0, Math.min(blockSize, size - offset)));
+            this.blocks.delete(firstBlock + offset / blockSize);
+        }
+
+        const data = new Blob(parts, { type: 'application/octet-stream' });
+        this.writtenChunks = index + 1;
+
+        if (!this.database) {
+            this.memoryChunks[index] = data;
+            return;
+        }
+
+        this.writing = this.writing
+            .then(() => this.database.put('recording_chunks', { recordingId: this.recordingId, index, data }))
+            .catch((error) => {
+                console.warn(`[Recorder] Could not store chunk ${index}, keeping it in memory:`, error);
+                this.memoryChunks[index] = data;
+            });
+    }
+
+    /**
+     * Build a 16-bit mono WAV from the stored chunks and what's left in memory
+     * @returns {Promise<Blob>}
+     */
+    async _buildWav() {
+        // Write out the rest of the timeline, then collect every chunk in order
+        const chunkCount = Math.ceil(this.length / this.chunkSize);
+        while (this.writtenChunks < chunkCount) {
+            const index = this.writtenChunks;
+            this._writeChunk(index, Math.min(this.chunkSize, this.length - index * this.chunkSize));
+        }
+        await this.writing;
+
+        const chunks = [...this.memoryChunks];
+        if (this.database) {
+            try {
+                for (const record of await this.database.getAll('recording_chunks', this._chunkRange())) {
+                    chunks[record.index] = chunks[record.index] || record.data;
+                }
+            } catch (error) {
+                console.error('[Recorder] Could not read stored audio:', error);
+            }
+        }
+
+        const header = new DataView(new ArrayBuffer(44));
+        const dataBytes = this.length * 2;
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) {
+                header.setUint8(offset + i, text.charCodeAt(i));
+            }
+        };
+
+        writeString(0, 'RIFF');
+        header.setUint32(4, 36 + dataBytes, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        header.setUint32(16, 16, true);              // fmt chunk size
+        header.setUint16(20, 1, true);               // PCM
+        header.setUint16(22, 1, true);               // Mono
+        header.setUint32(24, this.sampleRate, true);
+        header.setUint32(28, this.sampleRate * 2, true); // Byte rate
+        header.setUint16(32, 2, true);               // Block align
+        header.setUint16(34, 16, true);              // Bits per sample
+        writeString(36, 'data');
+        header.setUint32(40, dataBytes, true);
+
+        // A chunk that couldn't be read back becomes silence rather than shifting the rest
+        const parts = [header.buffer];
+        for (let i = 0; i < chunkCount; i++) {
+            const size = Math.min(this.chunkSize, this.length - i * this.chunkSize);
+            parts.push(chunks[i] || new Int16Array(size));
+        }
+
+        return new Blob(parts, { type: 'audio/wav' });
+    }
+
+    /**
+     * Remove this recording's chunks from IndexedDB
+     */
+    async _deleteChunks() {
+        if (!this.database) {
+            return;
+        }
+        try {
+            await this.database.delete('recording_chunks', this._chunkRange());
+        } catch (error) {
+            console.warn('[Recorder] Could not delete stored audio:', error);
+        }
+    }
+
+    /**
+     * Key range covering this recording's chunks
+     * @returns {IDBKeyRange}
+     */
+    _chunkRange() {
+        return IDBKeyRange.bound([this.recordingId, 0], [this.recordingId, Infinity]);
+    }
+
+    /**
+     * Stop the MediaRecorder and collect its output
+     * @returns {Promise<Blob|null>}
+     */
+    _stopMediaRecorder() {
+        const recorder = this.mediaRecorder;
+        this.mediaRecorder = null;
+
+        if (!recorder || recorder.state === 'inactive') {
+            return Promise.resolve(null);
+        }
+
+        return new Promise((resolve) => {
+            recorder.onstop = () => {
+                const chunks = this.compressedChunks;
+                this.compressedChunks = [];
+                resolve(chunks.length > 0 ? new Blob(chunks, { type: recorder.mimeType }) : null);
+            };
+            recorder.stop();
+        });
+    }
+}
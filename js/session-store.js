@@ -0,0 +1,180 @@
+/**
+ * Session Store
+ * Persists completed inspection sessions locally for the history screen.
+ * Each session also has a small summary record, so the history list and its
+ * search never load the photos, clips and recordings
+ */
+
+class SessionStore {
+    /**
+     * @param {InspectionDatabase} database - Shared database wrapper
+     */
+    constructor(database) {
+        this.database = database;
+        this.summariesChecked = null; // Resolves once every session has a summary
+    }
+
+    /**
+     * Save a session record (insert or replace)
+     * @param {object} session - Session record; must have an `id`
+     * @returns {Promise<boolean>} Whether the session was saved
+     */
+    async save(session) {
+        try {
+            await this.database.put('sessions', session);
+            await this.database.put('session_summaries', this._summarize(session));
+            console.log('[SessionStore] Saved session', session.id);
+            return true;
+        } catch (error) {
+            console.error('[SessionStore] Error saving session:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get a single session
+     * @param {string} id - Session ID
+     * @returns {Promise<object|null>}
+     */
+    async get(id) {
+        try {
+            return (await this.database.get('sessions', id)) || null;
+        } catch (error) {
+            console.error('[SessionStore] Error loading session:', error);
+            return null;
+        }
+    }
+
+    /**
+     * List session summaries, newest first, optionally filtered (use get() for the full record)
+     * @param {object} [filter]
+     * @param {string} [filter.query] - Text matched against asset details and findings
+     * @param {string} [filter.date] - Local date (YYYY-MM-DD) the session started on
+     * @returns {Promise<object[]>} See _summarize
+     */
+    async list(filter = {}) {
+        let sessions;
+        try {
+            await this._ensureSummaries();
+            sessions = await this.database.getAll('session_summaries');
+        } catch (error) {
+            console.error('[SessionStore] Error listing sessions:', error);
+            return [];
+        }
+
+        const query = (filter.query || '').trim().toLowerCase();
+
+        return sessions
+            .filter(session => !filter.date || this._localDate(session.startTime) === filter.date)
+            .filter(session => !query || this._searchText(session).includes(query))
+            .sort((a, b) => b.startTime.localeCompare(a.startTime));
+    }
+
+    /**
+     * Delete a session
+     * @param {string} id - Session ID
+     */
+    async delete(id) {
+        try {
+            await this.database.delete('sessions', id);
+            await this.database.delete('session_summaries', id);
+            console.log('[SessionStore] Deleted session', id);
+        } catch (error) {
+            console.error('[SessionStore] Error deleting session:', error);
+        }
+    }
+
+    /**
+     * The parts of a session the history list shows and searches
+     * @param {object} session - Session record
+     * @returns {object} { id, startTime, sessionDuration, template: { name, severities }, asset, findings }
+     */
+    _summarize(session) {
+        const asset = {};
+        for (const [field, value] of Object.entries(session.asset || {})) {
+            if (typeof value === 'string' && field !== 'nameplatePhoto') {
+                asset[field] = value;
+            }
+        }
+
+        return {
+            id: session.id,
+            startTime: session.startTime,
+            sessionDuration: session.sessionDuration,
+            template: session.template ? { name: session.template.name, severities: session.template.severities } : null,
+            asset,
+            findings: (session.findings || []).map(({ title, component, severity }) => ({ title, component, severity }))
+        };
+    }
+
+    /**
+     * Make sure every session has a summary (checked once per launch)
+     * @returns {Promise<void>}
+     */
+    _ensureSummaries() {
+        if (!this.summariesChecked) {
+            this.summariesChecked = this._rebuildSummaries().catch((error) => {
+                this.summariesChecked = null;
+                throw error;
+            });
+        }
+        return this.summariesChecked;
+    }
+
+    /**
+     * Rebuild the summaries if they don't match the sessions (sessions saved
+     * before summaries existed, or a save interrupted between the two writes)
+     */
+    async _rebuildSummaries() {
+        const [sessionCount, summaryCount] = await Promise.all([
+            this.database.count('sessions'),
+            this.database.count('session_summaries')
+        ]);
+        if (sessionCount === summaryCount) {
+            return;
+        }
+
+        // One session in memory at a time
+        const summaries = [];
+        await this.database.forEach('sessions', session => summaries.push(this._summarize(session)));
+
+        await this.database.clear('session_summaries');
+        for (const summary of summaries) {
+            await this.database.put('session_summaries', summary);
+        }
+        console.log(`[SessionStore] Rebuilt ${summaries.length} session summaries`);
+    }
+
+    /**
+     * Build lowercase searchable text for a session
+     * @param {object} session - Session record or summary
+     */
+    _searchText(session) {
+        const parts = [];
+
+        if (session.template) {
+            parts.push(session.template.name);
+        }
+
+        if (session.asset) {
+            parts.push(...Object.values(session.asset).filter(value => typeof value === 'string'));
+        }
+
+        for (const finding of session.findings || []) {
+            parts.push(finding.title, finding.component || '');
+        }
+
+        return parts.join(' ').toLowerCase();
+    }
+
+    /**
+     * Format an ISO timestamp as a local YYYY-MM-DD date
+     * @param {string} isoString - ISO timestamp
+     */
+    _localDate(isoString) {
+        const date = new Date(isoString);
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+}
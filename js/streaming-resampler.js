@@ -0,0 +1,119 @@
+/**
+ * Streaming Resampler
+ * Windowed-sinc (Blackman) sample rate converter for audio that arrives in chunks.
+ * The low-pass cutoff follows the lower of the two rates, so downsampling the mic
+ * doesn't alias, and the filter history carries across chunks, so chunk
+ * boundaries are seamless. Self-contained: its source is also injected into the
+ * AudioWorklet, which can't load page scripts
+ */
+
+class StreamingResampler {
+    /**
+     * @param {number} fromRate - Input sample rate
+     * @param {number} toRate - Output sample rate
+     * @param {object} [options]
+     * @param {number} [options.zeroCrossings] - Sinc lobes on each side (quality vs. CPU)
+     * @param {number} [options.rolloff] - Cutoff as a fraction of the lower Nyquist frequency
+     */
+    constructor(fromRate, toRate, options = {}) {
+        this.fromRate = fromRate;
+        this.toRate = toRate;
+        this.step = fromRate / toRate;  // Input samples per output sample
+
+        const zeroCrossings = options.zeroCrossings || 16;
+        this.cutoff = Math.min(1, toRate / fromRate) * (options.rolloff || 0.94);
+        this.width = zeroCrossings / this.cutoff;   // Kernel half-width in input samples
+        this.radius = Math.ceil(this.width);
+
+        // Kernel sampled finely once; lookups interpolate between entries
+        this.resolution = 64;
+        const size = Math.ceil(this.width * this.resolution) + 2;
+        this.kernel = new Float32Array(size);
+        for (let i = 0; i < size; i++) {
+            this.kernel[i] = this._kernelAt(i / this.resolution);
+        }
+
+        this.reset();
+    }
+
+    /**
+     * Forget buffered input (e.g. between unrelated streams)
+     */
+    reset() {
+        // Leading silence lets the first output sample line up with the first input sample
+        this.history = new Float32Array(this.radius);
+        this.position = this.radius;
+    }
+
+    /**
+     * Convert a chunk; output lags the input by the filter's half-width
+     * @param {Float32Array} input - Samples at fromRate
+     * @returns {Float32Array} Samples at toRate
+     */
+    process(input) {
+        const buffer = new Float32Array(this.history.length + input.length);
+        buffer.set(this.history);
+        buffer.set(input, this.history.length);
+
+        const count = Math.max(0, Math.ceil((buffer.length - this.radius - this.position) / this.step));
+        const output = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            output[i] = this._sampleAt(buffer, this.position);
+            this.position += this.step;
+        }
+
+        // Keep what the next output samples still reach back to
+        const keepFrom = Math.max(0, Math.min(buffer.length, Math.floor(this.position) - this.radius));
+        this.history = buffer.subarray(keepFrom);
+        this.position -= keepFrom;
+        return output;
+    }
+
+    /**
+     * Push out the samples still held back by the filter (end of a stream)
+     * @returns {Float32Array} Remaining samples at toRate
+     */
+    flush() {
+        const output = this.process(new Float32Array(this.radius));
+        this.reset();
+        return output;
+    }
+
+    /**
+     * Filtered value of the input at a fractional position
+     * @param {Float32Array} buffer - Input samples
+     * @param {number} position - Position in input samples
+     */
+    _sampleAt(buffer, position) {
+        const first = Math.max(0, Math.floor(position) - this.radius + 1);
+        const last = Math.min(buffer.length - 1, Math.floor(position) + this.radius);
+
+        let sum = 0;
+        for (let k = first; k <= last; k++) {
+            const index = Math.abs(position - k) * this.resolution;
+            const lower = Math.floor(index);
+            if (lower + 1 >= this.kernel.length) {
+                continue;
+            }
+            const t = index - lower;
+            sum += buffer[k] * (this.kernel[lower] * (1 - t) + this.kernel[lower + 1] * t);
+        }
+        return sum;
+    }
+
+    /**
+     * Blackman-windowed sinc at a distance in input samples
+     * @param {number} x - Distance from the output position (>= 0)
+     */
+    _kernelAt(x) {
+        if (x >= this.width) {
+            return 0;
+        }
+
+        const argument = Math.PI * this.cutoff * x;
+        const sinc = x === 0 ? 1 : Math.sin(argument) / argument;
+        const phase = Math.PI * (x / this.width + 1);
+        const window = 0.42 - 0.5 * Math.cos(phase) + 0.08 * Math.cos(2 * phase);
+        return this.cutoff * sinc * window;
+    }
+}
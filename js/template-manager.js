@@ -0,0 +1,282 @@
+/**
+ * Template Manager
+ * Lists built-in and custom inspection templates, tracks the selected one,
+ * and handles JSON import/export so supervisors can author new templates
+ */
+
+class TemplateManager {
+    constructor() {
+        this.builtIn = BUILT_IN_TEMPLATES;
+        this.custom = this._loadCustom();
+    }
+
+    /**
+     * All templates, built-ins first
+     * @returns {object[]}
+     */
+    list() {
+        return [...this.builtIn, ...this.custom];
+    }
+
+    /**
+     * Get a template by ID
+     * @param {string} id - Template ID
+     * @returns {object|null}
+     */
+    get(id) {
+        return this.list().find(template => template.id === id) || null;
+    }
+
+    /**
+     * Whether a template ships with the app (cannot be deleted or replaced)
+     * @param {string} id - Template ID
+     */
+    isBuiltIn(id) {
+        return this.builtIn.some(template => template.id === id);
+    }
+
+    /**
+     * Currently selected template, falling back to the default
+     * @returns {object}
+     */
+    getSelected() {
+        return this.get(localStorage.getItem(CONFIG.STORAGE_SELECTED_TEMPLATE))
+            || this.get(CONFIG.DEFAULT_TEMPLATE_ID)
+            || this.builtIn[0];
+    }
+
+    /**
+     * Remember the selected template
+     * @param {string} id - Template ID
+     */
+    select(id) {
+        if (!this.get(id)) {
+            throw new Error(`Unknown template: ${id}`);
+        }
+        localStorage.setItem(CONFIG.STORAGE_SELECTED_TEMPLATE, id);
+    }
+
+    /**
+     * Import a template from a JSON file (adds or replaces a custom template)
+     * @param {File} file - JSON file
+     * @returns {Promise<object>} The imported template
+     */
+    async importFile(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            throw new Error('Template file is not valid JSON');
+        }
+
+        const template = this.validate(data);
+        if (this.isBuiltIn(template.id)) {
+            throw new Error(`"${template.id}" is a built-in template; give the imported template a different id`);
+        }
+
+        this.custom = this.custom.filter(existing => existing.id !== template.id);
+        this.custom.push(template);
+        this._saveCustom();
+
+        console.log('[TemplateManager] Imported template', template.id);
+        return template;
+    }
+
+    /**
+     * Download a template as a JSON file
+     * @param {string} id - Template ID
+     */
+    exportFile(id) {
+        const template = this.get(id);
+        if (!template) {
+            throw new Error(`Unknown template: ${id}`);
+        }
+
+        const blob = new Blob([JSON.stringify(template, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${template.id}.template.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Delete a custom template
+     * @param {string} id - Template ID
+     */
+    delete(id) {
+        if (this.isBuiltIn(id)) {
+            throw new Error('Built-in templates cannot be deleted');
+        }
+
+        this.custom = this.custom.filter(template => template.id !== id);
+        this._saveCustom();
+
+        if (localStorage.getItem(CONFIG.STORAGE_SELECTED_TEMPLATE) === id) {
+            localStorage.removeItem(CONFIG.STORAGE_SELECTED_TEMPLATE);
+        }
+    }
+
+    /**
+     * Check a template's structure and return a normalized copy
+     * @param {object} data - Parsed template JSON
+     * @returns {object}
+     */
+    validate(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Template must be a JSON object');
+        }
+
+        const id = this._requireString(data.id, 'id');
+        if (!/^[a-z0-9_-]+$/i.test(id)) {
+            throw new Error('Template id may only contain letters, numbers, "-" and "_"');
+        }
+
+        const template = {
+            id,
+            name: this._requireString(data.name, 'name'),
+            version: Number.isFinite(data.version) ? data.version : 1,
+            systemPrompt: this._requireString(data.systemPrompt, 'systemPrompt'),
+            checklist: this._validateList(data.checklist, 'checklist', ['id', 'label'], ['description']),
+            severities: this._validateList(data.severities, 'severities', ['id', 'label'], ['description', 'color']),
+            requiredPhotos: data.requiredPhotos === undefined
+                ? []
+                : this._validateList(data.requiredPhotos, 'requiredPhotos', ['id', 'label'], [])
+        };
+
+        if (template.checklist.length === 0) {
+            throw new Error('Template checklist must have at least one step');
+        }
+        if (template.severities.length === 0) {
+            throw new Error('Template must define at least one severity');
+        }
+        for (const severity of template.severities) {
+            if (severity.color && !/^#[0-9a-f]{6}$/i.test(severity.color)) {
+                throw new Error(`Severity "${severity.id}" color must be a hex color like #e94560`);
+            }
+        }
+
+        return template;
+    }
+
+    /**
+     * Full system prompt for a template: the template's domain prompt followed by
+     * shared guidance and sections generated from its checklist, severities and photos
+     * @param {object} template - Template
+     * @returns {string}
+     */
+    buildSystemPrompt(template) {
+        const steps = template.checklist
+            .map((step, index) => `${step.id} (${index + 1})`)
+            .join(', ');
+        const severities = template.severities
+            .map(severity => `- ${severity.id}: ${severity.description || severity.label}`)
+            .join('\n');
+
+        const sections = [
+            template.systemPrompt.trim(),
+            CONFIG.PROMPT_COMMUNICATION_STYLE,
+            `ASSET IDENTIFICATION:
+When you read the nameplate or asset tag, call the record_asset tool with the fields you can read (asset tag, manufacturer, model, serial, capacity, refrigerant, voltage, install date). Read numbers back to the technician if they are hard to make out, and call the tool again to correct them. The tool response may include the manufacture date, age and nominal capacity decoded from the serial and model numbers - mention the equipment age when it is relevant to your findings (e.g. a unit near the end of its expected service life).`,
+            `CHECKLIST:
+Each step of the inspection flow is a checklist item: ${steps}. When you finish a step, call the update_checklist_item tool with its item_id and a status: pass (no issues), fail (issues found), or na (not applicable / could not be checked), plus short notes. The technician can also mark items themselves.`,
+            `RECORDING FINDINGS:
+Whenever you identify a finding, call the record_finding tool (in addition to telling the technician). Use one call per finding with a short title, a one-sentence description, the affected component, and a severity:
+${severities}
+Each finding saves a short video clip of the last few seconds automatically. If the technician says "clip", or a noise or movement needs capturing again, call capture_clip.`
+        ];
+
+        if (template.requiredPhotos.length > 0) {
+            const photos = template.requiredPhotos
+                .map(photo => `- ${photo.id}: ${photo.label}`)
+                .join('\n');
+            sections.push(`REQUIRED PHOTOS:
+The report needs these photos. When the subject is clearly in frame and steady, call the capture_required_photo tool with its photo_id. Ask the technician to show you any that are still missing before wrapping up:
+${photos}`);
+        }
+
+        sections.push(CONFIG.PROMPT_GREETING);
+        return sections.join('\n\n');
+    }
+
+    /**
+     * Build the instructions for analyzing an offline inspection after the fact
+     * @param {object} template - Inspection template
+     * @returns {string} System instruction for generateContent
+     */
+    buildOfflinePrompt(template) {
+        const steps = template.checklist
+            .map(step => `- ${step.id}: ${step.label}`)
+            .join('\n');
+        const severities = template.severities
+            .map(severity => `- ${severity.id}: ${severity.description || severity.label}`)
+            .join('\n');
+
+        return [
+            template.systemPrompt.trim(),
+            CONFIG.PROMPT_OFFLINE_REVIEW,
+            `CHECKLIST STEPS:\n${steps}`,
+            `FINDING SEVERITIES:\n${severities}`
+        ].filter(Boolean).join('\n\n');
+    }
+
+    /**
+     * Validate an array of { id, label, ... } entries with unique IDs
+     */
+    _validateList(list, field, required, optional) {
+        if (!Array.isArray(list)) {
+            throw new Error(`Template ${field} must be an array`);
+        }
+
+        const ids = new Set();
+        return list.map((entry, index) => {
+            const item = {};
+            for (const key of required) {
+                item[key] = this._requireString(entry && entry[key], `${field}[${index}].${key}`);
+            }
+            for (const key of optional) {
+                if (entry[key] !== undefined) {
+                    item[key] = String(entry[key]);
+                }
+            }
+
+            // IDs end up in markup attributes and tool arguments - keep them plain
+            if (!/^[a-z0-9_-]+$/i.test(item.id)) {
+                throw new Error(`Template ${field}[${index}].id may only contain letters, numbers, "-" and "_"`);
+            }
+            // Labels end up in attribute values too (alt, title) - no quotes or angle brackets
+            if (/["'<>]/.test(item.label)) {
+                throw new Error(`Template ${field}[${index}].label may not contain quotes or angle brackets`);
+            }
+            if (ids.has(item.id)) {
+                throw new Error(`Duplicate ${field} id: ${item.id}`);
+            }
+            ids.add(item.id);
+            return item;
+        });
+    }
+
+    _requireString(value, field) {
+        if (typeof value !== 'string' || !value.trim()) {
+            throw new Error(`Template ${field} is required`);
+        }
+        return value.trim();
+    }
+
+    _loadCustom() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CONFIG.STORAGE_CUSTOM_TEMPLATES) || '[]');
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.error('[TemplateManager] Error loading custom templates:', error);
+            return [];
+        }
+    }
+
+    _saveCustom() {
+        localStorage.setItem(CONFIG.STORAGE_CUSTOM_TEMPLATES, JSON.stringify(this.custom));
+    }
+}
@@ -10,7 +10,39 @@ class UIController {
 
         // State
         this.findings = [];
+        this.clipUrls = [];            // Object URLs of the findings' clip players
         this.transcript = [];
+        this.template = null;          // Inspection template for the current/next session
+        this.customTemplateIds = [];   // Imported templates (the only ones that can be deleted)
+        this.checklist = new Checklist([]);
+        this.asset = new AssetRecord();
+        this.asset.onChange = () => this.renderAsset();
+        this.requiredPhotos = [];      // Captured required photos ({ id, label, data, timestamp, source })
+        this.captures = [];            // Offline step captures ({ id, stepId, type: 'photo'|'voice', data, durationMs, timestamp })
+        this.offlineCapture = false;   // Checklist shows per-step photo and voice note buttons
+        this.voiceNoteStepId = null;   // Step a voice note is being recorded for
+        this.inputMode = CONFIG.DEFAULT_INPUT_MODE; // Decides whether the talk button is shown
+
+        // Callbacks
+        this.onFindingSubmitted = null; // Called with { title, description, severity, component }
+        this.onChecklistChanged = null; // Called with the checklist item the technician changed
+        this.onTemplateSelected = null; // Called with the template ID picked before starting
+        this.onTemplateImport = null;   // Called with the chosen template JSON file
+        this.onTemplateExport = null;   // Called with the template ID to export
+        this.onTemplateDelete = null;   // Called with the template ID to delete
+        this.onRequiredPhotoRequested = null; // Called with the required photo ID the technician tapped
+        this.onAssetEdited = null;      // Called with the asset field IDs the technician changed
+        this.onNameplatePhotoRequested = null; // Called when the technician taps the nameplate photo
+        this.onScanToggled = null;      // Called when the technician taps "Scan tag"
+        this.onClipRequested = null;    // Called when the technician taps "Clip"
+        this.onStepPhotoRequested = null;    // Called with the checklist step ID to photograph (offline)
+        this.onStepVoiceNoteToggled = null;  // Called with the checklist step ID to start/stop a voice note for (offline)
+        this.onVadSensitivityChanged = null; // Called with the voice detection sensitivity saved in settings
+        this.onInputModeChanged = null;      // Called with the mic input mode saved in settings
+        this.onTalkPressed = null;      // Called when the push-to-talk button is pressed
+        this.onTalkReleased = null;     // Called when the push-to-talk button is released
+        this.onMuteToggled = null;      // Called when the technician taps Mute
+        this.onApiKeyChanged = null;    // Called with the new API key when a different one is saved in settings
     }
 
     /**
@@ -22,36 +54,113 @@ class UIController {
             // Status
             connectionStatus: document.getElementById('connectionStatus'),
             statusText: document.querySelector('.status-text'),
+            sessionTimer: document.getElementById('sessionTimer'),
+            recordingIndicator: document.getElementById('recordingIndicator'),
+            videoTier: document.getElementById('videoTier'),
 
             // Camera
             cameraPreview: document.getElementById('cameraPreview'),
             captureCanvas: document.getElementById('captureCanvas'),
             cameraOverlay: document.getElementById('cameraOverlay'),
+            scanBtn: document.getElementById('scanBtn'),
+            clipBtn: document.getElementById('clipBtn'),
+            scanReticle: document.getElementById('scanReticle'),
 
             // Speaking indicators
             userSpeaking: document.getElementById('userSpeaking'),
+            userSpeakingLabel: document.getElementById('userSpeakingLabel'),
             aiSpeaking: document.getElementById('aiSpeaking'),
 
             // Panels
+            assetCard: document.getElementById('assetCard'),
+            editAssetBtn: document.getElementById('editAssetBtn'),
+            checklistPanel: document.getElementById('checklistPanel'),
+            checklistProgress: document.getElementById('checklistProgress'),
+            requiredPhotosSection: document.getElementById('requiredPhotosSection'),
+            requiredPhotosPanel: document.getElementById('requiredPhotosPanel'),
+            requiredPhotosProgress: document.getElementById('requiredPhotosProgress'),
             transcriptPanel: document.getElementById('transcriptPanel'),
             findingsPanel: document.getElementById('findingsPanel'),
             findingsCount: document.getElementById('findingsCount'),
+            addFindingBtn: document.getElementById('addFindingBtn'),
+
+            // Add finding modal
+            findingModal: document.getElementById('findingModal'),
+            closeFindingBtn: document.getElementById('closeFindingBtn'),
+            saveFindingBtn: document.getElementById('saveFindingBtn'),
+            findingTitleInput: document.getElementById('findingTitleInput'),
+            findingComponentInput: document.getElementById('findingComponentInput'),
+            findingDescriptionInput: document.getElementById('findingDescriptionInput'),
+            findingSeverityInput: document.getElementById('findingSeverityInput'),
+
+            // Asset modal
+            assetModal: document.getElementById('assetModal'),
+            assetForm: document.getElementById('assetForm'),
+            closeAssetBtn: document.getElementById('closeAssetBtn'),
+            saveAssetBtn: document.getElementById('saveAssetBtn'),
+
+            // Photo viewer
+            photoViewer: document.getElementById('photoViewer'),
+            photoViewerImage: document.getElementById('photoViewerImage'),
+
+            // Update banner
+            updateBanner: document.getElementById('updateBanner'),
+            endpointBanner: document.getElementById('endpointBanner'),
+            endpointBannerUrl: document.getElementById('endpointBannerUrl'),
+            updateReloadBtn: document.getElementById('updateReloadBtn'),
 
             // Controls
+            templateSelect: document.getElementById('templateSelect'),
             startBtn: document.getElementById('startBtn'),
             stopBtn: document.getElementById('stopBtn'),
+            talkBtn: document.getElementById('talkBtn'),
+            muteBtn: document.getElementById('muteBtn'),
+            muteBtnLabel: document.getElementById('muteBtnLabel'),
+            videoFileBtn: document.getElementById('videoFileBtn'),
+            videoFileInput: document.getElementById('videoFileInput'),
+            reportBtn: document.getElementById('reportBtn'),
             settingsBtn: document.getElementById('settingsBtn'),
+            pendingUploadsBtn: document.getElementById('pendingUploadsBtn'),
+            pendingUploadsCount: document.getElementById('pendingUploadsCount'),
+
+            // Report modal
+            reportModal: document.getElementById('reportModal'),
+            closeReportBtn: document.getElementById('closeReportBtn'),
+            reportPrintBtn: document.getElementById('reportPrintBtn'),
+            reportPdfBtn: document.getElementById('reportPdfBtn'),
 
             // Settings modal
             settingsModal: document.getElementById('settingsModal'),
             closeSettingsBtn: document.getElementById('closeSettingsBtn'),
             saveSettingsBtn: document.getElementById('saveSettingsBtn'),
-            apiKeyInput: document.getElementById('apiKeyInput')
+            apiKeyInput: document.getElementById('apiKeyInput'),
+            technicianNameInput: document.getElementById('technicianNameInput'),
+            companyNameInput: document.getElementById('companyNameInput'),
+            webhookUrlInput: document.getElementById('webhookUrlInput'),
+            recordAudioInput: document.getElementById('recordAudioInput'),
+            vadSensitivitySelect: document.getElementById('vadSensitivitySelect'),
+            inputModeSelect: document.getElementById('inputModeSelect'),
+            settingsTemplateSelect: document.getElementById('settingsTemplateSelect'),
+            templateImportBtn: document.getElementById('templateImportBtn'),
+            templateExportBtn: document.getElementById('templateExportBtn'),
+            templateDeleteBtn: document.getElementById('templateDeleteBtn'),
+            templateFileInput: document.getElementById('templateFileInput')
         };
 
         // Load saved settings
         this._loadSettings();
 
+        // Render the empty checklist and asset card
+        this.renderChecklist();
+        this._buildAssetForm();
+        this.renderAsset();
+
+        // The API key goes to this endpoint - never let an override go unnoticed
+        if (CONFIG.GEMINI_WS_OVERRIDE) {
+            this.elements.endpointBannerUrl.textContent = CONFIG.GEMINI_WS_OVERRIDE;
+            this.elements.endpointBanner.classList.remove('hidden');
+        }
+
         // Setup event listeners
         this._setupEventListeners();
 
@@ -73,6 +182,426 @@ class UIController {
                 this.hideSettings();
             }
         });
+
+        // Checklist: tap status to cycle it, tap text to edit notes
+        // (offline: photo and voice note buttons capture evidence for the step)
+        this.elements.checklistPanel.addEventListener('click', (e) => {
+            const row = e.target.closest('[data-item-id]');
+            if (!row) {
+                return;
+            }
+
+            const id = row.dataset.itemId;
+            const capture = e.target.closest('.checklist-capture');
+            if (capture) {
+                const callback = capture.dataset.capture === 'photo' ? this.onStepPhotoRequested : this.onStepVoiceNoteToggled;
+                if (callback) {
+                    callback(id);
+                }
+                return;
+            }
+
+            let item;
+            if (e.target.closest('.checklist-status')) {
+                item = this.checklist.cycleStatus(id);
+            } else {
+                const notes = prompt('Notes for this step:', this.checklist.getItem(id).notes);
+                if (notes === null) {
+                    return;
+                }
+                item = this.checklist.setNotes(id, notes.trim());
+            }
+
+            this.renderChecklist();
+            if (this.onChecklistChanged) {
+                this.onChecklistChanged(item);
+            }
+        });
+
+        // Template picker (before starting) and template management (settings)
+        this.elements.templateSelect.addEventListener('change', () => {
+            if (this.onTemplateSelected) {
+                this.onTemplateSelected(this.elements.templateSelect.value);
+            }
+        });
+        this.elements.templateImportBtn.addEventListener('click', () => this.elements.templateFileInput.click());
+        this.elements.templateFileInput.addEventListener('change', () => {
+            const file = this.elements.templateFileInput.files[0];
+            this.elements.templateFileInput.value = '';
+            if (file && this.onTemplateImport) {
+                this.onTemplateImport(file);
+            }
+        });
+        this.elements.templateExportBtn.addEventListener('click', () => {
+            if (this.onTemplateExport) {
+                this.onTemplateExport(this.elements.settingsTemplateSelect.value);
+            }
+        });
+        this.elements.templateDeleteBtn.addEventListener('click', () => {
+            if (this.onTemplateDelete) {
+                this.onTemplateDelete(this.elements.settingsTemplateSelect.value);
+            }
+        });
+        this.elements.settingsTemplateSelect.addEventListener('change', () => this._updateTemplateActions());
+
+        // Required photos: tap a tile to capture (or retake) it
+        this.elements.requiredPhotosPanel.addEventListener('click', (e) => {
+            const tile = e.target.closest('[data-photo-id]');
+            if (tile && this.onRequiredPhotoRequested) {
+                this.onRequiredPhotoRequested(tile.dataset.photoId);
+            }
+        });
+
+        // Barcode/QR scanning mode
+        this.elements.scanBtn.addEventListener('click', () => {
+            if (this.onScanToggled) {
+                this.onScanToggled();
+            }
+        });
+
+        // Save a video clip with the latest finding
+        this.elements.clipBtn.addEventListener('click', () => {
+            if (this.onClipRequested) {
+                this.onClipRequested();
+            }
+        });
+
+        // Asset card: edit fields, tap the nameplate tile to capture it
+        this.elements.editAssetBtn.addEventListener('click', () => this._showAssetForm());
+        this.elements.closeAssetBtn.addEventListener('click', () => this._hideAssetForm());
+        this.elements.saveAssetBtn.addEventListener('click', () => this._submitAssetForm());
+        this.elements.assetModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.assetModal) {
+                this._hideAssetForm();
+            }
+        });
+        this.elements.assetCard.addEventListener('click', (e) => {
+            if (e.target.closest('.asset-nameplate') && this.onNameplatePhotoRequested) {
+                this.onNameplatePhotoRequested();
+            }
+        });
+
+        // Push-to-talk: held with a finger, mouse or the keyboard; capture the pointer so
+        // sliding off the button doesn't count as letting go
+        const talkBtn = this.elements.talkBtn;
+        const pressTalk = () => {
+            talkBtn.classList.add('held');
+            if (this.onTalkPressed) {
+                this.onTalkPressed();
+            }
+        };
+        const releaseTalk = () => {
+            if (!talkBtn.classList.contains('held')) {
+                return;
+            }
+            talkBtn.classList.remove('held');
+            if (this.onTalkReleased) {
+                this.onTalkReleased();
+            }
+        };
+        talkBtn.addEventListener('pointerdown', (e) => {
+            talkBtn.setPointerCapture(e.pointerId);
+            pressTalk();
+        });
+        talkBtn.addEventListener('pointerup', releaseTalk);
+        talkBtn.addEventListener('pointercancel', releaseTalk);
+        talkBtn.addEventListener('lostpointercapture', releaseTalk);
+        talkBtn.addEventListener('contextmenu', (e) => e.preventDefault());
+        talkBtn.addEventListener('keydown', (e) => {
+            if ((e.key === ' ' || e.key === 'Enter') && !e.repeat) {
+                e.preventDefault();
+                pressTalk();
+            }
+        });
+        talkBtn.addEventListener('keyup', (e) => {
+            if (e.key === ' ' || e.key === 'Enter') {
+                releaseTalk();
+            }
+        });
+        talkBtn.addEventListener('blur', releaseTalk);
+
+        this.elements.muteBtn.addEventListener('click', () => {
+            if (this.onMuteToggled) {
+                this.onMuteToggled();
+            }
+        });
+
+        // Add finding modal
+        this.elements.addFindingBtn.addEventListener('click', () => this.showFindingForm());
+        this.elements.closeFindingBtn.addEventListener('click', () => this._hideFindingForm());
+        this.elements.saveFindingBtn.addEventListener('click', () => this._submitFindingForm());
+        this.elements.findingModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.findingModal) {
+                this._hideFindingForm();
+            }
+        });
+
+        // Tap any enlargeable photo (findings panel, history) to view it full screen
+        document.addEventListener('click', (e) => {
+            const photo = e.target.closest('img[data-enlarge]');
+            if (photo) {
+                this.showPhoto(photo.src);
+            }
+        });
+        this.elements.photoViewer.addEventListener('click', () => this.hidePhoto());
+
+        // Report modal
+        this.elements.closeReportBtn.addEventListener('click', () => this.hideReportOptions());
+        this.elements.reportModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.reportModal) {
+                this.hideReportOptions();
+            }
+        });
+    }
+
+    /**
+     * Fill the template pickers
+     * @param {object[]} templates - Available templates
+     * @param {string} selectedId - Currently selected template ID
+     * @param {string[]} customIds - IDs of imported templates (can be deleted)
+     */
+    setTemplateOptions(templates, selectedId, customIds) {
+        const options = templates.map(template =>
+            `<option value="${this._escapeHtml(template.id)}">${this._escapeHtml(template.name)}${customIds.includes(template.id) ? ' (custom)' : ''}</option>`
+        ).join('');
+
+        this.elements.templateSelect.innerHTML = options;
+        this.elements.templateSelect.value = selectedId;
+        this.elements.settingsTemplateSelect.innerHTML = options;
+        this.elements.settingsTemplateSelect.value = selectedId;
+        this.customTemplateIds = customIds;
+        this._updateTemplateActions();
+    }
+
+    /**
+     * Only imported templates can be deleted
+     */
+    _updateTemplateActions() {
+        const id = this.elements.settingsTemplateSelect.value;
+        this.elements.templateDeleteBtn.disabled = !this.customTemplateIds.includes(id);
+    }
+
+    /**
+     * Prevent switching templates mid-inspection
+     * @param {boolean} locked - Whether the picker is locked
+     */
+    setTemplateLocked(locked) {
+        this.elements.templateSelect.disabled = locked;
+    }
+
+    /**
+     * Apply an inspection template: checklist steps, severity options and required photos
+     * @param {object} template - Inspection template
+     */
+    setTemplate(template) {
+        this.template = template;
+        this.elements.templateSelect.value = template.id;
+
+        this.elements.findingSeverityInput.innerHTML = template.severities.map(severity =>
+            `<option value="${this._escapeHtml(severity.id)}">${this._escapeHtml(severity.label)}</option>`
+        ).join('');
+
+        this.clearChecklist();
+        this.clearRequiredPhotos();
+    }
+
+    /**
+     * Look up a severity in the current template
+     * @param {string} id - Severity ID
+     * @returns {object|null}
+     */
+    getSeverity(id) {
+        return this.template.severities.find(severity => severity.id === id) || null;
+    }
+
+    /**
+     * Show the report options (print view / PDF)
+     */
+    showReportOptions() {
+        this.elements.reportModal.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the report options
+     */
+    hideReportOptions() {
+        this.elements.reportModal.classList.add('hidden');
+    }
+
+    /**
+     * Show/hide the "Generate Report" button for the last session
+     * @param {boolean} show - Whether to show the button
+     */
+    setReportAvailable(show) {
+        this.elements.reportBtn.classList.toggle('hidden', !show);
+    }
+
+    /**
+     * Show whether barcode scanning mode is on
+     * @param {boolean} scanning - Whether scanning
+     */
+    setScanning(scanning) {
+        this.elements.scanBtn.classList.toggle('active', scanning);
+        this.elements.scanBtn.textContent = scanning ? 'Cancel scan' : 'Scan tag';
+        this.elements.scanReticle.classList.toggle('hidden', !scanning);
+    }
+
+    /**
+     * Show/hide the scan button (only while the camera is running)
+     * @param {boolean} available - Whether scanning is available
+     */
+    setScanAvailable(available) {
+        this.elements.scanBtn.classList.toggle('hidden', !available);
+        if (!available) {
+            this.setScanning(false);
+        }
+    }
+
+    /**
+     * Show/hide the clip button (only while the clip buffer is running)
+     * @param {boolean} available - Whether clips can be captured
+     */
+    setClipAvailable(available) {
+        this.elements.clipBtn.classList.toggle('hidden', !available);
+    }
+
+    /**
+     * Create one input per asset field
+     */
+    _buildAssetForm() {
+        this.elements.assetForm.innerHTML = AssetRecord.FIELDS.map(field => `
+            <div class="form-group">
+                <label for="asset-${field.id}">${this._escapeHtml(field.label)}</label>
+                <input type="text" id="asset-${field.id}" data-field="${field.id}">
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Show the asset form filled with the current record
+     */
+    _showAssetForm() {
+        for (const input of this.elements.assetForm.querySelectorAll('[data-field]')) {
+            input.value = this.asset.fields[input.dataset.field];
+        }
+        this.elements.assetModal.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the asset form
+     */
+    _hideAssetForm() {
+        this.elements.assetModal.classList.add('hidden');
+    }
+
+    /**
+     * Apply the asset form to the record and tell the app what changed
+     */
+    _submitAssetForm() {
+        const values = {};
+        for (const input of this.elements.assetForm.querySelectorAll('[data-field]')) {
+            values[input.dataset.field] = input.value;
+        }
+
+        this._hideAssetForm();
+
+        const changed = this.asset.update(values, 'technician', { allowClear: true });
+        if (changed.length > 0 && this.onAssetEdited) {
+            this.onAssetEdited(changed);
+        }
+    }
+
+    /**
+     * Render the asset card
+     */
+    renderAsset() {
+        const photo = this.asset.nameplatePhoto;
+        const fields = this.asset.getFilledFields();
+        const decoded = EquipmentDecoder.describe(this.asset.decoded);
+
+        this.elements.assetCard.innerHTML = `
+            <button class="required-photo asset-nameplate ${photo ? 'captured' : ''}" aria-label="Capture nameplate photo">
+                ${photo
+                    ? `<img src="data:image/jpeg;base64,${photo}" alt="Nameplate">`
+                    : '<div class="required-photo-placeholder">+</div>'}
+                <span>Nameplate</span>
+            </button>
+            ${fields.length > 0 ? `
+                <dl class="asset-fields">
+                    ${fields.map(([label, value]) => `<dt>${this._escapeHtml(label)}</dt><dd>${this._escapeHtml(value)}</dd>`).join('')}
+                    ${decoded.map(([label, value]) => `<dt class="decoded">${this._escapeHtml(label)}</dt><dd class="decoded">${this._escapeHtml(value)}</dd>`).join('')}
+                    <div class="asset-meta">${this.asset.updatedBy === 'ai' ? 'Read by AI' : 'Entered by you'} &middot; ${new Date(this.asset.updatedAt).toLocaleTimeString()}</div>
+                </dl>
+            ` : '<p class="asset-empty">Not identified yet. Show the AI the nameplate or tap Edit.</p>'}
+        `;
+    }
+
+    /**
+     * Clear the asset record
+     */
+    clearAsset() {
+        this.asset.reset();
+        this.renderAsset();
+    }
+
+    /**
+     * Show the add finding form
+     */
+    showFindingForm() {
+        this.elements.findingTitleInput.value = '';
+        this.elements.findingComponentInput.value = '';
+        this.elements.findingDescriptionInput.value = '';
+        // Severities are ordered most to least severe - default to the mildest
+        const severities = this.template.severities;
+        this.elements.findingSeverityInput.value = severities[severities.length - 1].id;
+        this.elements.findingModal.classList.remove('hidden');
+        this.elements.findingTitleInput.focus();
+    }
+
+    /**
+     * Hide the add finding form
+     */
+    _hideFindingForm() {
+        this.elements.findingModal.classList.add('hidden');
+    }
+
+    /**
+     * Validate the add finding form and hand it to the app
+     */
+    _submitFindingForm() {
+        const title = this.elements.findingTitleInput.value.trim();
+        if (!title) {
+            this.elements.findingTitleInput.focus();
+            return;
+        }
+
+        this._hideFindingForm();
+
+        if (this.onFindingSubmitted) {
+            this.onFindingSubmitted({
+                title,
+                description: this.elements.findingDescriptionInput.value.trim(),
+                severity: this.elements.findingSeverityInput.value,
+                component: this.elements.findingComponentInput.value.trim()
+            });
+        }
+    }
+
+    /**
+     * Show a photo full screen
+     * @param {string} src - Image URL
+     */
+    showPhoto(src) {
+        this.elements.photoViewerImage.src = src;
+        this.elements.photoViewer.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the full screen photo viewer
+     */
+    hidePhoto() {
+        this.elements.photoViewer.classList.add('hidden');
+        this.elements.photoViewerImage.removeAttribute('src');
     }
 
     /**
@@ -81,6 +610,20 @@ class UIController {
     _loadSettings() {
         const apiKey = localStorage.getItem(CONFIG.STORAGE_API_KEY) || '';
         this.elements.apiKeyInput.value = apiKey;
+        this.elements.webhookUrlInput.value = this.getWebhookUrl();
+        this.elements.technicianNameInput.value = this.getTechnicianName();
+        this.elements.companyNameInput.value = this.getCompanyName();
+        this.elements.recordAudioInput.checked = this.getRecordingConsent();
+
+        this.elements.vadSensitivitySelect.innerHTML = Object.entries(CONFIG.VAD_SENSITIVITY_LEVELS)
+            .map(([id, level]) => `<option value="${id}">${level.label}</option>`)
+            .join('');
+        this.elements.vadSensitivitySelect.value = this.getVadSensitivity();
+
+        this.elements.inputModeSelect.innerHTML = Object.entries(CONFIG.INPUT_MODES)
+            .map(([id, mode]) => `<option value="${id}">${mode.label}</option>`)
+            .join('');
+        this.elements.inputModeSelect.value = this.getInputMode();
     }
 
     /**
@@ -88,17 +631,100 @@ class UIController {
      */
     _saveSettings() {
         const apiKey = this.elements.apiKeyInput.value.trim();
+        const apiKeyChanged = apiKey !== this.getApiKey();
 
         if (apiKey) {
             localStorage.setItem(CONFIG.STORAGE_API_KEY, apiKey);
         } else {
             localStorage.removeItem(CONFIG.STORAGE_API_KEY);
         }
+        if (apiKeyChanged && apiKey && this.onApiKeyChanged) {
+            this.onApiKeyChanged(apiKey);
+        }
+
+        this._saveSetting(CONFIG.STORAGE_TECHNICIAN_NAME, this.elements.technicianNameInput.value.trim());
+        this._saveSetting(CONFIG.STORAGE_COMPANY_NAME, this.elements.companyNameInput.value.trim());
+        this._saveSetting(CONFIG.STORAGE_RECORD_AUDIO, this.elements.recordAudioInput.checked ? 'true' : '');
+
+        const vadSensitivity = this.elements.vadSensitivitySelect.value;
+        if (vadSensitivity !== this.getVadSensitivity()) {
+            this._saveSetting(CONFIG.STORAGE_VAD_SENSITIVITY,
+                vadSensitivity === CONFIG.VAD_DEFAULT_SENSITIVITY ? '' : vadSensitivity);
+            if (this.onVadSensitivityChanged) {
+                this.onVadSensitivityChanged(vadSensitivity);
+            }
+        }
+
+        const inputMode = this.elements.inputModeSelect.value;
+        if (inputMode !== this.getInputMode()) {
+            this._saveSetting(CONFIG.STORAGE_INPUT_MODE, inputMode === CONFIG.DEFAULT_INPUT_MODE ? '' : inputMode);
+            if (this.onInputModeChanged) {
+                this.onInputModeChanged(inputMode);
+            }
+        }
+
+        const webhookUrl = this.elements.webhookUrlInput.value.trim();
+
+        if (webhookUrl && webhookUrl !== CONFIG.WEBHOOK_URL) {
+            localStorage.setItem(CONFIG.STORAGE_WEBHOOK_URL, webhookUrl);
+        } else {
+            localStorage.removeItem(CONFIG.STORAGE_WEBHOOK_URL);
+        }
 
         this.hideSettings();
         console.log('[UI] Settings saved');
     }
 
+    /**
+     * Store a text setting, removing it when empty
+     * @param {string} key - localStorage key
+     * @param {string} value - Value to store
+     */
+    _saveSetting(key, value) {
+        if (value) {
+            localStorage.setItem(key, value);
+        } else {
+            localStorage.removeItem(key);
+        }
+    }
+
+    /**
+     * Get technician name from settings
+     */
+    getTechnicianName() {
+        return localStorage.getItem(CONFIG.STORAGE_TECHNICIAN_NAME) || '';
+    }
+
+    /**
+     * Get company name (report branding) from settings
+     */
+    getCompanyName() {
+        return localStorage.getItem(CONFIG.STORAGE_COMPANY_NAME) || '';
+    }
+
+    /**
+     * Whether the technician opted in to recording session audio
+     */
+    getRecordingConsent() {
+        return localStorage.getItem(CONFIG.STORAGE_RECORD_AUDIO) === 'true';
+    }
+
+    /**
+     * Voice detection sensitivity from settings (a key of CONFIG.VAD_SENSITIVITY_LEVELS)
+     */
+    getVadSensitivity() {
+        const level = localStorage.getItem(CONFIG.STORAGE_VAD_SENSITIVITY);
+        return CONFIG.VAD_SENSITIVITY_LEVELS[level] ? level : CONFIG.VAD_DEFAULT_SENSITIVITY;
+    }
+
+    /**
+     * Mic input mode from settings (a key of CONFIG.INPUT_MODES)
+     */
+    getInputMode() {
+        const mode = localStorage.getItem(CONFIG.STORAGE_INPUT_MODE);
+        return CONFIG.INPUT_MODES[mode] ? mode : CONFIG.DEFAULT_INPUT_MODE;
+    }
+
     /**
      * Get API key from settings
      */
@@ -106,6 +732,13 @@ class UIController {
         return localStorage.getItem(CONFIG.STORAGE_API_KEY) || '';
     }
 
+    /**
+     * Get webhook URL (settings override, else CONFIG.WEBHOOK_URL)
+     */
+    getWebhookUrl() {
+        return localStorage.getItem(CONFIG.STORAGE_WEBHOOK_URL) || CONFIG.WEBHOOK_URL;
+    }
+
     /**
      * Show settings modal
      */
@@ -122,7 +755,7 @@ class UIController {
 
     /**
      * Update connection status
-     * @param {string} status - 'connected', 'connecting', 'disconnected', 'error'
+     * @param {string} status - 'connected', 'connecting', 'suspended', 'disconnected', 'error'
      * @param {string} [message] - Optional status message
      */
     setConnectionStatus(status, message) {
@@ -130,13 +763,15 @@ class UIController {
         const statusText = this.elements.statusText;
 
         // Remove all status classes
-        statusBar.classList.remove('connected', 'connecting', 'disconnected', 'error');
+        statusBar.classList.remove('connected', 'connecting', 'suspended', 'offline', 'disconnected', 'error');
         statusBar.classList.add(status);
 
         // Set status text
         const defaultMessages = {
             connected: 'Connected',
             connecting: 'Connecting...',
+            suspended: 'Connection lost - reconnecting...',
+            offline: 'Offline - capturing for later analysis',
             disconnected: 'Disconnected',
             error: 'Connection Error'
         };
@@ -144,6 +779,74 @@ class UIController {
         statusText.textContent = message || defaultMessages[status] || status;
     }
 
+    /**
+     * Update the remaining session time indicator
+     * @param {number|null} remainingMs - Milliseconds left, or null to hide the timer
+     */
+    setSessionTimeRemaining(remainingMs) {
+        const timer = this.elements.sessionTimer;
+
+        if (remainingMs === null) {
+            timer.classList.add('hidden');
+            timer.classList.remove('warning');
+            return;
+        }
+
+        const totalSeconds = Math.max(0, Math.ceil(remainingMs / 1000));
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+
+        timer.textContent = `${minutes}:${String(seconds).padStart(2, '0')} left`;
+        timer.classList.toggle('warning', remainingMs <= CONFIG.SESSION_WARNING_MS);
+        timer.classList.remove('hidden');
+    }
+
+    /**
+     * Show/hide the recording indicator
+     * @param {boolean} recording - Whether session audio is being recorded
+     */
+    setRecording(recording) {
+        this.elements.recordingIndicator.classList.toggle('hidden', !recording);
+    }
+
+    /**
+     * Show the current video quality tier in the status bar
+     * @param {object|null} tier - Entry from CONFIG.VIDEO_QUALITY_TIERS, or null to hide
+     */
+    setVideoTier(tier) {
+        const indicator = this.elements.videoTier;
+        indicator.classList.toggle('hidden', !tier);
+        if (tier) {
+            indicator.textContent = `Video: ${tier.label}`;
+            indicator.classList.toggle('degraded', tier !== CONFIG.VIDEO_QUALITY_TIERS[0]);
+        }
+    }
+
+    /**
+     * Update the pending uploads indicator
+     * @param {object} stats - Outbox counts ({ pending, failed })
+     * @param {boolean} [sending] - Whether a delivery attempt is in progress
+     */
+    setPendingUploads(stats, sending = false) {
+        const button = this.elements.pendingUploadsBtn;
+        const total = stats.pending + stats.failed;
+
+        button.classList.toggle('hidden', total === 0);
+        button.classList.toggle('failed', stats.failed > 0);
+        button.classList.toggle('sending', sending);
+        this.elements.pendingUploadsCount.textContent = total;
+        button.title = stats.failed > 0
+            ? `${stats.failed} upload(s) failed - tap to retry`
+            : `${stats.pending} upload(s) waiting - tap to retry now`;
+    }
+
+    /**
+     * Show the "new version available" banner
+     */
+    showUpdateBanner() {
+        this.elements.updateBanner.classList.remove('hidden');
+    }
+
     /**
      * Show/hide camera overlay
      * @param {boolean} show - Whether to show the overlay
@@ -216,11 +919,23 @@ class UIController {
      * Add finding
      * @param {string} title - Finding title
      * @param {string} description - Finding description
-     * @param {string} severity - 'info', 'warning', or 'critical'
+     * @param {string} severity - Severity ID from the current template
+     * @param {string} [component] - Affected equipment component
+     * @param {string|null} [photo] - Base64 JPEG evidence photo
+     * @returns {object} The recorded finding
      */
-    addFinding(title, description, severity = 'info') {
+    addFinding(title, description, severity, component = '', photo = null) {
         const timestamp = new Date().toISOString();
-        this.findings.push({ title, description, severity, timestamp });
+        const finding = {
+            id: `F${this.findings.length + 1}`,
+            title,
+            description,
+            severity,
+            component,
+            photo,
+            timestamp
+        };
+        this.findings.push(finding);
 
         // Remove placeholder if present
         const placeholder = this.elements.findingsPanel.querySelector('.findings-placeholder');
@@ -232,53 +947,273 @@ class UIController {
         this.elements.findingsCount.textContent = `(${this.findings.length})`;
 
         // Create finding element
+        const severityInfo = this.getSeverity(severity);
         const item = document.createElement('div');
         item.className = `finding-item ${severity}`;
+        item.dataset.findingId = finding.id;
+        if (severityInfo && severityInfo.color) {
+            item.style.setProperty('--severity-color', severityInfo.color);
+        }
         item.innerHTML = `
             <div class="finding-title">${this._escapeHtml(title)}</div>
+            ${component ? `<div class="finding-component">${this._escapeHtml(component)}</div>` : ''}
             <div class="finding-description">${this._escapeHtml(description)}</div>
-            <span class="finding-severity">${severity}</span>
+            ${photo ? `<img class="finding-photo" src="data:image/jpeg;base64,${photo}" alt="Finding photo" data-enlarge>` : ''}
+            <span class="finding-severity">${this._escapeHtml(severityInfo ? severityInfo.label : severity)}</span>
         `;
 
         this.elements.findingsPanel.appendChild(item);
 
         // Auto-scroll to bottom
         this.elements.findingsPanel.scrollTop = this.elements.findingsPanel.scrollHeight;
+
+        return finding;
     }
 
     /**
-     * Parse AI text for findings
-     * Looks for patterns like "CRITICAL:", "WARNING:", "INFO:"
-     * @param {string} text - AI response text
+     * Most recently recorded finding
+     * @returns {object|null}
      */
-    parseFindings(text) {
-        const patterns = [
-            { regex: /CRITICAL:\s*(.+?)(?=(?:CRITICAL:|WARNING:|INFO:|$))/gi, severity: 'critical' },
-            { regex: /WARNING:\s*(.+?)(?=(?:CRITICAL:|WARNING:|INFO:|$))/gi, severity: 'warning' },
-            { regex: /INFO:\s*(.+?)(?=(?:CRITICAL:|WARNING:|INFO:|$))/gi, severity: 'info' }
-        ];
+    getLatestFinding() {
+        return this.findings[this.findings.length - 1] || null;
+    }
 
-        for (const pattern of patterns) {
-            let match;
-            while ((match = pattern.regex.exec(text)) !== null) {
-                const content = match[1].trim();
-                if (content) {
-                    // Split into title and description at first period or dash
-                    const parts = content.split(/[.\-](.+)/);
-                    const title = parts[0].trim();
-                    const description = parts[1] ? parts[1].trim() : '';
-                    this.addFinding(title, description, pattern.severity);
-                }
-            }
+    /**
+     * Show that a video clip is being saved for a finding
+     * @param {string} id - Finding ID
+     */
+    setFindingClipPending(id) {
+        const item = this.elements.findingsPanel.querySelector(`[data-finding-id="${id}"]`);
+        if (!item || item.querySelector('.finding-clip')) {
+            return;
+        }
+
+        const pending = document.createElement('div');
+        pending.className = 'finding-clip pending';
+        pending.textContent = 'Saving video clip...';
+        item.querySelector('.finding-severity').before(pending);
+    }
+
+    /**
+     * Attach a saved video clip to a finding
+     * @param {string} id - Finding ID
+     * @param {object|null} clip - { blob, mimeType, durationMs, startedAt }, or null if it failed
+     */
+    setFindingClip(id, clip) {
+        const finding = this.findings.find(candidate => candidate.id === id);
+        const item = this.elements.findingsPanel.querySelector(`[data-finding-id="${id}"]`);
+        if (!finding) {
+            return;
+        }
+
+        if (clip) {
+            finding.clip = clip;
+        }
+        if (!item) {
+            return;
+        }
+
+        const existing = item.querySelector('.finding-clip');
+        if (existing) {
+            existing.remove();
+        }
+        if (finding.clip) {
+            const video = document.createElement('video');
+            video.className = 'finding-clip';
+            video.controls = true;
+            video.playsInline = true;
+            video.preload = 'metadata';
+            const url = URL.createObjectURL(finding.clip.blob);
+            this.clipUrls.push(url);
+            video.src = url;
+            item.querySelector('.finding-severity').before(video);
         }
     }
 
+    /**
+     * Update a checklist item (e.g. from an AI tool call) and re-render
+     * @param {string} id - Item ID
+     * @param {string} status - 'pending', 'pass', 'fail' or 'na'
+     * @param {string} [notes] - Item notes
+     * @param {string} [source] - 'ai' or 'technician'
+     * @returns {object} The updated item
+     */
+    updateChecklistItem(id, status, notes, source) {
+        const item = this.checklist.setStatus(id, status, notes, source);
+        this.renderChecklist();
+        return item;
+    }
+
+    /**
+     * Render the checklist panel
+     */
+    renderChecklist() {
+        const statusLabels = { pending: 'To do', pass: 'Pass', fail: 'Fail', na: 'N/A' };
+
+        this.elements.checklistPanel.innerHTML = this.checklist.items.map(item => `
+            <div class="checklist-item ${item.status}" data-item-id="${this._escapeHtml(item.id)}">
+                <button class="checklist-status" aria-label="Change status">${statusLabels[item.status]}</button>
+                <div class="checklist-text">
+                    <div class="checklist-label">${this._escapeHtml(item.label)}</div>
+                    <div class="checklist-notes">${this._escapeHtml(item.notes || item.description)}</div>
+                    ${item.updatedAt ? `<div class="checklist-meta">${item.updatedBy === 'ai' ? 'AI' : 'You'} &middot; ${new Date(item.updatedAt).toLocaleTimeString()}</div>` : ''}
+                    ${this.offlineCapture ? this._renderStepCaptures(item.id) : ''}
+                </div>
+            </div>
+        `).join('');
+
+        this.elements.checklistProgress.textContent = `(${this.checklist.getCompletedCount()}/${this.checklist.items.length})`;
+    }
+
+    /**
+     * Photo and voice note buttons for a checklist step, with capture counts
+     * @param {string} stepId - Checklist item ID
+     */
+    _renderStepCaptures(stepId) {
+        const count = (type) => this.captures.filter(c => c.stepId === stepId && c.type === type).length;
+        const photos = count('photo');
+        const notes = count('voice');
+        const recording = this.voiceNoteStepId === stepId;
+
+        return `
+            <div class="checklist-captures">
+                <button class="checklist-capture" data-capture="photo">Photo${photos ? ` (${photos})` : ''}</button>
+                <button class="checklist-capture${recording ? ' recording' : ''}" data-capture="voice">${recording ? 'Stop note' : 'Voice note'}${notes ? ` (${notes})` : ''}</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Show or hide the per-step capture buttons (offline inspections)
+     * @param {boolean} enabled - Whether the session is capturing offline
+     */
+    setOfflineCapture(enabled) {
+        this.offlineCapture = enabled;
+        this.voiceNoteStepId = null;
+        this.renderChecklist();
+    }
+
+    /**
+     * Show which step a voice note is being recorded for
+     * @param {string|null} stepId - Checklist item ID, or null when not recording
+     */
+    setVoiceNoteRecording(stepId) {
+        this.voiceNoteStepId = stepId;
+        this.renderChecklist();
+    }
+
+    /**
+     * Store an offline capture for a checklist step
+     * @param {string} stepId - Checklist item ID
+     * @param {string} type - 'photo' (base64 JPEG) or 'voice' (WAV Blob)
+     * @param {string|Blob} data - Captured data
+     * @param {number} [durationMs] - Voice note length
+     * @returns {object} The stored capture
+     */
+    addCapture(stepId, type, data, durationMs = null) {
+        const prefix = type === 'photo' ? 'P' : 'N';
+        const capture = {
+            id: `${prefix}${this.captures.filter(c => c.type === type).length + 1}`,
+            stepId,
+            type,
+            data,
+            durationMs,
+            timestamp: new Date().toISOString()
+        };
+        this.captures.push(capture);
+        this.renderChecklist();
+        return capture;
+    }
+
+    /**
+     * Remove all offline captures
+     */
+    clearCaptures() {
+        this.captures = [];
+        this.voiceNoteStepId = null;
+        this.renderChecklist();
+    }
+
+    /**
+     * Reset the checklist to all-pending
+     */
+    clearChecklist() {
+        this.checklist.reset(this.template ? this.template.checklist : []);
+        this.renderChecklist();
+    }
+
+    /**
+     * Store a required photo (replaces an earlier capture) and re-render
+     * @param {string} id - Required photo ID from the template
+     * @param {string} data - Base64 JPEG
+     * @param {string} [source] - 'ai' or 'technician'
+     * @returns {object} The stored photo
+     */
+    setRequiredPhoto(id, data, source = 'technician') {
+        const definition = this.template.requiredPhotos.find(photo => photo.id === id);
+        if (!definition) {
+            throw new Error(`Unknown required photo: ${id}`);
+        }
+
+        const photo = { id, label: definition.label, data, timestamp: new Date().toISOString(), source };
+        this.requiredPhotos = this.requiredPhotos.filter(existing => existing.id !== id);
+        this.requiredPhotos.push(photo);
+        this.renderRequiredPhotos();
+        return photo;
+    }
+
+    /**
+     * Required photos from the template that have not been captured yet
+     * @returns {object[]}
+     */
+    getMissingRequiredPhotos() {
+        if (!this.template) {
+            return [];
+        }
+        return this.template.requiredPhotos.filter(definition =>
+            !this.requiredPhotos.some(photo => photo.id === definition.id)
+        );
+    }
+
+    /**
+     * Render the required photos panel (hidden when the template has none)
+     */
+    renderRequiredPhotos() {
+        const definitions = this.template ? this.template.requiredPhotos : [];
+        this.elements.requiredPhotosSection.classList.toggle('hidden', definitions.length === 0);
+
+        this.elements.requiredPhotosPanel.innerHTML = definitions.map(definition => {
+            const photo = this.requiredPhotos.find(existing => existing.id === definition.id);
+            return `
+                <button class="required-photo ${photo ? 'captured' : ''}" data-photo-id="${this._escapeHtml(definition.id)}">
+                    ${photo
+                        ? `<img src="data:image/jpeg;base64,${photo.data}" alt="${this._escapeHtml(definition.label)}">`
+                        : '<div class="required-photo-placeholder">+</div>'}
+                    <span>${this._escapeHtml(definition.label)}</span>
+                </button>
+            `;
+        }).join('');
+
+        this.elements.requiredPhotosProgress.textContent = `(${this.requiredPhotos.length}/${definitions.length})`;
+    }
+
+    /**
+     * Clear captured required photos
+     */
+    clearRequiredPhotos() {
+        this.requiredPhotos = [];
+        this.renderRequiredPhotos();
+    }
+
     /**
      * Show start button, hide stop button
      */
     showStartButton() {
         this.elements.startBtn.classList.remove('hidden');
+        this.elements.videoFileBtn.classList.remove('hidden');
         this.elements.stopBtn.classList.add('hidden');
+        this.elements.talkBtn.classList.add('hidden');
+        this.elements.muteBtn.classList.add('hidden');
     }
 
     /**
@@ -286,7 +1221,36 @@ class UIController {
      */
     showStopButton() {
         this.elements.startBtn.classList.add('hidden');
+        this.elements.videoFileBtn.classList.add('hidden');
         this.elements.stopBtn.classList.remove('hidden');
+        this.elements.talkBtn.classList.toggle('hidden', this.inputMode !== 'push-to-talk');
+        this.elements.muteBtn.classList.remove('hidden');
+    }
+
+    /**
+     * Show the talk button for push-to-talk (while a session is running)
+     * @param {string} mode - Key of CONFIG.INPUT_MODES
+     */
+    setInputMode(mode) {
+        this.inputMode = mode;
+        const running = !this.elements.stopBtn.classList.contains('hidden');
+        this.elements.talkBtn.classList.toggle('hidden', !running || mode !== 'push-to-talk');
+        this.elements.talkBtn.classList.remove('held');
+    }
+
+    /**
+     * Reflect the mute state on the mute button and the "You" indicator
+     * @param {boolean} muted - Whether the mic is muted
+     */
+    setMuted(muted) {
+        this.elements.muteBtn.setAttribute('aria-pressed', String(muted));
+        this.elements.muteBtnLabel.textContent = muted ? 'Unmute' : 'Mute';
+        this.elements.userSpeaking.classList.toggle('muted', muted);
+        this.elements.userSpeakingLabel.textContent = muted ? 'Muted' : 'You';
+        this.elements.talkBtn.disabled = muted;
+        if (muted) {
+            this.elements.talkBtn.classList.remove('held');
+        }
     }
 
     /**
@@ -302,6 +1266,8 @@ class UIController {
      */
     clearFindings() {
         this.findings = [];
+        this.clipUrls.forEach(url => URL.revokeObjectURL(url));
+        this.clipUrls = [];
         this.elements.findingsPanel.innerHTML = '<p class="findings-placeholder">No findings yet</p>';
         this.elements.findingsCount.textContent = '(0)';
     }
@@ -312,9 +1278,14 @@ class UIController {
     reset() {
         this.clearTranscript();
         this.clearFindings();
+        this.clearChecklist();
+        this.clearRequiredPhotos();
+        this.clearAsset();
+        this.clearCaptures();
         this.setConnectionStatus('disconnected');
         this.setCameraOverlay(true);
         this.setUserSpeaking(false);
+        this.setMuted(false);
         this.setAiSpeaking(false);
         this.showStartButton();
     }
@@ -325,22 +1296,83 @@ class UIController {
      */
     getSessionData(sessionDuration) {
         return {
+            template: {
+                id: this.template.id,
+                name: this.template.name,
+                version: this.template.version,
+                severities: this.template.severities,
+                requiredPhotos: this.template.requiredPhotos
+            },
+            asset: this.asset.toJSON(),
             findings: this.findings,
-            checklist: [], // Could be extended with checklist feature
+            checklist: this.checklist.toJSON(),
+            photos: this.requiredPhotos,
             transcript: this.transcript,
+            technician: this.getTechnicianName(),
             sessionDuration: sessionDuration,
             endTime: new Date().toISOString()
         };
     }
 
     /**
-     * Escape HTML to prevent XSS
+     * Build a short text summary of the inspection so far
+     * Replayed to the AI when a session has to be restarted without server-side context
+     * @param {number} sessionDuration - Elapsed time in milliseconds
+     * @returns {string} Summary text
+     */
+    getContextSummary(sessionDuration) {
+        const minutes = Math.round(sessionDuration / 60000);
+        const lines = [
+            `[Context] The connection dropped and the session was restarted. We are ${minutes} minute(s) into the inspection. Continue from where we left off - do not greet the technician again.`
+        ];
+
+        const assetFields = this.asset.getFilledFields();
+        if (assetFields.length > 0) {
+            const decoded = EquipmentDecoder.describe(this.asset.decoded);
+            lines.push('Asset: ' + [...assetFields, ...decoded].map(([label, value]) => `${label}: ${value}`).join(', '));
+        } else {
+            lines.push('Asset not identified yet.');
+        }
+
+        if (this.findings.length > 0) {
+            lines.push('Findings already recorded (do not record them again):');
+            for (const finding of this.findings) {
+                const component = finding.component ? ` (${finding.component})` : '';
+                lines.push(`- [${finding.severity}] ${finding.title}${component}: ${finding.description}`);
+            }
+        } else {
+            lines.push('No findings recorded yet.');
+        }
+
+        lines.push('Checklist: ' + this.checklist.items.map(item => `${item.id}=${item.status}`).join(', '));
+
+        const missingPhotos = this.getMissingRequiredPhotos();
+        if (missingPhotos.length > 0) {
+            lines.push('Required photos still missing: ' + missingPhotos.map(photo => photo.id).join(', '));
+        }
+
+        const recent = this.transcript.slice(-CONFIG.CONTEXT_SUMMARY_ENTRIES);
+        if (recent.length > 0) {
+            lines.push('Last exchanges:');
+            for (const entry of recent) {
+                lines.push(`${entry.role === 'user' ? 'Technician' : 'You'}: ${entry.text.trim()}`);
+            }
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Escape HTML to prevent XSS (quotes too, since the result is also used in attribute values)
      * @param {string} text - Text to escape
      */
     _escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return String(text == null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 
     /**
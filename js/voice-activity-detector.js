@@ -0,0 +1,207 @@
+/**
+ * Voice Activity Detector
+ * Decides, in 20 ms frames, whether the technician is talking. Instead of a
+ * fixed level it tracks the ambient noise floor (so a running condenser fan
+ * just raises the floor) and requires speech-like frames: enough energy in the
+ * 300-3400 Hz voice band relative to the whole signal, and a zero-crossing rate
+ * between that of hum and of hiss. Speech starts after a short attack and ends
+ * after a longer release hangover, so pauses between words don't split it
+ */
+
+class VoiceActivityDetector {
+    /**
+     * @param {number} sampleRate - Rate of the samples passed to process()
+     */
+    constructor(sampleRate) {
+        this.sampleRate = sampleRate;
+        this.frameSize = Math.round(sampleRate * VoiceActivityDetector.FRAME_MS / 1000);
+
+        // Voice band = high-pass then low-pass
+        this.highPass = VoiceActivityDetector._biquad('highpass', 300, sampleRate);
+        this.lowPass = VoiceActivityDetector._biquad('lowpass', 3400, sampleRate);
+
+        this.setSensitivity(CONFIG.VAD_DEFAULT_SENSITIVITY);
+        this.reset();
+
+        // Callbacks
+        this.onStart = null;     // Called when speech starts (after the attack time)
+        this.onEnd = null;       // Called when speech ends (after the release hangover)
+        this.onSustained = null; // Called once per utterance after CONFIG.VAD_BARGE_IN_MS of speech
+    }
+
+    /**
+     * Choose how easily speech is detected
+     * @param {string} level - Key of CONFIG.VAD_SENSITIVITY_LEVELS
+     */
+    setSensitivity(level) {
+        this.sensitivity = CONFIG.VAD_SENSITIVITY_LEVELS[level] ? level : CONFIG.VAD_DEFAULT_SENSITIVITY;
+        const settings = CONFIG.VAD_SENSITIVITY_LEVELS[this.sensitivity];
+        this.thresholdDb = settings.snrDb;
+        this.attackFrames = Math.ceil(settings.attackMs / VoiceActivityDetector.FRAME_MS);
+        this.releaseFrames = Math.ceil(CONFIG.VAD_RELEASE_MS / VoiceActivityDetector.FRAME_MS);
+        this.sustainFrames = Math.ceil(CONFIG.VAD_BARGE_IN_MS / VoiceActivityDetector.FRAME_MS);
+    }
+
+    /**
+     * Forget the noise floor and any utterance in progress (new input stream)
+     */
+    reset() {
+        this.highPass.reset();
+        this.lowPass.reset();
+
+        this.frame = { count: 0, total: 0, band: 0, crossings: 0, last: 0 };
+        this.noiseFloorDb = null;
+        this.isSpeaking = false;
+        this.speechFrames = 0;    // Speech-like frames counted toward the attack
+        this.silentFrames = 0;    // Consecutive other frames while speaking (release)
+        this.utteranceFrames = 0; // Frames since the current utterance started
+        this.utterances = 0;
+    }
+
+    /**
+     * Feed samples; callbacks fire as speech starts and ends
+     * @param {Float32Array} samples - Mono samples at sampleRate
+     */
+    process(samples) {
+        const frame = this.frame;
+        for (let i = 0; i < samples.length; i++) {
+            const sample = samples[i];
+            const band = this.lowPass.filter(this.highPass.filter(sample));
+
+            frame.total += sample * sample;
+            frame.band += band * band;
+            if ((sample >= 0) !== (frame.last >= 0)) {
+                frame.crossings++;
+            }
+            frame.last = sample;
+
+            if (++frame.count === this.frameSize) {
+                this._decide(frame.total / frame.count, frame.band / frame.count, frame.crossings / frame.count);
+                frame.count = 0;
+                frame.total = 0;
+                frame.band = 0;
+                frame.crossings = 0;
+            }
+        }
+    }
+
+    /**
+     * Current state for diagnostics
+     * @returns {{sensitivity: string, noiseFloorDb: number|null, utterances: number}}
+     */
+    getStats() {
+        return {
+            sensitivity: this.sensitivity,
+            noiseFloorDb: this.noiseFloorDb === null ? null : Math.round(this.noiseFloorDb),
+            utterances: this.utterances
+        };
+    }
+
+    /**
+     * Classify one frame and update the noise floor and speech state
+     * @param {number} totalPower - Mean square of the frame
+     * @param {number} bandPower - Mean square of the voice band
+     * @param {number} zeroCrossingRate - Sign changes per sample
+     */
+    _decide(totalPower, bandPower, zeroCrossingRate) {
+        const levelDb = 10 * Math.log10(bandPower + 1e-12);
+        if (this.noiseFloorDb === null) {
+            this.noiseFloorDb = levelDb;
+        }
+
+        // Keep listening while speaking even if the voice dips a little
+        const threshold = this.thresholdDb - (this.isSpeaking ? CONFIG.VAD_HYSTERESIS_DB : 0);
+        const speechLike = levelDb - this.noiseFloorDb >= threshold &&
+            levelDb >= CONFIG.VAD_MIN_LEVEL_DB &&
+            bandPower / (totalPower + 1e-12) >= CONFIG.VAD_MIN_BAND_RATIO &&
+            zeroCrossingRate >= CONFIG.VAD_ZCR_MIN &&
+            zeroCrossingRate <= CONFIG.VAD_ZCR_MAX;
+
+        this._trackNoiseFloor(levelDb, speechLike);
+
+        if (!this.isSpeaking) {
+            // A brief dip between syllables delays the start rather than restarting the count
+            this.speechFrames = speechLike ? this.speechFrames + 1 : Math.max(0, this.speechFrames - 1);
+            if (this.speechFrames >= this.attackFrames) {
+                this.isSpeaking = true;
+                this.silentFrames = 0;
+                this.utteranceFrames = this.speechFrames;
+                this.utterances++;
+                console.log(`[VAD] Speech started (noise floor ${Math.round(this.noiseFloorDb)} dB)`);
+                if (this.onStart) {
+                    this.onStart();
+                }
+            }
+            return;
+        }
+
+        this.utteranceFrames++;
+        if (this.utteranceFrames === this.sustainFrames && this.onSustained) {
+            this.onSustained();
+        }
+
+        this.silentFrames = speechLike ? 0 : this.silentFrames + 1;
+        if (this.silentFrames >= this.releaseFrames) {
+            this.isSpeaking = false;
+            this.speechFrames = 0;
+            console.log('[VAD] Speech ended');
+            if (this.onEnd) {
+                this.onEnd();
+            }
+        }
+    }
+
+    /**
+     * Follow quiet frames down quickly and louder frames up slowly - much more
+     * slowly while they sound like speech, so talking doesn't become "noise"
+     * @param {number} levelDb - Voice band level of the frame
+     * @param {boolean} speechLike - Whether the frame looked like speech
+     */
+    _trackNoiseFloor(levelDb, speechLike) {
+        let timeMs = CONFIG.VAD_NOISE_FALL_MS;
+        if (levelDb > this.noiseFloorDb) {
+            timeMs = speechLike ? CONFIG.VAD_NOISE_RISE_SPEECH_MS : CONFIG.VAD_NOISE_RISE_MS;
+        }
+
+        const coefficient = 1 - Math.exp(-VoiceActivityDetector.FRAME_MS / timeMs);
+        this.noiseFloorDb += (levelDb - this.noiseFloorDb) * coefficient;
+    }
+
+    /**
+     * Second-order (RBJ cookbook) filter with its own state
+     * @param {string} type - 'highpass' or 'lowpass'
+     * @param {number} frequency - Cutoff in Hz
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {{filter: function(number): number, reset: function()}}
+     */
+    static _biquad(type, frequency, sampleRate) {
+        const omega = 2 * Math.PI * frequency / sampleRate;
+        const alpha = Math.sin(omega) / (2 * Math.SQRT1_2);
+        const cos = Math.cos(omega);
+        const a0 = 1 + alpha;
+
+        const b1 = (type === 'highpass' ? -(1 + cos) : 1 - cos) / a0;
+        const b0 = (type === 'highpass' ? (1 + cos) / 2 : (1 - cos) / 2) / a0;
+        const b2 = b0;
+        const a1 = -2 * cos / a0;
+        const a2 = (1 - alpha) / a0;
+
+        let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+        return {
+            filter(x) {
+                const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+                x2 = x1;
+                x1 = x;
+                y2 = y1;
+                y1 = y;
+                return y;
+            },
+            reset() {
+                x1 = x2 = y1 = y2 = 0;
+            }
+        };
+    }
+}
+
+// Analysis frame length
+VoiceActivityDetector.FRAME_MS = 20;
@@ -0,0 +1,211 @@
+/**
+ * Webhook Outbox
+ * Durable queue of webhook deliveries with exponential-backoff retries
+ * Shared by the page and the service worker (Background Sync), so it must not touch the DOM
+ */
+
+class WebhookOutbox {
+    /**
+     * @param {InspectionDatabase} database - Shared database wrapper
+     */
+    constructor(database) {
+        this.database = database;
+        this.flushPromise = null;
+        this.flushForced = false;         // Whether the running flush is a forced one
+        this.forcedFlushPromise = null;   // Forced flush waiting for the running one to finish
+        this.retryTimer = null;
+
+        // Callbacks
+        this.onChange = null; // Called with { pending, failed } after the queue changes
+    }
+
+    /**
+     * Queue a delivery and try to send it right away
+     * @param {string} url - Webhook URL
+     * @param {object} payload - JSON body
+     * @param {string} idempotencyKey - Unique per logical delivery (the session ID)
+     */
+    async enqueue(url, payload, idempotencyKey) {
+        const entry = {
+            id: idempotencyKey,
+            url,
+            payload,
+            attempts: 0,
+            status: 'pending',
+            createdAt: new Date().toISOString(),
+            nextAttemptAt: Date.now(),
+            lastError: null
+        };
+
+        await this.database.put('outbox', entry);
+        console.log('[Outbox] Queued delivery', idempotencyKey);
+        await this._notifyChange();
+    }
+
+    /**
+     * Send all deliveries that are due
+     * @param {object} [options]
+     * @param {boolean} [options.force] - Ignore backoff and retry failed deliveries too (manual retry)
+     * @returns {Promise<number>} Number of deliveries still waiting for an automatic retry
+     */
+    flush(options = {}) {
+        // Only one flush at a time per context. A forced flush asked for while an
+        // automatic one runs goes again once it finishes, so a manual retry isn't lost
+        if (this.flushPromise) {
+            if (!options.force || this.flushForced) {
+                return this.flushPromise;
+            }
+            if (!this.forcedFlushPromise) {
+                this.forcedFlushPromise = this.flushPromise
+                    .catch(() => {})
+                    .then(() => {
+                        this.forcedFlushPromise = null;
+                        return this.flush(options);
+                    });
+            }
+            return this.forcedFlushPromise;
+        }
+
+        this.flushForced = Boolean(options.force);
+        this.flushPromise = this._flush(options).finally(() => {
+            this.flushPromise = null;
+            this.flushForced = false;
+        });
+        return this.flushPromise;
+    }
+
+    /**
+     * Get queue counts
+     * @returns {Promise<{pending: number, failed: number}>}
+     */
+    async getStats() {
+        const entries = await this.database.getAll('outbox');
+        return {
+            pending: entries.filter(entry => entry.status === 'pending').length,
+            failed: entries.filter(entry => entry.status === 'failed').length
+        };
+    }
+
+    /**
+     * Deliver due entries (see flush)
+     * @param {object} options - Flush options
+     */
+    async _flush({ force = false } = {}) {
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+
+        let entries;
+        try {
+            entries = await this.database.getAll('outbox');
+        } catch (error) {
+            console.error('[Outbox] Error reading queue:', error);
+            return 0;
+        }
+
+        const now = Date.now();
+        const due = entries.filter(entry => force || (entry.status === 'pending' && entry.nextAttemptAt <= now));
+
+        for (const entry of due) {
+            await this._deliver(entry);
+        }
+
+        await this._notifyChange();
+        await this._scheduleRetry();
+
+        return (await this.getStats()).pending;
+    }
+
+    /**
+     * Attempt a single delivery and update or remove its queue entry
+     * @param {object} entry - Outbox entry
+     */
+    async _deliver(entry) {
+        entry.attempts++;
+
+        try {
+            console.log(`[Outbox] Sending ${entry.id} (attempt ${entry.attempts})`);
+
+            const response = await fetch(entry.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Idempotency-Key': entry.id
+                },
+                body: JSON.stringify(entry.payload)
+            });
+
+            if (response.ok) {
+                console.log('[Outbox] Delivered', entry.id);
+                await this.database.delete('outbox', entry.id);
+                return;
+            }
+
+            // Client errors won't fix themselves - park until a manual retry
+            const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+            this._markFailed(entry, `HTTP ${response.status} ${response.statusText}`, retryable);
+        } catch (error) {
+            // Network failure - the usual case on job sites
+            this._markFailed(entry, error.message || 'Network error', true);
+        }
+
+        await this.database.put('outbox', entry);
+    }
+
+    /**
+     * Record a failed attempt
+     * @param {object} entry - Outbox entry
+     * @param {string} reason - Failure reason
+     * @param {boolean} retryable - Whether to retry automatically
+     */
+    _markFailed(entry, reason, retryable) {
+        entry.lastError = reason;
+
+        if (!retryable) {
+            entry.status = 'failed';
+            console.error(`[Outbox] Delivery ${entry.id} failed permanently: ${reason}`);
+            return;
+        }
+
+        // Exponential backoff with jitter: 5s, 10s, 20s... capped
+        const backoff = Math.min(CONFIG.OUTBOX_RETRY_BASE_MS * Math.pow(2, entry.attempts - 1), CONFIG.OUTBOX_RETRY_MAX_MS);
+        const jitter = Math.random() * backoff * 0.2;
+        entry.status = 'pending';
+        entry.nextAttemptAt = Date.now() + backoff + jitter;
+
+        console.warn(`[Outbox] Delivery ${entry.id} failed (${reason}), retrying in ${Math.round((backoff + jitter) / 1000)}s`);
+    }
+
+    /**
+     * Schedule the next automatic flush for the earliest pending entry
+     * Timers only live as long as the page; Background Sync covers the rest
+     */
+    async _scheduleRetry() {
+        const entries = await this.database.getAll('outbox');
+        const pending = entries.filter(entry => entry.status === 'pending');
+        if (pending.length === 0) {
+            return;
+        }
+
+        const nextAttemptAt = Math.min(...pending.map(entry => entry.nextAttemptAt));
+        const delay = Math.max(0, nextAttemptAt - Date.now());
+
+        clearTimeout(this.retryTimer);
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.flush().catch(error => {
+                console.error('[Outbox] Error retrying deliveries:', error);
+            });
+        }, delay);
+    }
+
+    /**
+     * Report queue counts to the onChange listener
+     */
+    async _notifyChange() {
+        if (this.onChange) {
+            this.onChange(await this.getStats());
+        }
+    }
+}
@@ -0,0 +1,127 @@
+/**
+ * Service Worker
+ * Precaches the app shell so the PWA launches and shows history without a signal
+ * Bump CACHE_VERSION whenever a shell file changes so clients get the update prompt
+ */
+
+importScripts('js/config.js', 'js/database.js', 'js/webhook-outbox.js');
+
+const CACHE_VERSION = 'v44';
+const CACHE_NAME = `inspection-shell-${CACHE_VERSION}`;
+
+// App shell - every file needed to launch the app offline
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'manifest.json',
+    'css/styles.css',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'data/equipment-rules.json',
+    'js/config.js',
+    'js/database.js',
+    'js/session-store.js',
+    'js/webhook-outbox.js',
+    'js/batch-analyzer.js',
+    'js/gemini-live-client.js',
+    'js/network-monitor.js',
+    'js/scene-change-detector.js',
+    'js/pcm-codec.js',
+    'js/frame-encoder.js',
+    'js/frame-encoder-worker.js',
+    'js/camera-manager.js',
+    'js/streaming-resampler.js',
+    'js/playback-scheduler.js',
+    'js/voice-activity-detector.js',
+    'js/input-mode-controller.js',
+    'js/audio-manager.js',
+    'js/session-recorder.js',
+    'js/checklist.js',
+    'js/asset-record.js',
+    'js/equipment-decoder.js',
+    'js/code128-decoder.js',
+    'js/barcode-scanner.js',
+    'js/vendor/jsQR.js',
+    'js/builtin-templates.js',
+    'js/template-manager.js',
+    'js/ui-controller.js',
+    'js/pdf-writer.js',
+    'js/report-generator.js',
+    'js/history-view.js',
+    'js/app.js'
+];
+
+self.addEventListener('install', (event) => {
+    console.log(`[SW] Installing ${CACHE_NAME}`);
+    // Bypass the HTTP cache so a new version never precaches stale files
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(SHELL_FILES.map(url => new Request(url, { cache: 'reload' }))))
+    );
+    // Don't skipWaiting here - the page shows an "update available" prompt instead
+});
+
+self.addEventListener('activate', (event) => {
+    console.log(`[SW] Activating ${CACHE_NAME}`);
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('inspection-shell-') && key !== CACHE_NAME)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// Deliver queued webhooks once connectivity returns, even if the app was closed
+self.addEventListener('sync', (event) => {
+    if (event.tag !== CONFIG.OUTBOX_SYNC_TAG) {
+        return;
+    }
+
+    const outbox = new WebhookOutbox(new InspectionDatabase());
+    event.waitUntil(
+        outbox.flush()
+            .then(async (pending) => {
+                const clients = await self.clients.matchAll();
+                clients.forEach(client => client.postMessage({ type: 'OUTBOX_CHANGED' }));
+
+                // Rejecting makes the browser retry the sync later
+                if (pending > 0) {
+                    throw new Error(`${pending} webhook deliveries still pending`);
+                }
+            })
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    // Only handle same-origin GETs; API calls and webhooks go straight to the network
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    // Navigations always get the cached shell (query strings are app options)
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            caches.match('index.html', { cacheName: CACHE_NAME })
+                .then(cached => cached || fetch(request))
+        );
+        return;
+    }
+
+    // Cache first for shell files, network for everything else
+    event.respondWith(
+        caches.match(request, { cacheName: CACHE_NAME, ignoreSearch: true })
+            .then(cached => cached || fetch(request))
+    );
+});
@@ -0,0 +1,553 @@
+/**
+ * Local Gemini Live Stand-in
+ * Speaks enough of the BidiGenerateContent WebSocket protocol to drive the app offline,
+ * following a scripted scenario (no dependencies)
+ *
+ * Usage:
+ *   node tools/mock-gemini-server.js [--port 8788] [--scenario tools/scenarios/basic-inspection.json] [--once]
+ *
+ * Then open the app with ?wsUrl=ws://localhost:8788 (only loopback addresses are accepted,
+ * and only while the parameter stays in the address).
+ * Any API key is accepted.
+ * --once  Exit when the scenario has finished, with status 1 if any expectation failed
+ *
+ * Scenario files list one script per connection (the last one is reused for any further
+ * connections). Each script is a list of steps run in order; each step has one action:
+ *   { "setupComplete": true }                       Acknowledge the client's setup message
+ *   { "resumptionUpdate": true }                    Issue a new session resumption handle
+ *   { "say": "text", "durationMs": 2000, "interruptAfterMs": 800, "goAwayAfterMs": 500 }
+ *                                                   Stream a spoken turn (tone audio + output transcription);
+ *                                                   goAwayAfterMs announces the end of the connection mid-turn
+ *                                                   (timeLeft from "goAwayTimeLeft", default "10s") and carries on
+ *   { "hear": "text" }                              Input transcription of what the technician said
+ *   { "toolCall": { "name": "...", "args": {} }, "expectResult": {}, "timeout": 10000 }
+ *                                                   Call a tool and wait for (and check) the response
+ *   { "cancelToolCall": true }                      Cancel the most recent tool call
+ *   { "interrupted": true }                         Tell the client its output was interrupted
+ *   { "turnComplete": true }                        End the model turn
+ *   { "expect": "audio|video|text|toolResponse|activity", "contains": "...", "timeout": 30000 }
+ *                                                   Wait for a client message (a check); for activity,
+ *                                                   contains is activityStart, activityEnd or audioStreamEnd
+ *   { "wait": 1000 }                                Pause
+ *   { "goAway": "5s" }                              Announce the connection is ending, then close after that time
+ *   { "error": { "code": 500, "message": "..." } }  Send an error message
+ *   { "close": { "code": 1011, "reason": "..." } }  Close the connection cleanly
+ *   { "drop": true }                                Drop the TCP connection without a close frame
+ *   { "send": { ... } }                             Send any raw server message
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const options = {
+    port: 8788,
+    scenario: path.join(__dirname, 'scenarios', 'basic-inspection.json'),
+    once: false
+};
+
+// Parse --flag value pairs (--once takes no value)
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i++) {
+    const key = args[i].replace(/^--/, '').replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    if (!(key in options)) {
+        console.error(`Unknown option: ${args[i]}`);
+        process.exit(1);
+    }
+    if (key === 'once') {
+        options.once = true;
+    } else {
+        options[key] = key === 'port' ? Number(args[++i]) : args[++i];
+    }
+}
+
+const scenario = JSON.parse(fs.readFileSync(options.scenario, 'utf8'));
+if (!Array.isArray(scenario.connections) || scenario.connections.length === 0) {
+    console.error('Scenario needs a non-empty "connections" array');
+    process.exit(1);
+}
+
+const OUTPUT_SAMPLE_RATE = 24000;
+const AUDIO_CHUNK_MS = 100;
+const DEFAULT_EXPECT_TIMEOUT_MS = 30000;
+
+// Scenario progress
+let connectionCount = 0;
+const issuedHandles = new Set();
+const results = { passed: 0, failed: 0 };
+
+// --- WebSocket framing (RFC 6455, server side) ---
+
+/**
+ * Minimal WebSocket connection: text frames, fragmentation, ping/pong and close
+ */
+class MockSocket {
+    constructor(socket) {
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.isOpen = true;
+
+        // Callbacks
+        this.onMessage = null; // Called with the message text
+        this.onClose = null;   // Called with (code, reason)
+
+        socket.on('data', (data) => {
+            this.buffer = Buffer.concat([this.buffer, data]);
+            this._readFrames();
+        });
+        socket.on('close', () => this._closed(1006, 'Connection dropped'));
+        socket.on('error', () => this._closed(1006, 'Socket error'));
+    }
+
+    send(message) {
+        if (this.isOpen) {
+            this._writeFrame(0x1, Buffer.from(JSON.stringify(message)));
+        }
+    }
+
+    close(code = 1000, reason = '') {
+        if (!this.isOpen) {
+            return;
+        }
+
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this._writeFrame(0x8, payload);
+        this.socket.end();
+        this._closed(code, reason);
+    }
+
+    /**
+     * Drop the TCP connection without a close handshake
+     */
+    drop() {
+        this.socket.destroy();
+        this._closed(1006, 'Dropped by scenario');
+    }
+
+    _closed(code, reason) {
+        if (!this.isOpen) {
+            return;
+        }
+        this.isOpen = false;
+        if (this.onClose) {
+            this.onClose(code, reason);
+        }
+    }
+
+    _writeFrame(opcode, payload) {
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    _readFrames() {
+        while (this.buffer.length >= 2) {
+            const fin = (this.buffer[0] & 0x80) !== 0;
+            const opcode = this.buffer[0] & 0x0F;
+            const masked = (this.buffer[1] & 0x80) !== 0;
+            let length = this.buffer[1] & 0x7F;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            const maskOffset = offset;
+            if (masked) {
+                offset += 4;
+            }
+            if (this.buffer.length < offset + length) {
+                return;
+            }
+
+            const payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+            if (masked) {
+                for (let i = 0; i < payload.length; i++) {
+                    payload[i] ^= this.buffer[maskOffset + (i % 4)];
+                }
+            }
+            this.buffer = this.buffer.subarray(offset + length);
+
+            if (opcode === 0x8) {
+                const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+                this.close(code === 1005 ? 1000 : code, '');
+                return;
+            } else if (opcode === 0x9) {
+                this._writeFrame(0xA, payload);
+            } else if (opcode === 0x0 || opcode === 0x1 || opcode === 0x2) {
+                this.fragments.push(payload);
+                if (fin) {
+                    const text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    if (this.onMessage) {
+                        this.onMessage(text);
+                    }
+                }
+            }
+        }
+    }
+}
+
+// --- Scenario runner ---
+
+/**
+ * Runs one connection's script against a connected client
+ */
+class ScriptRunner {
+    constructor(ws, script, index) {
+        this.ws = ws;
+        this.steps = script.steps || [];
+        this.index = index;
+        this.isClosed = false;
+        this.lastToolCallId = null;
+        this.callCounter = 0;
+
+        // Client messages waiting to be matched by "expect" (audio/video are counted, not kept)
+        this.inbox = [];
+        this.waiters = [];
+        this.setup = null;
+        this.setupReceived = null;
+        this.setupArrived = new Promise(resolve => {
+            this.setupReceived = resolve;
+        });
+    }
+
+    /**
+     * Classify and queue a client message
+     */
+    receive(text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            this._log(`Invalid JSON from client: ${text.substring(0, 80)}`);
+            return;
+        }
+
+        let entry = null;
+        if (message.setup) {
+            this.setup = message.setup;
+            const tools = ((message.setup.tools || [])[0] || {}).functionDeclarations || [];
+            const handle = (message.setup.sessionResumption || {}).handle;
+            const manual = (((message.setup.realtimeInputConfig || {}).automaticActivityDetection) || {}).disabled;
+            this._log(`Setup: ${message.setup.model}, ${tools.length} tool(s)${manual ? ', manual activity' : ''}${handle ? `, resuming ${issuedHandles.has(handle) ? 'known' : 'UNKNOWN'} handle` : ''}`);
+            this.setupReceived();
+            return;
+        } else if (message.realtimeInput && !message.realtimeInput.mediaChunks && !message.realtimeInput.audio && !message.realtimeInput.video) {
+            const signal = Object.keys(message.realtimeInput).join(', ');
+            entry = { kind: 'activity', text: signal, message };
+            this._log(`Client activity: ${signal}`);
+        } else if (message.realtimeInput) {
+            const chunk = (message.realtimeInput.mediaChunks || [])[0] || message.realtimeInput.audio || message.realtimeInput.video || {};
+            entry = { kind: String(chunk.mimeType || '').startsWith('image/') ? 'video' : 'audio', message };
+        } else if (message.clientContent) {
+            const parts = ((message.clientContent.turns || [])[0] || {}).parts || [];
+            entry = { kind: 'text', text: parts.map(part => part.text || '').join(' '), message };
+            this._log(`Client text: ${entry.text.substring(0, 120)}`);
+        } else if (message.toolResponse) {
+            entry = { kind: 'toolResponse', message };
+            for (const response of message.toolResponse.functionResponses || []) {
+                this._log(`Tool response ${response.name} (${response.id}): ${JSON.stringify(response.response).substring(0, 200)}`);
+            }
+        } else {
+            this._log(`Unhandled client message: ${Object.keys(message).join(', ')}`);
+            return;
+        }
+
+        // Hand to a waiting step first; streams aren't kept
+        const waiter = this.waiters.find(candidate => candidate.matches(entry));
+        if (waiter) {
+            this.waiters.splice(this.waiters.indexOf(waiter), 1);
+            waiter.resolve(entry);
+        } else if (entry.kind === 'text' || entry.kind === 'toolResponse' || entry.kind === 'activity') {
+            this.inbox.push(entry);
+        }
+    }
+
+    /**
+     * Run the script after the client's setup message
+     * @returns {Promise<void>}
+     */
+    async run() {
+        await this.setupArrived;
+
+        for (const step of this.steps) {
+            if (this.isClosed) {
+                this._log('Connection closed before the script finished');
+                return;
+            }
+            await this._runStep(step);
+        }
+        this._log('Script finished');
+    }
+
+    closed(code, reason) {
+        this.isClosed = true;
+        this._log(`Closed (${code}${reason ? ` ${reason}` : ''})`);
+        for (const waiter of this.waiters) {
+            waiter.resolve(null);
+        }
+        this.waiters = [];
+    }
+
+    async _runStep(step) {
+        if (step.setupComplete) {
+            this.ws.send({ setupComplete: {} });
+        } else if (step.resumptionUpdate) {
+            const handle = crypto.randomBytes(12).toString('hex');
+            issuedHandles.add(handle);
+            this.ws.send({ sessionResumptionUpdate: { newHandle: handle, resumable: true } });
+        } else if (step.say !== undefined) {
+            await this._say(step);
+        } else if (step.hear !== undefined) {
+            this.ws.send({ serverContent: { inputTranscription: { text: step.hear } } });
+        } else if (step.toolCall) {
+            await this._toolCall(step);
+        } else if (step.cancelToolCall) {
+            this.ws.send({ toolCallCancellation: { ids: this.lastToolCallId ? [this.lastToolCallId] : [] } });
+        } else if (step.interrupted) {
+            this.ws.send({ serverContent: { interrupted: true } });
+        } else if (step.turnComplete) {
+            this.ws.send({ serverContent: { turnComplete: true } });
+        } else if (step.expect) {
+            await this._expect(step);
+        } else if (step.wait !== undefined) {
+            await sleep(step.wait);
+        } else if (step.goAway) {
+            this.ws.send({ goAway: { timeLeft: step.goAway } });
+            await sleep(parseFloat(step.goAway) * 1000);
+            this.ws.close(1000, 'Connection time limit');
+        } else if (step.error) {
+            this.ws.send({ error: step.error });
+        } else if (step.close) {
+            this.ws.close(step.close.code || 1000, step.close.reason || '');
+        } else if (step.drop) {
+            this.ws.drop();
+        } else if (step.send) {
+            this.ws.send(step.send);
+        } else {
+            this._log(`Unknown step: ${JSON.stringify(step)}`);
+        }
+    }
+
+    /**
+     * Stream a spoken turn in real time so barge-in and interruptions can be exercised
+     */
+    async _say(step) {
+        const words = String(step.say).split(/\s+/).filter(Boolean);
+        const durationMs = step.durationMs || Math.max(1000, words.length * 350);
+        const chunks = Math.ceil(durationMs / AUDIO_CHUNK_MS);
+        this._log(`Say: ${step.say}`);
+
+        let goAwaySent = false;
+        for (let i = 0; i < chunks; i++) {
+            const elapsed = i * AUDIO_CHUNK_MS;
+            if (this.isClosed) {
+                return;
+            }
+            if (step.interruptAfterMs !== undefined && elapsed >= step.interruptAfterMs) {
+                this._log('Interrupting turn');
+                this.ws.send({ serverContent: { interrupted: true } });
+                return;
+            }
+            if (step.goAwayAfterMs !== undefined && elapsed >= step.goAwayAfterMs && !goAwaySent) {
+                this._log('GoAway mid-turn');
+                this.ws.send({ goAway: { timeLeft: step.goAwayTimeLeft || '10s' } });
+                goAwaySent = true;
+            }
+
+            // Spread the transcription over the audio like the real service does
+            const from = Math.floor(words.length * i / chunks);
+            const to = Math.floor(words.length * (i + 1) / chunks);
+            const content = {
+                modelTurn: { parts: [{ inlineData: { mimeType: `audio/pcm;rate=${OUTPUT_SAMPLE_RATE}`, data: toneChunk(elapsed, AUDIO_CHUNK_MS) } }] }
+            };
+            if (to > from) {
+                content.outputTranscription = { text: `${words.slice(from, to).join(' ')} ` };
+            }
+            this.ws.send({ serverContent: content });
+            await sleep(AUDIO_CHUNK_MS);
+        }
+
+        this.ws.send({ serverContent: { generationComplete: true } });
+        this.ws.send({ serverContent: { turnComplete: true } });
+    }
+
+    async _toolCall(step) {
+        const id = `call-${this.index}-${++this.callCounter}`;
+        this.lastToolCallId = id;
+        this._log(`Tool call ${step.toolCall.name} (${id})`);
+        this.ws.send({ toolCall: { functionCalls: [{ id, name: step.toolCall.name, args: step.toolCall.args || {} }] } });
+
+        if (step.expectResult === undefined && step.await === false) {
+            return;
+        }
+
+        const entry = await this._waitFor(
+            candidate => candidate.kind === 'toolResponse'
+                && (candidate.message.toolResponse.functionResponses || []).some(response => response.id === id),
+            step.timeout || DEFAULT_EXPECT_TIMEOUT_MS
+        );
+        const label = `${step.toolCall.name} responds${step.expectResult ? ` with ${JSON.stringify(step.expectResult)}` : ''}`;
+        if (!entry) {
+            this._check(false, `${label} (no response)`);
+            return;
+        }
+
+        const response = entry.message.toolResponse.functionResponses.find(candidate => candidate.id === id).response || {};
+        const result = response.result || {};
+        const matches = !step.expectResult || Object.entries(step.expectResult)
+            .every(([key, value]) => JSON.stringify(result[key]) === JSON.stringify(value));
+        this._check(matches && !response.error, label);
+    }
+
+    async _expect(step) {
+        const contains = step.contains ? String(step.contains).toLowerCase() : null;
+        const entry = await this._waitFor(
+            candidate => candidate.kind === step.expect
+                && (!contains || (candidate.text !== undefined && candidate.text.toLowerCase().includes(contains))),
+            step.timeout || DEFAULT_EXPECT_TIMEOUT_MS
+        );
+        this._check(Boolean(entry), `client sends ${step.expect}${contains ? ` containing "${step.contains}"` : ''}`);
+    }
+
+    /**
+     * Resolve with the first queued or incoming client message that matches, or null on timeout
+     */
+    _waitFor(matches, timeoutMs) {
+        const queued = this.inbox.find(matches);
+        if (queued) {
+            this.inbox.splice(this.inbox.indexOf(queued), 1);
+            return Promise.resolve(queued);
+        }
+        if (this.isClosed) {
+            return Promise.resolve(null);
+        }
+
+        return new Promise((resolve) => {
+            const waiter = {
+                matches,
+                resolve: (entry) => {
+                    clearTimeout(timer);
+                    resolve(entry);
+                }
+            };
+            const timer = setTimeout(() => {
+                this.waiters.splice(this.waiters.indexOf(waiter), 1);
+                resolve(null);
+            }, timeoutMs);
+            this.waiters.push(waiter);
+        });
+    }
+
+    _check(ok, label) {
+        results[ok ? 'passed' : 'failed']++;
+        this._log(`${ok ? 'PASS' : 'FAIL'} ${label}`);
+    }
+
+    _log(text) {
+        console.log(`[MockGemini] #${this.index} ${text}`);
+    }
+}
+
+/**
+ * Base64 PCM16 chunk of a speech-like tone (a warbling 220 Hz voice with syllable pulses)
+ */
+function toneChunk(startMs, durationMs) {
+    const samples = Math.round(OUTPUT_SAMPLE_RATE * durationMs / 1000);
+    const pcm = Buffer.alloc(samples * 2);
+
+    for (let i = 0; i < samples; i++) {
+        const t = (startMs / 1000) + i / OUTPUT_SAMPLE_RATE;
+        const pitch = 220 + 30 * Math.sin(2 * Math.PI * 0.7 * t);
+        const syllable = 0.5 + 0.5 * Math.sin(2 * Math.PI * 4 * t);
+        const sample = 0.25 * syllable * Math.sin(2 * Math.PI * pitch * t);
+        pcm.writeInt16LE(Math.round(sample * 0x7FFF), i * 2);
+    }
+    return pcm.toString('base64');
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function finish() {
+    console.log(`[MockGemini] Scenario "${scenario.name || path.basename(options.scenario)}" finished: ${results.passed} passed, ${results.failed} failed`);
+    if (options.once) {
+        server.close();
+        process.exit(results.failed > 0 ? 1 : 0);
+    }
+}
+
+// --- HTTP server ---
+
+const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end(`Mock Gemini Live server - scenario: ${scenario.name || options.scenario}\n`);
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1')
+        .update(key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11')
+        .digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    const index = ++connectionCount;
+    const script = scenario.connections[Math.min(index, scenario.connections.length) - 1];
+    console.log(`[MockGemini] #${index} Connected${script.name ? `: ${script.name}` : ''}`);
+
+    const ws = new MockSocket(socket);
+    const runner = new ScriptRunner(ws, script, index);
+    ws.onMessage = (text) => runner.receive(text);
+    ws.onClose = (code, reason) => runner.closed(code, reason);
+
+    runner.run()
+        .catch(error => console.error(`[MockGemini] #${index} Script error:`, error))
+        .then(() => {
+            // The scenario is done once the final connection's script has run
+            if (index === scenario.connections.length) {
+                finish();
+            }
+        });
+});
+
+server.listen(options.port, () => {
+    console.log(`[MockGemini] Listening on ws://localhost:${options.port} - scenario: ${scenario.name || options.scenario}`);
+    if (scenario.description) {
+        console.log(`[MockGemini] ${scenario.description}`);
+    }
+});
@@ -0,0 +1,96 @@
+/**
+ * Local Webhook Stand-in
+ * Minimal HTTP receiver for testing webhook delivery from the outbox (no dependencies)
+ *
+ * Usage:
+ *   node tools/webhook-server.js [--port 8787] [--fail-rate 0.5] [--status 503] [--delay 0]
+ *
+ * Then set the webhook URL in the app's settings to http://localhost:8787/inspections
+ * --fail-rate  Fraction of requests answered with --status instead of 200
+ * --delay      Milliseconds to wait before answering (simulates slow uplinks)
+ */
+
+const http = require('http');
+
+const options = {
+    port: 8787,
+    failRate: 0,
+    status: 503,
+    delay: 0
+};
+
+// Parse --flag value pairs
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i += 2) {
+    const key = args[i].replace(/^--/, '').replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    if (!(key in options)) {
+        console.error(`Unknown option: ${args[i]}`);
+        process.exit(1);
+    }
+    options[key] = Number(args[i + 1]);
+}
+
+// Idempotency key -> first delivery time
+const received = new Map();
+
+const server = http.createServer((req, res) => {
+    // The PWA is served from another origin - allow CORS incl. the idempotency header
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Idempotency-Key');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        res.writeHead(405);
+        res.end();
+        return;
+    }
+
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk;
+    });
+
+    req.on('end', () => {
+        setTimeout(() => {
+            const key = req.headers['idempotency-key'] || '(none)';
+
+            if (Math.random() < options.failRate) {
+                console.log(`[Webhook] ${key}: simulated failure ${options.status}`);
+                res.writeHead(options.status);
+                res.end();
+                return;
+            }
+
+            let payload;
+            try {
+                payload = JSON.parse(body);
+            } catch (error) {
+                console.log(`[Webhook] ${key}: invalid JSON`);
+                res.writeHead(400);
+                res.end();
+                return;
+            }
+
+            const duplicate = received.has(key);
+            if (!duplicate) {
+                received.set(key, new Date().toISOString());
+            }
+
+            const findings = (payload.findings || []).length;
+            console.log(`[Webhook] ${key}: ${duplicate ? 'duplicate (ignored)' : 'stored'} - ${findings} finding(s), ${body.length} bytes`);
+
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: true, duplicate }));
+        }, options.delay);
+    });
+});
+
+server.listen(options.port, () => {
+    console.log(`[Webhook] Listening on http://localhost:${options.port} (fail rate ${options.failRate})`);
+});